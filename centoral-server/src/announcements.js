@@ -0,0 +1,70 @@
+/**
+ * announcements.js - 教師からのお知らせ
+ *
+ * 管理API（POST /admin/announcements）で投稿されたお知らせを保存し、
+ * 掲載期限（expiresAt）を過ぎていないものを GET /announcements で店に配布します。
+ * 店側アプリの Web UI は、これをページ上部のバナーとして表示します。
+ */
+
+import { randomUUID } from 'node:crypto'
+
+// お知らせの重要度（Web UI のバナーの色に対応）
+export const ANNOUNCEMENT_LEVELS = ['info', 'warning', 'danger']
+
+/**
+ * お知らせを作成する
+ * @param {Object} storage 保存先のストレージ（announcements コレクション。db.js の openStorage 参照）
+ * @returns {Object} お知らせの操作
+ */
+export function createAnnouncements(storage) {
+  return {
+    /**
+     * お知らせを投稿する
+     * @param {Object} announcement お知らせ（{ message, level, expiresAt? }）
+     * @returns {Promise<Object>} 投稿したお知らせ（id・createdAt 付き）
+     */
+    async post({ message, level, expiresAt }) {
+      const announcement = {
+        id: randomUUID(),
+        message,
+        level,
+        ...(expiresAt ? { expiresAt } : {}),
+        createdAt: new Date().toISOString(),
+      }
+      await storage.putRecord('announcements', announcement)
+      return announcement
+    },
+
+    /**
+     * お知らせの一覧を返す（新しい順）
+     * @param {Object} [options] オプション
+     * @param {boolean} [options.includeExpired] 掲載期限を過ぎたものも含める
+     * @returns {Promise<Array>} お知らせの配列
+     */
+    async list({ includeExpired = false } = {}) {
+      const now = Date.now()
+      return (await storage.listRecords('announcements'))
+        .filter(
+          (announcement) =>
+            includeExpired ||
+            !announcement.expiresAt ||
+            Date.parse(announcement.expiresAt) > now
+        )
+        .reverse()
+    },
+
+    /**
+     * お知らせを削除する
+     * @param {string} id お知らせのID
+     * @returns {Promise<boolean>} 削除した場合はtrue（見つからない場合はfalse）
+     */
+    async remove(id) {
+      const [announcement] = await storage.findRecords('announcements', { id })
+      if (!announcement) {
+        return false
+      }
+      await storage.deleteRecord('announcements', id)
+      return true
+    },
+  }
+}
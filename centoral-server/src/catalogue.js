@@ -0,0 +1,98 @@
+/**
+ * catalogue.js - マーケット横断の商品カタログ
+ *
+ * 登録済みマーケットの商品情報から、商品ごとの価格の集計と販売店の一覧を作ります。
+ * カタログはマーケット情報（registry.js）からその都度作るため、登録・ヘルスチェックの結果が常に反映されます。
+ * 商品は商品名が完全に一致するものを同じ商品として扱います。
+ * 教師が商品名を修正した場合（moderation.js 参照）は、修正を適用したマーケット情報を渡すと表示名（displayName）が付きます。
+ */
+
+import { productsOf } from './market-query.js'
+
+/**
+ * 価格の中央値を求める
+ * @param {Array<number>} prices 価格の配列（昇順）
+ * @returns {number} 中央値
+ */
+function medianOf(prices) {
+  const middle = Math.floor(prices.length / 2)
+  return prices.length % 2 === 1
+    ? prices[middle]
+    : (prices[middle - 1] + prices[middle]) / 2
+}
+
+/**
+ * 商品ごとの販売情報を集める
+ * @param {Array} markets マーケット情報の配列
+ * @returns {Map<string, Array>} 商品名 → 販売情報（{ market, price, stock?, displayName? }）の配列
+ */
+function groupByProduct(markets) {
+  const groups = new Map()
+  for (const market of markets) {
+    for (const item of productsOf(market)) {
+      if (!groups.has(item.product)) {
+        groups.set(item.product, [])
+      }
+      groups.get(item.product).push({
+        market,
+        price: item.price,
+        ...(Number.isInteger(item.stock) ? { stock: item.stock } : {}),
+        ...(item.displayName ? { displayName: item.displayName } : {}),
+      })
+    }
+  }
+  return groups
+}
+
+/**
+ * 商品カタログを作る
+ * @param {Array} markets マーケット情報の配列
+ * @returns {Array} 商品ごとの集計（{ product, displayName?, minPrice, maxPrice, medianPrice, sellers, onlineSellers }）の配列（商品名順）
+ */
+export function buildCatalogue(markets) {
+  return [...groupByProduct(markets)]
+    .map(([product, listings]) => {
+      const prices = listings
+        .map((listing) => listing.price)
+        .sort((a, b) => a - b)
+      const { displayName } = listings[0]
+      return {
+        product,
+        ...(displayName ? { displayName } : {}),
+        minPrice: prices[0],
+        maxPrice: prices[prices.length - 1],
+        medianPrice: medianOf(prices),
+        sellers: listings.length,
+        onlineSellers: listings.filter(
+          (listing) => listing.market.status === 'ONLINE'
+        ).length,
+      }
+    })
+    .sort((a, b) => a.product.localeCompare(b.product, 'ja'))
+}
+
+/**
+ * 商品を販売している ONLINE のマーケットを価格の安い順に返す
+ * @param {Array} markets マーケット情報の配列
+ * @param {string} name 商品名
+ * @returns {Array|null} 販売情報（{ address, name?, price, stock?, status }）の配列。
+ *   どのマーケットにも登録されていない商品の場合はnull
+ */
+export function listOffers(markets, name) {
+  const listings = groupByProduct(markets).get(name)
+  if (!listings) {
+    return null
+  }
+
+  // 価格が同じ場合は在庫数の多い順（在庫数の報告がないものは最後）
+  return listings
+    .filter((listing) => listing.market.status === 'ONLINE')
+    .sort((a, b) => a.price - b.price || (b.stock ?? -1) - (a.stock ?? -1))
+    .map(({ market, price, stock }) => ({
+      address: market.address,
+      ...(market.name ? { name: market.name } : {}),
+      price,
+      ...(stock !== undefined ? { stock } : {}),
+      status: market.status,
+    }))
+}
@@ -2,39 +2,139 @@
  * central-server.js - マーケット情報サーバー
  *
  * このサーバーは以下の機能を提供します：
- * 1. マーケット登録API（POST /register）
- * 2. マーケット一覧取得API（GET /markets）
- * 3. ヘルスチェック機能
- * 4. マーケット情報の永続化
+ * 1. マーケット登録API（POST /register）、削除API（DELETE /markets/:address）、
+ *    ハートビートAPI（POST /markets/:address/heartbeat）- 登録内容の検証・回数制限・登録元の確認（registration.js 参照）
+ * 2. マーケット一覧取得API（GET /markets）- 取引署名の検証用に各店の公開鍵も配布。
+ *    検索・並べ替え・ページ分割に対応（market-query.js 参照）
+ * 3. ヘルスチェック機能（履歴・応答時間を記録し、状態を ONLINE / DEGRADED / OFFLINE で判定。health.js 参照）
+ * 4. ヘルスチェック履歴取得API（GET /markets/:address/health）
+ * 5. 商品カタログAPI（GET /products、GET /products/:name/offers）- 商品ごとの価格と販売店（catalogue.js 参照）
+ * 6. イベントストリーム（GET /events）- マーケットの変更を Server-Sent Events で通知
+ * 7. 取引台帳（POST /trades、GET /trades）- 買い手・売り手の報告を照合して食い違いを検出（ledger.js 参照）
+ * 8. ランキング（POST /markets/:address/stats、GET /leaderboard）- 店の成績の報告と順位（leaderboard.js 参照）
+ * 9. お知らせ（GET /announcements）、取引ラウンドの状態（GET /session。session.js 参照）
+ * 10. 教師用の管理API（/admin。adminToken が必要）- 店の一覧・削除・出入り禁止、商品名の修正、
+ *     登録情報のリセット、お知らせの投稿、取引ラウンドの設定（moderation.js・announcements.js 参照）
+ * 11. マーケット情報・取引台帳・成績・管理情報の永続化（JSONファイルまたはSQLite。db.js 参照）
+ *
+ * マーケット情報はメモリ上の登録情報（registry.js）で管理し、変更はバックグラウンドで保存します。
  */
 
 import express from 'express'
-import { readJSON, writeJSON } from './db.js'
-import path from 'path'
-import { fileURLToPath } from 'url'
+import { openStorage } from './db.js'
+import { createRegistry } from './registry.js'
+import { parseMarketQuery, queryMarkets, productsOf } from './market-query.js'
+import { buildCatalogue, listOffers } from './catalogue.js'
+import { createEventHub } from './sse.js'
+import { createLedger, TRADE_ROLES, TRADE_STATUSES } from './ledger.js'
+import {
+  createLeaderboard,
+  validateStats,
+  LEADERBOARD_RANKINGS,
+} from './leaderboard.js'
+import { createModeration } from './moderation.js'
+import { createAnnouncements, ANNOUNCEMENT_LEVELS } from './announcements.js'
+import {
+  SESSION_STATES,
+  DEFAULT_SESSION,
+  resolveSession,
+  nextTransitionAt,
+  changeSession,
+} from './session.js'
+import {
+  REGISTRATION_KEY_HEADER,
+  validateRegistration,
+  issueRegistrationKey,
+  isMarketOwner,
+  isClaimableMarket,
+  createRateLimiter,
+} from './registration.js'
+import { SIGNATURE_HEADERS, verifyRequest, requestTarget } from './signature.js'
+import {
+  recordProbe,
+  decideStatus,
+  markSeen,
+  summarizeHealth,
+  isMarketExpired,
+} from './health.js'
 import fs from 'node:fs'
+import { createHash, timingSafeEqual } from 'node:crypto'
+import {
+  PORT,
+  BIND_HOST,
+  DATA_DIR,
+  STORAGE_BACKEND,
+  HEALTH_CHECK_INTERVAL,
+  HEALTH_CHECK_TIMEOUT,
+  HEALTH_HISTORY_SIZE,
+  HEALTH_THRESHOLDS,
+  MARKET_EXPIRY,
+  RECONCILE_INTERVAL,
+  TRADE_REPORT_GRACE,
+  ADMIN_TOKEN,
+  REGISTER_RATE_LIMIT,
+  printConfig,
+} from './config.js'
+
+// データ構成（JSONバックエンドでは data/<コレクション名>.json に保存される）
+const STORAGE_LAYOUT = {
+  documents: ['session'],
+  collections: {
+    markets: { key: 'address' },
+    // trades: 売り手と取引IDの組（id）ごとの取引（ledger.js 参照）
+    trades: { key: 'id' },
+    stats: { key: 'address' },
+    bans: { key: 'address' },
+    productRules: { key: 'product' },
+    announcements: { key: 'id' },
+  },
+  database: 'central.db',
+}
 
-// ESモジュールで__dirnameを使用するための設定
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = path.dirname(__filename)
+// 取引IDとして受け付ける形式（英数字・ハイフン・アンダースコア、最大64文字）
+const TRADE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/
 
-// 定数
-const PORT = process.env.PORT || 8090 // 8080から8090に変更
-const MARKETS_FILE = path.join(__dirname, '../data/markets.json')
-const HEALTH_CHECK_INTERVAL = 30000 // 30秒
+// データの保存先（起動時に開く）
+let storage = null
+// マーケット登録情報（起動時にストレージから読み込む）
+let registry = null
+// 取引台帳
+let ledger = null
+// 店の成績のランキング
+let leaderboard = null
+// 出入り禁止と商品名の修正
+let moderation = null
+// 教師からのお知らせ
+let announcements = null
+// 取引ラウンドの状態（保存する形式。時刻による切り替えは resolveSession で適用する）
+let session = DEFAULT_SESSION
+// 次に時刻によって取引ラウンドの状態が切り替わるときに通知するタイマー
+let sessionTimer = null
+// マーケットの変更を通知するイベントストリームの接続先
+const events = createEventHub()
+// 送信元ごとの /register の回数制限
+const registerLimiter = createRateLimiter(REGISTER_RATE_LIMIT)
 
 // Expressアプリケーションの初期化
 const app = express()
-app.use(express.json())
+app.use(
+  express.json({
+    // 署名検証のため、受信した本文をそのまま保持する
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8')
+    },
+  })
+)
 
 // CORS設定
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*')
   res.header(
     'Access-Control-Allow-Headers',
-    'Origin, X-Requested-With, Content-Type, Accept'
+    'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Registration-Key'
   )
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
+  res.header('Access-Control-Expose-Headers', 'X-Total-Count, X-Next-Offset')
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200)
   }
@@ -44,47 +144,104 @@ app.use((req, res, next) => {
 // 静的ファイル配信の設定は削除（market-app側に移動）
 
 /**
- * マーケット情報を読み込む
- * ファイルが存在しない場合は空の配列を返す
- * @returns {Promise<Array>} マーケット情報の配列
+ * 指定されたアドレスにヘルスチェックリクエストを送信する
+ * @param {string} address サーバーアドレス（IP:PORT形式）
+ * @returns {Promise<Object>} チェック結果（{ ok, latencyMs, body, error? }）
+ *   ok が true の場合、body はレスポンス本文
  */
-async function loadMarkets() {
+async function checkServerHealth(address) {
+  const startedAt = performance.now()
   try {
-    return await readJSON(MARKETS_FILE)
+    const response = await fetch(`http://${address}/health`, {
+      signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT),
+    })
+    if (response.status !== 200) {
+      throw new Error(`ステータス ${response.status}`)
+    }
+    const body = await response.json().catch(() => ({}))
+    return {
+      ok: true,
+      latencyMs: Math.round(performance.now() - startedAt),
+      body,
+    }
   } catch (error) {
-    console.log('マーケット情報ファイルが見つからないため、新規作成します')
-    return []
+    console.log(`ヘルスチェック失敗: ${address} - ${error.message}`)
+    return { ok: false, latencyMs: null, body: null, error: error.message }
   }
 }
 
 /**
- * マーケット情報を保存する
- * @param {Array} markets マーケット情報の配列
- * @returns {Promise<void>}
+ * ヘルスチェックの応答に含まれる在庫数をマーケットの商品情報に反映する
+ * @param {Array} products マーケットの商品情報の配列
+ * @param {Object} health ヘルスチェックのレスポンス本文
+ * @returns {Array} 在庫数を反映した商品情報の配列
  */
-async function saveMarkets(markets) {
-  try {
-    await writeJSON(MARKETS_FILE, markets)
-  } catch (error) {
-    console.error('マーケット情報の保存に失敗しました:', error)
-    throw error
+function applyHealthStock(products, health) {
+  if (!Array.isArray(health.products)) {
+    return products
   }
+
+  return products.map((item) => {
+    const reported = health.products.find((p) => p.name === item.product)
+    if (!reported || !Number.isInteger(reported.stock)) {
+      return item
+    }
+    return { ...item, stock: reported.stock }
+  })
 }
 
 /**
- * 指定されたアドレスにヘルスチェックリクエストを送信する
- * @param {string} address サーバーアドレス（IP:PORT形式）
- * @returns {Promise<boolean>} サーバーが応答した場合はtrue、それ以外はfalse
+ * 登録リクエストの商品情報を保存用の形式に変換する
+ * @param {Array} products 登録リクエストの商品情報の配列
+ * @returns {Array} 保存用の商品情報の配列
  */
-async function checkServerHealth(address) {
-  try {
-    const response = await fetch(`http://${address}/health`, {
-      signal: AbortSignal.timeout(1000),
-    })
-    return response.status === 200
-  } catch (error) {
-    console.log(`ヘルスチェック失敗: ${address} - ${error.message}`)
-    return false
+function toMarketProducts(products) {
+  return products.map((p) => ({
+    product: p.product,
+    price: p.priceYen,
+    ...(Number.isInteger(p.stock) ? { stock: p.stock } : {}),
+  }))
+}
+
+/**
+ * ヘルスチェックの結果をマーケット情報に反映する
+ *
+ * チェック中に再登録された場合も最新の情報に対して反映するため、商品情報は上書きしない。
+ * @param {string} address マーケットのアドレス（IP:PORT形式）
+ * @param {Object} probe チェック結果（checkServerHealth の戻り値）
+ */
+function applyHealthCheckResult(address, probe) {
+  registry.update(address, (market) => {
+    if (!market) {
+      return undefined
+    }
+    const health = recordProbe(market.health, probe, HEALTH_HISTORY_SIZE)
+    const status = decideStatus(market.status, health, HEALTH_THRESHOLDS)
+    if (status !== market.status) {
+      console.log(`状態変更: ${address} ${market.status} → ${status}`)
+    }
+    return {
+      ...market,
+      products:
+        probe.ok && market.products
+          ? applyHealthStock(market.products, probe.body)
+          : market.products,
+      status,
+      health,
+    }
+  })
+}
+
+/**
+ * OFFLINE のまま期限が過ぎたマーケットを削除する（health.js の isMarketExpired 参照）
+ */
+function expireMarkets() {
+  const now = Date.now()
+  for (const market of registry.list()) {
+    if (isMarketExpired(market, MARKET_EXPIRY, now)) {
+      registry.remove(market.address)
+      console.log(`期限切れのマーケットを削除しました: ${market.address}`)
+    }
   }
 }
 
@@ -94,21 +251,14 @@ async function checkServerHealth(address) {
  */
 async function performHealthChecks() {
   try {
-    const markets = await loadMarkets()
-
-    // 各マーケットのヘルスチェックを実行
-    const updatedMarkets = await Promise.all(
-      markets.map(async (market) => {
-        const isOnline = await checkServerHealth(market.address)
-        return {
-          ...market,
-          status: isOnline ? 'ONLINE' : 'OFFLINE',
-        }
+    // 各マーケットのヘルスチェックを実行し、応答があったものから順に反映する
+    await Promise.all(
+      registry.list().map(async ({ address }) => {
+        const probe = await checkServerHealth(address)
+        applyHealthCheckResult(address, probe)
       })
     )
-
-    // 更新されたマーケット情報を保存
-    await saveMarkets(updatedMarkets)
+    expireMarkets()
     console.log('ヘルスチェック完了')
   } catch (error) {
     console.error('ヘルスチェック処理中にエラーが発生しました:', error)
@@ -123,75 +273,267 @@ app.get('/', (req, res) => {
     endpoints: [
       { path: '/markets', method: 'GET', description: 'マーケット一覧を取得' },
       { path: '/register', method: 'POST', description: 'マーケットを登録' },
+      {
+        path: '/events',
+        method: 'GET',
+        description: 'マーケットの変更をServer-Sent Eventsで受信',
+      },
+      {
+        path: '/trades',
+        method: 'POST',
+        description: '成立した取引を報告（買い手・売り手の双方から）',
+      },
+      {
+        path: '/trades',
+        method: 'GET',
+        description:
+          '取引台帳を取得（?status=unmatched で食い違いのある取引のみ）',
+      },
+      {
+        path: '/products',
+        method: 'GET',
+        description: '商品ごとの価格（最安・最高・中央値）と販売店数を取得',
+      },
+      {
+        path: '/products/:name/offers',
+        method: 'GET',
+        description: '商品を販売しているONLINEの店を価格の安い順に取得',
+      },
+      {
+        path: '/markets/:address',
+        method: 'DELETE',
+        description: 'マーケットの登録を削除',
+      },
+      {
+        path: '/markets/:address/heartbeat',
+        method: 'POST',
+        description: '稼働中であることを通知（在庫数の更新も可能）',
+      },
+      {
+        path: '/markets/:address/health',
+        method: 'GET',
+        description: 'マーケットのヘルスチェック履歴を取得',
+      },
+      {
+        path: '/announcements',
+        method: 'GET',
+        description: '教師からのお知らせを取得',
+      },
+      {
+        path: '/session',
+        method: 'GET',
+        description:
+          '取引ラウンドの状態（PREPARING / OPEN / PAUSED / CLOSED）と開始・終了時刻を取得',
+      },
+      {
+        path: '/admin/*',
+        method: 'GET, POST, PUT, DELETE',
+        description:
+          '教師用の管理API（Authorization: Bearer <adminToken> が必要。README 参照）',
+      },
+      {
+        path: '/markets/:address/stats',
+        method: 'POST',
+        description: '店の成績（資産・コレクション・売上）を報告',
+      },
+      {
+        path: '/leaderboard',
+        method: 'GET',
+        description:
+          'ランキングを取得（?by=assets / revenue / collection で順位付けの項目を指定）',
+      },
     ],
   })
 })
 
+/**
+ * マーケット一覧に含めるヘルスチェックの概要を作成する
+ * @param {Object} market マーケット情報
+ * @returns {Object} 最終応答時刻・稼働率・平均応答時間
+ */
+function toHealthSummary(market) {
+  return {
+    lastSeenAt: market.health?.lastSeenAt ?? null,
+    ...summarizeHealth(market.health),
+  }
+}
+
+/**
+ * 一覧・カタログに公開するマーケット情報を返す（教師による商品名の修正を適用したもの）
+ * @returns {Array} マーケット情報の配列（登録順）
+ */
+function listPublicMarkets() {
+  return registry.list().map((market) => moderation.applyToMarket(market))
+}
+
+/**
+ * マーケット情報をクライアントに返す形式に整形する
+ * @param {Object} market マーケット情報
+ * @returns {Object|undefined} 整形したマーケット情報（商品情報がない場合は undefined）
+ */
+function toMarketResponse(market) {
+  // 複数商品に対応
+  if (market.products && Array.isArray(market.products)) {
+    return {
+      products: market.products,
+      address: market.address,
+      status: market.status || 'UNKNOWN',
+      ...(market.name ? { name: market.name } : {}),
+      ...(market.pubKey ? { pubKey: market.pubKey } : {}),
+      ...toHealthSummary(market),
+    }
+  } else if (market.product) {
+    // 後方互換性のため、単一商品の場合も対応
+    return {
+      products: [
+        {
+          product: market.product,
+          price: market.price,
+        },
+      ],
+      address: market.address,
+      status: market.status || 'UNKNOWN',
+      ...toHealthSummary(market),
+    }
+  }
+}
+
+/**
+ * マーケットの変更をイベントストリーム（GET /events）に送る
+ *
+ * ヘルスチェックの履歴だけが変わった場合は送らない。
+ * @param {Object|undefined} previous 変更前のマーケット情報（追加の場合は undefined）
+ * @param {Object|undefined} next 変更後のマーケット情報（削除の場合は undefined）
+ */
+function publishMarketChange(previous, next) {
+  if (!previous) {
+    events.publish('market-added', {
+      market: toMarketResponse(moderation.applyToMarket(next)),
+    })
+    return
+  }
+  if (!next) {
+    events.publish('market-removed', { address: previous.address })
+    return
+  }
+
+  if ((previous.status || 'UNKNOWN') !== (next.status || 'UNKNOWN')) {
+    events.publish('market-status', {
+      address: next.address,
+      status: next.status,
+      previous: previous.status || 'UNKNOWN',
+    })
+  }
+  const listingOf = ({ products, product, price, name, pubKey }) =>
+    JSON.stringify([products, product, price, name, pubKey])
+  if (listingOf(previous) !== listingOf(next)) {
+    events.publish('market-updated', {
+      market: toMarketResponse(moderation.applyToMarket(next)),
+    })
+  }
+}
+
+/**
+ * リクエストの送信元IPアドレスを返す
+ * @param {Object} req Express のリクエスト
+ * @returns {string} IPアドレス（IPv4射影アドレスはIPv4の形式）
+ */
+function getSourceIp(req) {
+  return req.ip.replace('::ffff:', '')
+}
+
+/**
+ * マーケットを更新・削除してよい送信元かを確認する（registration.js の isMarketOwner 参照）
+ * 管理用トークンを付けたリクエスト（教師）は、所有者が記録されていないマーケットも更新・削除できる
+ * @param {Object} req Express のリクエスト
+ * @param {Object} market マーケット情報
+ * @returns {boolean} 最初に登録した送信元IP、正しい登録キー、または管理用トークンの場合はtrue
+ */
+function isOwnerRequest(req, market) {
+  return (
+    isMarketOwner(
+      market,
+      getSourceIp(req),
+      req.headers[REGISTRATION_KEY_HEADER]
+    ) || isAdminRequest(req)
+  )
+}
+
 // マーケット登録API
+// 初回の登録では登録キー（registrationKey）を返す。別の送信元IPから更新する場合は X-Registration-Key ヘッダーで送る
 app.post('/register', async (req, res) => {
   try {
-    const { ip, port, products } = req.body
-
-    // バリデーション
-    if (
-      !ip ||
-      !port ||
-      !products ||
-      !Array.isArray(products) ||
-      products.length === 0
-    ) {
-      return res.status(400).json({ error: '必須パラメータが不足しています' })
+    // 同じ送信元からの登録が多すぎる場合は断る
+    const sourceIp = getSourceIp(req)
+    const { allowed, retryAfterMs } = registerLimiter.take(sourceIp)
+    if (!allowed) {
+      res.header('Retry-After', String(Math.ceil(retryAfterMs / 1000)))
+      return res.status(429).json({
+        error: '登録の回数が多すぎます。しばらく待ってから再度登録してください',
+      })
     }
 
-    // 各商品の価格が正の数値であることを確認
-    for (const item of products) {
-      if (
-        !item.product ||
-        typeof item.priceYen !== 'number' ||
-        item.priceYen <= 0
-      ) {
-        return res.status(400).json({ error: '商品名と正の価格が必要です' })
-      }
+    // バリデーション（誤りは項目ごとに返す）
+    const errors = validateRegistration(req.body)
+    if (errors.length > 0) {
+      return res.status(400).json({ error: '登録内容に誤りがあります', errors })
     }
+    const { ip, port, products, pubKey, name } = req.body
 
-    // マーケット情報を読み込む
-    const markets = await loadMarkets()
+    // 教師が出入り禁止にしたアドレスからの登録は受け付けない
+    if (moderation.findBan(ip, port)) {
+      return res
+        .status(403)
+        .json({ error: 'このアドレスからの登録は禁止されています' })
+    }
 
     // アドレスを生成
     const address = `${ip}:${port}`
 
-    // 既存のマーケットを検索
-    const existingIndex = markets.findIndex((m) => m.address === address)
+    // 登録済みのアドレスは、最初に登録した送信元か登録キーを持つ店だけが更新できる
+    // （所有者のいない古い登録と期限切れの登録は、登録した店が引き継ぐ）
+    const existing = registry.get(address)
+    const claimable =
+      existing && isClaimableMarket(existing, { expiryMs: MARKET_EXPIRY })
+    if (existing && !claimable && !isOwnerRequest(req, existing)) {
+      return res.status(403).json({
+        error:
+          'このアドレスは別の送信元が登録しています（最初の登録で発行された登録キーが必要です）',
+      })
+    }
+
+    // 所有者を引き継ぐ場合と、登録キーがまだない場合（初回の登録など）は発行する
+    const owner = existing && !claimable ? existing : null
+    const issued = owner?.ownerKeyHash ? null : issueRegistrationKey()
+    // 教師が管理用トークンで代わりに登録した場合は、教師の送信元ではなく店のIPを所有者として記録する
+    const ownerIp = owner ? owner.ownerIp : isAdminRequest(req) ? ip : sourceIp
 
-    if (existingIndex >= 0) {
-      // 既存のマーケットを更新
-      markets[existingIndex] = {
-        products: products.map((p) => ({
-          product: p.product,
-          price: p.priceYen,
-        })),
+    // 既存のマーケットは更新し、なければ新しく追加する
+    const now = new Date().toISOString()
+    registry.update(address, (current) => {
+      // 引き継いだ登録は、前の店のヘルスチェック履歴と登録日時を残さない
+      const previous = owner ? current : undefined
+      return {
+        products: toMarketProducts(products),
         address,
+        ...(name ? { name } : {}),
+        ...(pubKey ? { pubKey } : {}),
         status: 'ONLINE',
-        updatedAt: new Date().toISOString(),
+        health: markSeen(previous?.health),
+        ownerIp,
+        ownerKeyHash: issued ? issued.hash : owner.ownerKeyHash,
+        createdAt: previous?.createdAt ?? now,
+        updatedAt: now,
       }
-    } else {
-      // 新しいマーケットを追加
-      markets.push({
-        products: products.map((p) => ({
-          product: p.product,
-          price: p.priceYen,
-        })),
-        address,
-        status: 'ONLINE',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      })
-    }
+    })
 
-    // マーケット情報を保存
-    await saveMarkets(markets)
+    // 登録が失われないよう、保存が完了してから応答する
+    await registry.flush()
 
-    res.status(200).json({ message: 'マーケット登録が完了しました' })
+    res.status(200).json({
+      message: 'マーケット登録が完了しました',
+      ...(issued ? { registrationKey: issued.key } : {}),
+    })
   } catch (error) {
     console.error('マーケット登録中にエラーが発生しました:', error)
     res.status(500).json({ error: 'サーバーエラーが発生しました' })
@@ -199,36 +541,25 @@ app.post('/register', async (req, res) => {
 })
 
 // マーケット一覧取得API
+// 本文はマーケットの配列。該当する件数は X-Total-Count、次のページがあればその offset を X-Next-Offset で返す
 app.get('/markets', async (req, res) => {
   try {
-    const markets = await loadMarkets()
+    const { options, error } = parseMarketQuery(req.query)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+    const { items, total, nextOffset } = queryMarkets(
+      listPublicMarkets(),
+      options
+    )
 
     // クライアントに返すデータを整形
-    const responseData = markets
-      .map((market) => {
-        // 複数商品に対応
-        if (market.products && Array.isArray(market.products)) {
-          return {
-            products: market.products,
-            address: market.address,
-            status: market.status || 'UNKNOWN',
-          }
-        } else if (market.product) {
-          // 後方互換性のため、単一商品の場合も対応
-          return {
-            products: [
-              {
-                product: market.product,
-                price: market.price,
-              },
-            ],
-            address: market.address,
-            status: market.status || 'UNKNOWN',
-          }
-        }
-      })
-      .filter(Boolean) // nullやundefinedを除外
+    const responseData = items.map(toMarketResponse).filter(Boolean) // nullやundefinedを除外
 
+    res.header('X-Total-Count', String(total))
+    if (nextOffset !== null) {
+      res.header('X-Next-Offset', String(nextOffset))
+    }
     res.status(200).json(responseData)
   } catch (error) {
     console.error('マーケット一覧取得中にエラーが発生しました:', error)
@@ -236,30 +567,760 @@ app.get('/markets', async (req, res) => {
   }
 })
 
-// サーバー起動
-app.listen(PORT, async () => {
-  console.log(`マーケット情報サーバーが起動しました - ポート: ${PORT}`)
+// マーケット削除API（店の終了時に呼ばれる）
+app.delete('/markets/:address', async (req, res) => {
+  try {
+    const market = registry.get(req.params.address)
+    if (!market) {
+      return res.status(404).json({ error: 'マーケットが見つかりません' })
+    }
+    if (!isOwnerRequest(req, market)) {
+      return res
+        .status(403)
+        .json({ error: 'このマーケットを登録した送信元ではありません' })
+    }
+    registry.remove(req.params.address)
+    await registry.flush()
+    console.log(`マーケットの登録を削除しました: ${req.params.address}`)
+    res.status(200).json({ message: 'マーケットの登録を削除しました' })
+  } catch (error) {
+    console.error('マーケット削除中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// ハートビートAPI（本文は省略可能。店の /health と同じ形式の { products: [{ name, stock }] } で在庫数を更新）
+// 連絡があった時刻と在庫数だけを更新し、状態はヘルスチェックの結果に任せる
+app.post('/markets/:address/heartbeat', (req, res) => {
+  let forbidden = false
+  const market = registry.update(req.params.address, (existing) => {
+    if (!existing) {
+      return undefined
+    }
+    if (!isOwnerRequest(req, existing)) {
+      forbidden = true
+      return undefined
+    }
+    return {
+      ...existing,
+      products:
+        existing.products && req.body
+          ? applyHealthStock(existing.products, req.body)
+          : existing.products,
+      health: markSeen(existing.health),
+    }
+  })
+
+  if (forbidden) {
+    return res
+      .status(403)
+      .json({ error: 'このマーケットを登録した送信元ではありません' })
+  }
+  // 未登録（期限切れで削除された場合など）は、店に POST /register からやり直してもらう
+  if (!market) {
+    return res.status(404).json({ error: 'マーケットが登録されていません' })
+  }
+  res.status(200).json({ status: market.status })
+})
+
+// ヘルスチェック履歴取得API（アドレスは IP:PORT 形式。例: /markets/192.168.0.10:8082/health）
+app.get('/markets/:address/health', (req, res) => {
+  const market = registry.get(req.params.address)
+  if (!market) {
+    return res.status(404).json({ error: 'マーケットが見つかりません' })
+  }
+
+  const health = market.health || {}
+  res.status(200).json({
+    address: market.address,
+    status: market.status || 'UNKNOWN',
+    lastSeenAt: health.lastSeenAt || null,
+    lastCheckedAt: health.lastCheckedAt || null,
+    consecutiveFailures: health.consecutiveFailures || 0,
+    consecutiveSuccesses: health.consecutiveSuccesses || 0,
+    ...summarizeHealth(market.health),
+    history: health.history || [],
+  })
+})
+
+// イベントストリーム（Server-Sent Events）
+// マーケットの追加・変更・状態変化・削除を market-added / market-updated / market-status / market-removed として送る
+app.get('/events', (req, res) => {
+  events.subscribe(req, res)
+})
+
+/**
+ * マーケットからのリクエストの署名を検証する
+ * 公開鍵を登録していないマーケットからのリクエストは署名なしで受け付ける
+ * @param {Object} req Express のリクエスト
+ * @param {Object} market 送信元のマーケット情報
+ * @returns {string|null} 検証に失敗した場合のエラーメッセージ。問題がなければnull
+ */
+function checkMarketSignature(req, market) {
+  if (!market.pubKey) {
+    return null
+  }
+  try {
+    if (req.headers[SIGNATURE_HEADERS.address] !== market.address) {
+      throw new Error('署名のアドレスが送信元と一致しません')
+    }
+    // 宛先は店が接続に使ったホスト名（Host ヘッダー）とパスで照合する
+    verifyRequest(
+      req.headers,
+      req.rawBody || '',
+      market.pubKey,
+      requestTarget(req.method, `http://${req.headers.host}${req.originalUrl}`)
+    )
+    return null
+  } catch (error) {
+    return error.message
+  }
+}
 
+// 取引報告API（署名付き。報告元は買い手なら buyer、売り手なら seller のアドレス）
+app.post('/trades', async (req, res) => {
   try {
-    // データディレクトリが存在しない場合は作成する
-    const dataDir = path.join(__dirname, '../data')
+    const { tradeId, role, buyer, seller, product, qty, totalPrice } = req.body
 
-    // データディレクトリが存在しない場合は作成
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true })
+    // バリデーション
+    if (typeof tradeId !== 'string' || !TRADE_ID_PATTERN.test(tradeId)) {
+      return res.status(400).json({
+        error:
+          '取引IDは64文字以内の英数字・ハイフン・アンダースコアで指定してください',
+      })
+    }
+    if (!TRADE_ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: 'role は buyer / seller で指定してください' })
+    }
+    if (
+      typeof buyer !== 'string' ||
+      typeof seller !== 'string' ||
+      typeof product !== 'string' ||
+      !Number.isInteger(qty) ||
+      qty <= 0 ||
+      typeof totalPrice !== 'number' ||
+      totalPrice < 0
+    ) {
+      return res.status(400).json({
+        error:
+          'buyer・seller・product・qty（正の整数）・totalPrice（0以上）が必要です',
+      })
     }
 
-    // 静的ファイル配信は削除（market-app側に移動）
+    // 報告元が登録済みのマーケットであることを確認し、公開鍵があれば署名を検証する
+    const reporter = role === 'buyer' ? buyer : seller
+    const market = registry.get(reporter)
+    if (!market) {
+      return res
+        .status(403)
+        .json({ error: '報告元のマーケットが登録されていません' })
+    }
+    const signatureError = checkMarketSignature(req, market)
+    if (signatureError) {
+      return res.status(401).json({ error: signatureError })
+    }
+
+    const trade = await ledger.report(role, {
+      tradeId,
+      buyer,
+      seller,
+      product,
+      qty,
+      totalPrice,
+      verified: Boolean(market.pubKey),
+    })
+    res.status(200).json(trade)
+  } catch (error) {
+    if (error.code === 'ECONFLICT') {
+      return res.status(409).json({ error: error.message })
+    }
+    console.error('取引の報告の記録中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// 取引台帳取得API（新しい順。status で照合状態、verified で署名の有無を絞り込む）
+app.get('/trades', async (req, res) => {
+  try {
+    const { status, verified } = req.query
+    if (
+      status !== undefined &&
+      !Object.values(TRADE_STATUSES).includes(status)
+    ) {
+      return res.status(400).json({
+        error: `status は ${Object.values(TRADE_STATUSES).join(
+          ' / '
+        )} で指定してください`,
+      })
+    }
+    if (verified !== undefined && !['true', 'false'].includes(verified)) {
+      return res
+        .status(400)
+        .json({ error: 'verified は true / false で指定してください' })
+    }
+    res.status(200).json(
+      await ledger.list({
+        status,
+        verified: verified === undefined ? undefined : verified === 'true',
+      })
+    )
+  } catch (error) {
+    console.error('取引台帳の取得中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// 取引取得API（取引IDが複数の売り手で使われている場合は ?seller=IP:PORT で指定する）
+app.get('/trades/:tradeId', async (req, res) => {
+  try {
+    const trades = await ledger.find(req.params.tradeId, req.query.seller)
+    if (trades.length === 0) {
+      return res.status(404).json({ error: '取引が見つかりません' })
+    }
+    if (trades.length > 1) {
+      return res.status(400).json({
+        error:
+          'この取引IDは複数の売り手で使われています。seller で売り手を指定してください',
+      })
+    }
+    res.status(200).json(trades[0])
+  } catch (error) {
+    console.error('取引の取得中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+/**
+ * 相手の報告待ちの取引を照合する
+ * @returns {Promise<void>}
+ */
+async function reconcileTrades() {
+  try {
+    const changed = await ledger.reconcile()
+    if (changed > 0) {
+      console.log(`取引の照合: ${changed}件の照合状態を更新しました`)
+    }
+  } catch (error) {
+    console.error('取引の照合中にエラーが発生しました:', error)
+  }
+}
+
+// 成績報告API（署名付き。本文は { capitalYen, procurementPts, collectionSize, distinctItems, salesCount, salesRevenue }）
+app.post('/markets/:address/stats', async (req, res) => {
+  try {
+    const market = registry.get(req.params.address)
+    if (!market) {
+      return res.status(404).json({ error: 'マーケットが登録されていません' })
+    }
+    const signatureError = checkMarketSignature(req, market)
+    if (signatureError) {
+      return res.status(401).json({ error: signatureError })
+    }
+    const error = validateStats(req.body)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const entry = await leaderboard.record(market.address, req.body, {
+      name: market.name,
+      verified: Boolean(market.pubKey),
+    })
+    res.status(200).json(entry)
+  } catch (error) {
+    console.error('成績の記録中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// ランキング取得API（by で順位付けの項目を指定。既定は総資産）
+app.get('/leaderboard', async (req, res) => {
+  try {
+    const by = req.query.by ?? 'assets'
+    if (!Object.hasOwn(LEADERBOARD_RANKINGS, by)) {
+      return res.status(400).json({
+        error: `by は ${Object.keys(LEADERBOARD_RANKINGS).join(
+          ' / '
+        )} で指定してください`,
+      })
+    }
+
+    // 登録を削除した店の成績も残し、現在の状態を添えて返す
+    const entries = await leaderboard.rank(by)
+    res.status(200).json(
+      entries.map((entry) => ({
+        ...entry,
+        status: registry.get(entry.address)?.status ?? null,
+      }))
+    )
+  } catch (error) {
+    console.error('ランキングの取得中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// 商品カタログ取得API
+app.get('/products', (req, res) => {
+  res.status(200).json(buildCatalogue(listPublicMarkets()))
+})
+
+// 商品の販売店取得API（商品名はURLエンコードして指定。例: /products/%E3%82%B3%E3%83%BC%E3%83%92%E3%83%BC/offers）
+app.get('/products/:name/offers', (req, res) => {
+  const offers = listOffers(listPublicMarkets(), req.params.name)
+  if (!offers) {
+    return res.status(404).json({ error: '商品が見つかりません' })
+  }
+  res.status(200).json(offers)
+})
+
+// お知らせ取得API（掲載期限内のもの。新しい順）
+app.get('/announcements', async (req, res) => {
+  try {
+    res.status(200).json(await announcements.list())
+  } catch (error) {
+    console.error('お知らせの取得中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+/**
+ * お知らせが変わったことをイベントストリームで通知する（掲載期限内のお知らせをすべて送る）
+ * @returns {Promise<void>}
+ */
+async function publishAnnouncements() {
+  events.publish('announcements', {
+    announcements: await announcements.list(),
+  })
+}
+
+/**
+ * 取引ラウンドの現在の状態を返す形式に整形する
+ * @returns {Object} 現在の状態（店・ブラウザが時刻のずれを補正できるよう、サーバーの現在時刻 serverTime を付ける）
+ */
+function toSessionResponse() {
+  return { ...resolveSession(session), serverTime: new Date().toISOString() }
+}
+
+/**
+ * 次に時刻によって取引ラウンドの状態が切り替わるときに、イベントストリームで通知するよう予約する
+ */
+function scheduleSessionTransition() {
+  clearTimeout(sessionTimer)
+  sessionTimer = null
+  const at = nextTransitionAt(session)
+  if (at === null) {
+    return
+  }
+  // setTimeout の上限（約24.8日）を超える場合は、上限で一度起きて予約し直す
+  const delay = Math.min(Math.max(at - Date.now(), 0) + 10, 2 ** 31 - 1)
+  sessionTimer = setTimeout(() => {
+    const current = resolveSession(session)
+    console.log(`取引ラウンドの状態: ${current.state}`)
+    events.publish('session', toSessionResponse())
+    scheduleSessionTransition()
+  }, delay)
+  sessionTimer.unref()
+}
+
+// 取引ラウンドの状態取得API
+app.get('/session', (req, res) => {
+  res.status(200).json(toSessionResponse())
+})
+
+/**
+ * リクエストに正しい管理用トークンが付いているかどうか（Authorization: Bearer <adminToken>）
+ * @param {Object} req Express のリクエスト
+ * @returns {boolean} adminToken が設定されていて、トークンが一致する場合はtrue
+ */
+function isAdminRequest(req) {
+  if (!ADMIN_TOKEN) {
+    return false
+  }
+  // 長さや内容によって比較にかかる時間が変わらないよう、ハッシュ値どうしを比べる
+  const digest = (text) => createHash('sha256').update(text).digest()
+  const [scheme, token] = (req.headers.authorization || '').split(' ')
+  return (
+    scheme === 'Bearer' &&
+    Boolean(token) &&
+    timingSafeEqual(digest(token), digest(ADMIN_TOKEN))
+  )
+}
+
+/**
+ * 管理用トークンを確認する（Authorization: Bearer <adminToken>）
+ * adminToken が設定されていない場合、管理APIは使用できない
+ * @param {Object} req Express のリクエスト
+ * @param {Object} res Express のレスポンス
+ * @param {Function} next 次の処理
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({
+      error: '管理用トークン（adminToken）が設定されていないため使用できません',
+    })
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: '管理用トークンが正しくありません' })
+  }
+  next()
+}
+
+// 教師用の管理API（すべて管理用トークンが必要）
+const admin = express.Router()
+admin.use(requireAdmin)
+app.use('/admin', admin)
+
+// 出入り禁止にできるアドレスの形式（IPアドレス、または IP:PORT）
+const BAN_ADDRESS_PATTERN = /^[^\s:/]+(:\d{1,5})?$/
+
+// 店の一覧（ヘルスチェック履歴・公開鍵などを含む登録情報そのまま。商品名の修正は適用しない）
+admin.get('/markets', (req, res) => {
+  res.status(200).json(registry.list())
+})
+
+// 店の登録を強制的に削除する（店が動いていれば次のハートビートで登録し直される。防ぐには出入り禁止にする）
+admin.delete('/markets/:address', async (req, res) => {
+  try {
+    if (!registry.remove(req.params.address)) {
+      return res.status(404).json({ error: 'マーケットが見つかりません' })
+    }
+    await registry.flush()
+    console.log(`管理APIでマーケットを削除しました: ${req.params.address}`)
+    res.status(200).json({ message: 'マーケットの登録を削除しました' })
+  } catch (error) {
+    console.error('マーケット削除中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// 登録情報をリセットする（すべての店の登録を削除する。取引台帳・成績は残す）
+admin.post('/reset', async (req, res) => {
+  try {
+    const markets = registry.list()
+    markets.forEach((market) => registry.remove(market.address))
+    await registry.flush()
+    console.log(`管理APIで登録情報をリセットしました（${markets.length}件）`)
+    res.status(200).json({ removed: markets.length })
+  } catch (error) {
+    console.error('登録情報のリセット中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
 
-    // マーケット情報を読み込む（ファイルが存在しない場合は新規作成される）
-    await loadMarkets()
+// 出入り禁止の一覧
+admin.get('/bans', (req, res) => {
+  res.status(200).json(moderation.listBans())
+})
+
+// 出入り禁止にする（{ address, reason? }。address が IP アドレスだけの場合はすべてのポートが対象）
+// 該当する店がすでに登録されている場合は、登録も削除する
+admin.post('/bans', async (req, res) => {
+  try {
+    const { address, reason } = req.body
+    if (typeof address !== 'string' || !BAN_ADDRESS_PATTERN.test(address)) {
+      return res.status(400).json({
+        error: 'address は IPアドレス または IP:PORT 形式で指定してください',
+      })
+    }
+    if (
+      reason !== undefined &&
+      (typeof reason !== 'string' || reason.length > 200)
+    ) {
+      return res
+        .status(400)
+        .json({ error: '理由は200文字以内の文字列で指定してください' })
+    }
+
+    const ban = await moderation.ban(address, reason)
+    const removed = registry
+      .list()
+      .filter((market) => {
+        const host = market.address.slice(0, market.address.lastIndexOf(':'))
+        return market.address === address || host === address
+      })
+      .map((market) => registry.remove(market.address).address)
+    await registry.flush()
+    console.log(`管理APIで出入り禁止にしました: ${address}`)
+    res.status(200).json({ ban, removed })
+  } catch (error) {
+    console.error('出入り禁止の設定中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
 
-    console.log(`マーケット情報ファイル: ${MARKETS_FILE}`)
+// 出入り禁止を解除する
+admin.delete('/bans/:address', async (req, res) => {
+  try {
+    if (!(await moderation.unban(req.params.address))) {
+      return res.status(404).json({ error: '出入り禁止の設定が見つかりません' })
+    }
+    res.status(200).json({ message: '出入り禁止を解除しました' })
+  } catch (error) {
+    console.error('出入り禁止の解除中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+/**
+ * 商品名の修正を反映したマーケット情報を、その商品を扱う店ごとにイベントストリームで通知する
+ * @param {string} product 元の商品名
+ */
+function publishProductRuleChange(product) {
+  for (const market of registry.list()) {
+    if (productsOf(market).some((item) => item.product === product)) {
+      events.publish('market-updated', {
+        market: toMarketResponse(moderation.applyToMarket(market)),
+      })
+    }
+  }
+}
+
+// 商品名の修正の一覧
+admin.get('/products', (req, res) => {
+  res.status(200).json(moderation.listProductRules())
+})
+
+// 商品名を修正する（{ displayName?, hidden? }。商品名は元の名前をURLエンコードして指定）
+admin.put('/products/:name', async (req, res) => {
+  try {
+    const { displayName, hidden } = req.body
+    if (
+      displayName !== undefined &&
+      (typeof displayName !== 'string' ||
+        displayName.trim() === '' ||
+        displayName.length > 50)
+    ) {
+      return res
+        .status(400)
+        .json({ error: '表示名は1〜50文字で指定してください' })
+    }
+    if (hidden !== undefined && typeof hidden !== 'boolean') {
+      return res
+        .status(400)
+        .json({ error: 'hidden は true / false で指定してください' })
+    }
+    if (!displayName && !hidden) {
+      return res.status(400).json({
+        error: 'displayName または hidden: true のどちらかを指定してください',
+      })
+    }
+
+    const rule = await moderation.setProductRule(req.params.name, {
+      displayName,
+      hidden,
+    })
+    publishProductRuleChange(req.params.name)
+    res.status(200).json(rule)
+  } catch (error) {
+    console.error('商品名の修正中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// 商品名の修正を取り消す
+admin.delete('/products/:name', async (req, res) => {
+  try {
+    if (!(await moderation.removeProductRule(req.params.name))) {
+      return res.status(404).json({ error: '商品名の修正が見つかりません' })
+    }
+    publishProductRuleChange(req.params.name)
+    res.status(200).json({ message: '商品名の修正を取り消しました' })
+  } catch (error) {
+    console.error('商品名の修正の取り消し中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+/**
+ * 日時の文字列を検証する
+ * @param {*} value 値
+ * @returns {boolean} 未指定（undefined / null）または ISO 8601 形式の日時の場合はtrue
+ */
+function isOptionalDate(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === 'string' && !Number.isNaN(Date.parse(value)))
+  )
+}
+
+// 取引ラウンドを設定する（{ state, round?, startsAt?, endsAt?, durationMs? }）
+// 例: { "state": "OPEN", "round": 2, "durationMs": 600000 } で第2ラウンドを今から10分間
+admin.put('/session', async (req, res) => {
+  try {
+    const { state, round, startsAt, endsAt, durationMs } = req.body
+    if (!Object.values(SESSION_STATES).includes(state)) {
+      return res.status(400).json({
+        error: `state は ${Object.values(SESSION_STATES).join(
+          ' / '
+        )} で指定してください`,
+      })
+    }
+    if (
+      round !== undefined &&
+      round !== null &&
+      (!Number.isInteger(round) || round <= 0)
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'round は正の整数で指定してください' })
+    }
+    if (!isOptionalDate(startsAt) || !isOptionalDate(endsAt)) {
+      return res.status(400).json({
+        error: 'startsAt / endsAt は日時（ISO 8601形式）で指定してください',
+      })
+    }
+    if (
+      durationMs !== undefined &&
+      (!Number.isInteger(durationMs) || durationMs <= 0 || endsAt)
+    ) {
+      return res.status(400).json({
+        error:
+          'durationMs は正の整数（ミリ秒）で、endsAt と同時には指定しないでください',
+      })
+    }
+    if (startsAt && endsAt && Date.parse(endsAt) <= Date.parse(startsAt)) {
+      return res
+        .status(400)
+        .json({ error: 'endsAt は startsAt より後の日時を指定してください' })
+    }
+
+    const changed = changeSession(session, {
+      state,
+      round,
+      startsAt: startsAt && new Date(startsAt).toISOString(),
+      endsAt: endsAt && new Date(endsAt).toISOString(),
+      durationMs,
+    })
+    await storage.setDocument('session', changed)
+    session = changed
+    console.log(
+      `管理APIで取引ラウンドを設定しました: ${resolveSession(session).state}`
+    )
+    events.publish('session', toSessionResponse())
+    scheduleSessionTransition()
+    res.status(200).json(toSessionResponse())
+  } catch (error) {
+    console.error('取引ラウンドの設定中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// お知らせの一覧（掲載期限を過ぎたものを含む）
+admin.get('/announcements', async (req, res) => {
+  try {
+    res.status(200).json(await announcements.list({ includeExpired: true }))
+  } catch (error) {
+    console.error('お知らせの取得中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// お知らせを投稿する（{ message, level?: "info" | "warning" | "danger", expiresAt? }）
+admin.post('/announcements', async (req, res) => {
+  try {
+    const { message, level = 'info', expiresAt } = req.body
+    if (
+      typeof message !== 'string' ||
+      message.trim() === '' ||
+      message.length > 500
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'お知らせは1〜500文字で指定してください' })
+    }
+    if (!ANNOUNCEMENT_LEVELS.includes(level)) {
+      return res.status(400).json({
+        error: `level は ${ANNOUNCEMENT_LEVELS.join(' / ')} で指定してください`,
+      })
+    }
+    if (
+      expiresAt !== undefined &&
+      (typeof expiresAt !== 'string' || Number.isNaN(Date.parse(expiresAt)))
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'expiresAt は日時（ISO 8601形式）で指定してください' })
+    }
+
+    const announcement = await announcements.post({
+      message: message.trim(),
+      level,
+      expiresAt: expiresAt && new Date(expiresAt).toISOString(),
+    })
+    await publishAnnouncements()
+    res.status(200).json(announcement)
+  } catch (error) {
+    console.error('お知らせの投稿中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// お知らせを削除する
+admin.delete('/announcements/:id', async (req, res) => {
+  try {
+    if (!(await announcements.remove(req.params.id))) {
+      return res.status(404).json({ error: 'お知らせが見つかりません' })
+    }
+    await publishAnnouncements()
+    res.status(200).json({ message: 'お知らせを削除しました' })
+  } catch (error) {
+    console.error('お知らせの削除中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// ストレージを開く（データディレクトリがない場合は作成、SQLiteの初回はJSONから移行）
+printConfig()
+try {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true })
+  }
+  storage = await openStorage({
+    backend: STORAGE_BACKEND,
+    dataDir: DATA_DIR,
+    layout: STORAGE_LAYOUT,
+  })
+  registry = createRegistry(storage, { onChange: publishMarketChange })
+  ledger = createLedger(storage, { graceMs: TRADE_REPORT_GRACE })
+  leaderboard = createLeaderboard(storage)
+  moderation = createModeration(storage)
+  announcements = createAnnouncements(storage)
+  await moderation.load()
+  session = (await storage.getDocument('session')) ?? DEFAULT_SESSION
+  scheduleSessionTransition()
+  const count = await registry.load()
+  console.log(
+    `データの保存方法: ${storage.backend}（${DATA_DIR}、${count}件のマーケット）`
+  )
+} catch (error) {
+  console.error('ストレージを開けませんでした:', error.message)
+  process.exit(1)
+}
+
+// サーバー起動（待ち受けアドレスが未設定の場合はすべてのアドレス）
+app.listen(PORT, BIND_HOST || undefined, async () => {
+  console.log(`マーケット情報サーバーが起動しました - ポート: ${PORT}`)
+
+  try {
+    // 静的ファイル配信は削除（market-app側に移動）
 
     // 定期的なヘルスチェックを開始
     setInterval(performHealthChecks, HEALTH_CHECK_INTERVAL)
     console.log(`ヘルスチェック間隔: ${HEALTH_CHECK_INTERVAL / 1000}秒`)
+
+    // 定期的な取引の照合を開始
+    setInterval(reconcileTrades, RECONCILE_INTERVAL)
   } catch (error) {
     console.error('サーバー初期化中にエラーが発生しました:', error)
   }
 })
+
+// 終了時に保存していない変更を保存する
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    await registry.flush()
+    process.exit(0)
+  })
+}
@@ -0,0 +1,288 @@
+/**
+ * config-loader.js - 設定読み込みモジュール
+ *
+ * このモジュールは、設定項目の定義（スキーマ）に従って、
+ * 既定値・設定ファイル（JSON または .env）・環境変数・コマンドライン引数を
+ * この順に重ねて読み込み、値を検証します。後のものほど優先されます。
+ *
+ * 設定項目のキーは設定ファイル（JSON）での名前で、環境変数名と引数名は
+ * キーから自動的に決まります（例: centralServer → CENTRAL_SERVER / --central-server）。
+ *
+ * 中央サーバーと店側アプリで同じ内容のファイルを使用しています。
+ */
+
+import path from 'path'
+import { parseArgs } from 'node:util'
+import { readJSON, readText } from './db.js'
+
+/**
+ * キーを環境変数名に変換する（centralServer → CENTRAL_SERVER）
+ * @param {string} key 設定項目のキー
+ * @returns {string} 環境変数名
+ */
+export function toEnvName(key) {
+  return key.replace(/([A-Z])/g, '_$1').toUpperCase()
+}
+
+/**
+ * キーを引数名に変換する（centralServer → central-server）
+ * @param {string} key 設定項目のキー
+ * @returns {string} 引数名（先頭の -- を除く）
+ */
+export function toFlagName(key) {
+  return key.replace(/([A-Z])/g, '-$1').toLowerCase()
+}
+
+// 型ごとの値の変換・検証（不正な値の場合はエラーメッセージを投げる）
+const PARSERS = {
+  string: (value) => String(value),
+  port: (value) => {
+    const port = Number(value)
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new Error('1〜65535の整数で指定してください')
+    }
+    return port
+  },
+  url: (value) => {
+    if (!/^https?:\/\/[^\s/]+/.test(String(value))) {
+      throw new Error('http:// または https:// で始まるURLで指定してください')
+    }
+    return String(value).replace(/\/+$/, '')
+  },
+  path: (value) => path.resolve(String(value)),
+  duration: (value) => {
+    const ms = Number(value)
+    if (!Number.isInteger(ms) || ms <= 0) {
+      throw new Error('正の整数（ミリ秒）で指定してください')
+    }
+    return ms
+  },
+  count: (value) => {
+    const count = Number(value)
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error('正の整数で指定してください')
+    }
+    return count
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') {
+      return value
+    }
+    if (/^(true|1|yes|on)$/i.test(String(value))) {
+      return true
+    }
+    if (/^(false|0|no|off)$/i.test(String(value))) {
+      return false
+    }
+    throw new Error('true または false で指定してください')
+  },
+}
+
+/**
+ * 設定項目の値を変換・検証する
+ * @param {Object} definition 設定項目の定義
+ * @param {*} value 値
+ * @returns {*} 変換後の値
+ * @throws {Error} 値が不正な場合
+ */
+function parseValue(definition, value) {
+  if (definition.values) {
+    if (!definition.values.includes(value)) {
+      throw new Error(
+        `${definition.values.join(' / ')} のいずれかで指定してください`
+      )
+    }
+    return value
+  }
+  return PARSERS[definition.type](value)
+}
+
+/**
+ * .env 形式のテキストを解析する
+ * @param {string} text .env ファイルの内容
+ * @returns {Object} 環境変数名と値の組
+ */
+function parseDotEnv(text) {
+  const entries = {}
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(
+      /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/
+    )
+    if (match) {
+      entries[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2')
+    }
+  }
+  return entries
+}
+
+/**
+ * 設定ファイルを読み込み、設定項目のキーと値の組に変換する
+ * @param {Object} schema 設定項目の定義
+ * @param {string} file 設定ファイルのパス（.env で終わる場合は .env 形式）
+ * @returns {Promise<Object>} キーと値の組
+ * @throws {Error} ファイルが存在しない場合（code: 'ENOENT'）や形式が不正な場合
+ */
+async function readConfigFile(schema, file) {
+  if (!file.endsWith('.env')) {
+    const data = await readJSON(file)
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+      throw new Error(
+        `設定ファイルはオブジェクト形式のJSONで記述してください: ${file}`
+      )
+    }
+    return data
+  }
+
+  const entries = parseDotEnv(await readText(file))
+  const data = {}
+  for (const key of Object.keys(schema)) {
+    if (entries[toEnvName(key)] !== undefined) {
+      data[key] = entries[toEnvName(key)]
+    }
+  }
+  return data
+}
+
+/**
+ * コマンドライン引数の定義（parseArgs の options 形式）を作成する
+ * @param {Object} schema 設定項目の定義
+ * @returns {Object} 引数の定義
+ */
+export function createCliOptions(schema) {
+  const options = { config: { type: 'string' } }
+  for (const key of Object.keys(schema)) {
+    options[toFlagName(key)] = { type: 'string' }
+  }
+  return options
+}
+
+/**
+ * 設定を読み込む
+ * @param {Object} schema 設定項目の定義（キー → { type, default, values?, secret?, description }）
+ * @param {Object} options オプション
+ * @param {Array<string>} options.defaultFiles 既定の設定ファイル（存在するものだけ順に読み込む）
+ * @param {Array<string>} [options.argv] コマンドライン引数
+ * @param {Object} [options.env] 環境変数
+ * @returns {Promise<{ values: Object, sources: Object, configFile: string, errors: Array<string> }>}
+ *   設定値・各値の読み込み元・書き込み先の設定ファイル・エラーメッセージ
+ */
+export async function loadConfig(
+  schema,
+  { defaultFiles, argv = process.argv.slice(2), env = process.env }
+) {
+  const errors = []
+  const values = {}
+  const sources = {}
+
+  // 1. 既定値
+  for (const [key, definition] of Object.entries(schema)) {
+    values[key] = definition.default
+    sources[key] = '既定値'
+  }
+
+  /**
+   * 値を検証して設定する
+   * @param {string} key 設定項目のキー
+   * @param {*} value 値
+   * @param {string} source 読み込み元の説明
+   */
+  const apply = (key, value, source) => {
+    try {
+      values[key] = parseValue(schema[key], value)
+      sources[key] = source
+    } catch (error) {
+      errors.push(`${key}（${source}）: ${error.message}`)
+    }
+  }
+
+  // コマンドライン引数（各スクリプト固有の引数もあるため、未知の引数は無視する）
+  const { values: flags } = parseArgs({
+    args: argv,
+    options: createCliOptions(schema),
+    strict: false,
+    allowPositionals: true,
+  })
+
+  // 2. 設定ファイル（--config / CONFIG_FILE 指定時はそのファイルのみ）
+  const explicitFile = flags.config ?? env.CONFIG_FILE
+  const files = explicitFile ? [path.resolve(explicitFile)] : defaultFiles
+  for (const file of files) {
+    try {
+      const data = await readConfigFile(schema, file)
+      for (const [key, value] of Object.entries(data)) {
+        if (!schema[key]) {
+          console.warn(
+            `設定ファイルの未知の項目を無視します: ${key}（${file}）`
+          )
+          continue
+        }
+        apply(key, value, `設定ファイル ${path.basename(file)}`)
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        errors.push(error.message)
+      } else if (explicitFile) {
+        // セットアップで新しく作成する場合もあるため、警告のみ表示する
+        console.warn(`指定された設定ファイルが見つかりません: ${file}`)
+      }
+    }
+  }
+
+  // 3. 環境変数
+  for (const key of Object.keys(schema)) {
+    const name = toEnvName(key)
+    if (env[name] !== undefined && env[name] !== '') {
+      apply(key, env[name], `環境変数 ${name}`)
+    }
+  }
+
+  // 4. コマンドライン引数
+  for (const key of Object.keys(schema)) {
+    const flag = toFlagName(key)
+    if (flags[flag] !== undefined) {
+      apply(key, flags[flag], `引数 --${flag}`)
+    }
+  }
+
+  return {
+    values,
+    sources,
+    configFile: explicitFile ? path.resolve(explicitFile) : defaultFiles[0],
+    errors,
+  }
+}
+
+/**
+ * 設定を読み込み、エラーがあれば表示してプロセスを終了する
+ * @param {Object} schema 設定項目の定義
+ * @param {Object} options loadConfig のオプション
+ * @returns {Promise<Object>} loadConfig の結果
+ */
+export async function loadConfigOrExit(schema, options) {
+  const result = await loadConfig(schema, options)
+  if (result.errors.length > 0) {
+    console.error('設定に誤りがあります:')
+    result.errors.forEach((error) => console.error(`  - ${error}`))
+    process.exit(1)
+  }
+  return result
+}
+
+/**
+ * 有効な設定値と読み込み元を表示する（secret の項目は値を伏せる）
+ * @param {Object} schema 設定項目の定義
+ * @param {Object} loaded loadConfig の結果
+ */
+export function printConfig(schema, { values, sources }) {
+  const width = Math.max(...Object.keys(schema).map((key) => key.length))
+  console.log('有効な設定:')
+  for (const key of Object.keys(schema)) {
+    const value =
+      values[key] === ''
+        ? '（未設定）'
+        : schema[key].secret
+        ? '（設定済み）'
+        : values[key]
+    console.log(`  ${key.padEnd(width)} = ${value}  [${sources[key]}]`)
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * config.js - 設定ファイル
+ *
+ * マーケット情報サーバーの設定値を定義します。
+ * 設定値は次の順に読み込み、後のものほど優先されます（config-loader.js 参照）。
+ *   1. 既定値（下記 SCHEMA の default）
+ *   2. 設定ファイル（central.config.json と .env。--config / CONFIG_FILE で指定も可能）
+ *   3. 環境変数（例: PORT=8091, HEALTH_CHECK_INTERVAL=10000）
+ *   4. コマンドライン引数（例: --port 8091 --data-dir ./data-test）
+ */
+
+import path from 'path'
+import { fileURLToPath } from 'url'
+import {
+  loadConfigOrExit,
+  printConfig as printLoadedConfig,
+} from './config-loader.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const PACKAGE_DIR = path.join(__dirname, '..')
+
+// 設定項目の定義
+const SCHEMA = {
+  // サーバーポート
+  port: { type: 'port', default: 8090 },
+  // 待ち受けるアドレス（空の場合はすべてのアドレス）
+  bindHost: { type: 'string', default: '' },
+  // データディレクトリ（markets.json の保存先）
+  dataDir: { type: 'path', default: path.join(PACKAGE_DIR, 'data') },
+  // データの保存方法（'json': JSONファイル、'sqlite': SQLiteデータベース）
+  storageBackend: {
+    type: 'string',
+    values: ['json', 'sqlite'],
+    default: 'json',
+  },
+  // ヘルスチェック間隔（ミリ秒）
+  healthCheckInterval: { type: 'duration', default: 30000 },
+  // ヘルスチェックのタイムアウト（ミリ秒）
+  healthCheckTimeout: { type: 'duration', default: 1000 },
+  // ヘルスチェック履歴としてマーケットごとに残す件数
+  healthHistorySize: { type: 'count', default: 20 },
+  // 応答時間がこれを超えたら DEGRADED とする（ミリ秒）
+  degradedLatency: { type: 'duration', default: 500 },
+  // 連続してこの回数失敗したら OFFLINE とする
+  offlineAfterFailures: { type: 'count', default: 3 },
+  // OFFLINE / DEGRADED から連続してこの回数成功したら ONLINE に戻す
+  onlineAfterSuccesses: { type: 'count', default: 2 },
+  // OFFLINE のままヘルスチェックに最後に応答してからこの時間が経ったマーケットを一覧から削除する（ミリ秒）
+  marketExpiry: { type: 'duration', default: 600000 },
+  // 取引の照合を実行する間隔（ミリ秒）
+  reconcileInterval: { type: 'duration', default: 60000 },
+  // 取引の相手側の報告を待つ時間（ミリ秒）。過ぎたら報告がないものとして unmatched にする
+  tradeReportGrace: { type: 'duration', default: 300000 },
+  // 同じ送信元から registerRateWindow の間に受け付ける /register の回数
+  registerRateLimit: { type: 'count', default: 10 },
+  // /register の回数を数える時間（ミリ秒）
+  registerRateWindow: { type: 'duration', default: 60000 },
+  // 管理API（/admin）に必要なトークン（空の場合は管理APIを使用できない）
+  adminToken: { type: 'string', default: '', secret: true },
+}
+
+const loaded = await loadConfigOrExit(SCHEMA, {
+  defaultFiles: [
+    path.join(PACKAGE_DIR, 'central.config.json'),
+    path.join(PACKAGE_DIR, '.env'),
+  ],
+})
+
+// 有効な設定値
+export const config = loaded.values
+
+/**
+ * 有効な設定値と読み込み元を表示する
+ */
+export function printConfig() {
+  printLoadedConfig(SCHEMA, loaded)
+}
+
+export const PORT = config.port
+export const BIND_HOST = config.bindHost
+export const DATA_DIR = config.dataDir
+export const STORAGE_BACKEND = config.storageBackend
+export const HEALTH_CHECK_INTERVAL = config.healthCheckInterval
+export const HEALTH_CHECK_TIMEOUT = config.healthCheckTimeout
+export const MARKET_EXPIRY = config.marketExpiry
+export const RECONCILE_INTERVAL = config.reconcileInterval
+export const TRADE_REPORT_GRACE = config.tradeReportGrace
+export const ADMIN_TOKEN = config.adminToken
+export const REGISTER_RATE_LIMIT = {
+  limit: config.registerRateLimit,
+  windowMs: config.registerRateWindow,
+}
+export const HEALTH_HISTORY_SIZE = config.healthHistorySize
+export const HEALTH_THRESHOLDS = {
+  degradedLatency: config.degradedLatency,
+  offlineAfterFailures: config.offlineAfterFailures,
+  onlineAfterSuccesses: config.onlineAfterSuccesses,
+}
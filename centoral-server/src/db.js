@@ -4,17 +4,51 @@
  * このモジュールは、JSONファイルの読み書きを抽象化し、
  * アプリケーション全体でファイルI/Oを一元管理します。
  *
+ * アプリケーションのデータは openStorage() が返すストレージ経由で読み書きします。
+ * ストレージには次の2種類のバックエンドがあります。
+ *   - json:   データごとに1つのJSONファイル（既定。中身を直接確認できる）
+ *   - sqlite: 1つのSQLiteデータベース（取引が多い場合向け。トランザクションに対応）
+ *
+ * JSONファイルへの書き込みは、一時ファイルに書き込んでディスクに同期してから
+ * 本来のファイル名に置き換えるため、途中でプロセスが落ちても中途半端なファイルは残りません。
+ * 置き換える前のファイルは <ファイル名>.bak として1世代残します。
+ * ファイルが壊れていた場合は、中断した書き込みのジャーナルがあればそこから書き込みをやり直します。
+ * ジャーナルで直らない場合は、最後の書き込みが失われないよう .bak から自動では復元せず、
+ * エラーで停止します（壊れたファイルを初期データで上書きしない）。
+ *
  * 仕様書「7.b. ファイルI/O分離」に基づいて実装されています。
+ *
+ * 中央サーバーと店側アプリで同じ内容のファイルを使用しています。
  */
 
-import { readFile, writeFile } from 'node:fs/promises'
+import path, { dirname, join } from 'path'
+import { hostname } from 'node:os'
+import { randomBytes } from 'node:crypto'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { readFile, open, rename, copyFile, unlink } from 'node:fs/promises'
+
+// 複数のファイルをまとめて書き込む途中で落ちた場合に、起動時に書き込みをやり直すためのファイル
+const JOURNAL_FILE = 'journal.json'
+
+/**
+ * ファイルが存在しないことを表すエラーを作成する
+ * 呼び出し側が「ファイルがない」と「読み込みに失敗した」を区別できるよう code を付ける
+ *
+ * @param {string} path - ファイルのパス
+ * @returns {Error} - code が 'ENOENT' のエラー
+ */
+const notFoundError = (path) => {
+  const error = new Error(`ファイルが見つかりません: ${path}`)
+  error.code = 'ENOENT'
+  return error
+}
 
 /**
  * 指定されたパスからJSONファイルを読み込む
  *
  * @param {string} path - 読み込むJSONファイルのパス
  * @returns {Promise<Object>} - パースされたJSONオブジェクト
- * @throws {Error} - ファイルが存在しない場合やJSONパースエラーの場合
+ * @throws {Error} - ファイルが存在しない場合（code: 'ENOENT'）やJSONパースエラーの場合（code: 'ECORRUPT'）
  */
 export const readJSON = async (path) => {
   try {
@@ -22,26 +56,799 @@ export const readJSON = async (path) => {
     return JSON.parse(data)
   } catch (error) {
     if (error.code === 'ENOENT') {
-      throw new Error(`ファイルが見つかりません: ${path}`)
+      throw notFoundError(path)
     } else if (error instanceof SyntaxError) {
-      throw new Error(`JSONパースエラー: ${path} - ${error.message}`)
+      const parseError = new Error(
+        `JSONパースエラー: ${path} - ${error.message}`
+      )
+      parseError.code = 'ECORRUPT'
+      throw parseError
+    }
+    throw error
+  }
+}
+
+/**
+ * JSONファイルを読み込む。ファイルが壊れている場合はジャーナルから書き込みをやり直す
+ *
+ * 同じディレクトリに中断した書き込みのジャーナル（journal.json）があり、このファイルの内容が
+ * 含まれていれば、ジャーナルの書き込みをやり直してから読み込み直す
+ * （壊れたファイルは <ファイル名>.corrupt-<時刻> に移して残す。replayJournal() 参照）。
+ * ジャーナルで直らない場合、バックアップ（.bak）は最後の書き込みを含まない可能性があるため
+ * 自動では復元せず、確認を促すエラーを投げる（起動時に読み込めば起動を中止する）。
+ *
+ * @param {string} path - 読み込むJSONファイルのパス
+ * @returns {Promise<Object>} - パースされたJSONオブジェクト
+ * @throws {Error} - ファイルが存在しない場合（code: 'ENOENT'）や、ジャーナルで直らない場合（code: 'ECORRUPT'）
+ */
+export const readJSONWithBackup = async (path) => {
+  try {
+    return await readJSON(path)
+  } catch (error) {
+    if (error.code !== 'ECORRUPT') {
+      throw error
+    }
+    const dataDir = dirname(path)
+    const journalFiles = await readJSON(join(dataDir, JOURNAL_FILE)).then(
+      (entries) => entries.map(({ name }) => jsonFileOf(dataDir, name)),
+      () => []
+    )
+    if (journalFiles.includes(path)) {
+      await replayJournal(dataDir)
+      return readJSON(path)
+    }
+
+    const hasBackup = await readJSON(`${path}.bak`).then(
+      () => true,
+      () => false
+    )
+    const corruptError = new Error(
+      hasBackup
+        ? `${error.message}（バックアップは最後の書き込みを含まない可能性があるため、自動では復元しません。` +
+          `${path}.bak の内容を確認してから ${path} に置き換えてください）`
+        : `${error.message}（バックアップからも復元できません）`
+    )
+    corruptError.code = 'ECORRUPT'
+    throw corruptError
+  }
+}
+
+/**
+ * 指定されたパスからテキストファイルを読み込む
+ *
+ * @param {string} path - 読み込むファイルのパス
+ * @returns {Promise<string>} - ファイルの内容
+ * @throws {Error} - ファイルが存在しない場合（code: 'ENOENT'）や読み込みエラーの場合
+ */
+export const readText = async (path) => {
+  try {
+    return await readFile(path, 'utf8')
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw notFoundError(path)
     }
     throw error
   }
 }
 
+/**
+ * ディレクトリの内容（ファイル名の置き換え）をディスクに同期する
+ * ディレクトリを開けない環境（Windowsなど）では何もしない
+ *
+ * @param {string} dir - ディレクトリのパス
+ * @returns {Promise<void>}
+ */
+const syncDirectory = async (dir) => {
+  let handle
+  try {
+    handle = await open(dir, 'r')
+    await handle.sync()
+  } catch (error) {
+    // 同期できなくても書き込み自体は完了している
+  } finally {
+    await handle?.close()
+  }
+}
+
+/**
+ * 現在のファイルをバックアップ（<ファイル名>.bak）にコピーする
+ *
+ * @param {string} path - ファイルのパス
+ * @returns {Promise<void>}
+ */
+const backupFile = async (path) => {
+  try {
+    await copyFile(path, `${path}.bak.tmp`)
+    await rename(`${path}.bak.tmp`, `${path}.bak`)
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error
+    }
+  }
+}
+
 /**
  * 指定されたパスにJSONデータを書き込む
  *
+ * 一時ファイルに書き込み、ディスクに同期してから本来のファイル名に置き換える。
+ * 置き換える前のファイルは <ファイル名>.bak に残す。
+ *
  * @param {string} path - 書き込み先のファイルパス
  * @param {Object} data - 書き込むデータオブジェクト
  * @returns {Promise<void>} - 書き込み完了後に解決するPromise
  * @throws {Error} - 書き込みエラーの場合
  */
 export const writeJSON = async (path, data) => {
+  const tempPath = `${path}.${process.pid}.tmp`
   try {
-    await writeFile(path, JSON.stringify(data, null, 2), 'utf8')
+    const handle = await open(tempPath, 'w')
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2), 'utf8')
+      await handle.sync()
+    } finally {
+      await handle.close()
+    }
+    await backupFile(path)
+    await rename(tempPath, path)
+    await syncDirectory(dirname(path))
   } catch (error) {
+    await unlink(tempPath).catch(() => {})
     throw new Error(`ファイル書き込みエラー: ${path} - ${error.message}`)
   }
 }
+
+/**
+ * データ項目ごとのJSONファイルのパスを返す
+ * @param {string} dataDir データディレクトリ
+ * @param {string} name データ項目の名前（例: 'assets'）
+ * @returns {string} ファイルのパス（例: data/assets.json）
+ */
+const jsonFileOf = (dataDir, name) => path.join(dataDir, `${name}.json`)
+
+/**
+ * JSONファイルを読み込む。ファイルが存在しない場合は fallback を返す
+ * （壊れている場合はジャーナルから書き込みをやり直し、直らなければ例外を投げる）
+ * @param {string} file ファイルのパス
+ * @param {*} fallback ファイルが存在しない場合の値
+ * @returns {Promise<*>} 読み込んだデータ
+ */
+const readJSONOr = async (file, fallback) => {
+  try {
+    return await readJSONWithBackup(file)
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback
+    }
+    throw error
+  }
+}
+
+/**
+ * レコードが条件（フィールドと値の組）にすべて一致するか判定する
+ * @param {Object} record レコード
+ * @param {Object} where 条件
+ * @returns {boolean} 一致する場合はtrue
+ */
+const matchesWhere = (record, where) =>
+  Object.entries(where).every(([field, value]) => record[field] === value)
+
+/**
+ * 処理を1つずつ順番に実行するキューを作成する
+ * @returns {Function} 非同期関数を受け取り、順番が来たら実行する関数
+ */
+const createQueue = () => {
+  let tail = Promise.resolve()
+  return (task) => {
+    const run = tail.then(task)
+    tail = run.catch(() => {})
+    return run
+  }
+}
+
+// ロックファイルの既定の設定（ミリ秒）
+const LOCK_DEFAULTS = {
+  timeout: 5000, // ロックを待つ最長時間
+  staleAfter: 30000, // これより古いロックは持ち主が落ちたものとみなす
+  retryDelay: 20, // 最初の再試行までの待ち時間（再試行のたびに2倍、最大 maxRetryDelay）
+  maxRetryDelay: 500,
+}
+
+// ロックファイルごとのプロセス内の待ち行列
+const lockQueues = new Map()
+
+/**
+ * プロセスが動いているか確認する
+ * @param {number} pid プロセスID
+ * @returns {boolean} 動いている（または確認できない）場合はtrue
+ */
+const isProcessAlive = (pid) => {
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (error) {
+    return error.code !== 'ESRCH'
+  }
+}
+
+/**
+ * ロックファイルが古くなっている（持ち主がいない）か判定する
+ * @param {Object} holder ロックファイルの内容（{ pid, host, acquiredAt }）
+ * @param {number} staleAfter 古いとみなすまでの時間（ミリ秒）
+ * @returns {boolean} 古い場合はtrue
+ */
+const isStaleLock = (holder, staleAfter) => {
+  if (Date.now() - holder.acquiredAt > staleAfter) {
+    return true
+  }
+  // 同じマシンのプロセスなら、終了していれば古いとみなす
+  return holder.host === hostname() && !isProcessAlive(holder.pid)
+}
+
+/**
+ * ロックファイルの内容を読み込む
+ * @param {string} lockPath ロックファイルのパス
+ * @returns {Promise<Object|null>} ロックファイルの内容。ファイルがない・読めない場合はnull
+ */
+const readLockHolder = async (lockPath) => {
+  try {
+    const holder = JSON.parse(await readFile(lockPath, 'utf8'))
+    return Number.isInteger(holder.pid) && Number.isFinite(holder.acquiredAt)
+      ? holder
+      : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * 古いロックファイルを取り除く
+ *
+ * 別のプロセスが同時に取り除いて新しいロックを作った場合に消してしまわないよう、
+ * 一度別名に移してから中身が同じか確かめる。
+ * @param {string} lockPath ロックファイルのパス
+ * @param {number} staleAfter 古いとみなすまでの時間（ミリ秒）
+ * @returns {Promise<boolean>} 取り除いた場合はtrue
+ */
+const removeStaleLock = async (lockPath, staleAfter) => {
+  const holder = await readLockHolder(lockPath)
+  if (!holder || !isStaleLock(holder, staleAfter)) {
+    return false
+  }
+
+  const movedPath = `${lockPath}.${process.pid}.stale`
+  try {
+    await rename(lockPath, movedPath)
+  } catch (error) {
+    return false
+  }
+  const moved = await readLockHolder(movedPath)
+  if (moved?.token !== holder.token) {
+    // 取り除く直前に別のプロセスが取り直していた場合は元に戻す
+    await rename(movedPath, lockPath).catch(() => {})
+    return false
+  }
+  await unlink(movedPath).catch(() => {})
+  console.warn(
+    `古いロックファイルを取り除きました: ${lockPath}（PID ${
+      holder.pid
+    }、${new Date(holder.acquiredAt).toISOString()}）`
+  )
+  return true
+}
+
+/**
+ * ロックファイルを作成してロックを取得する（取得できるまで間隔を空けて再試行する）
+ * @param {string} lockPath ロックファイルのパス
+ * @param {Object} options ロックの設定（LOCK_DEFAULTS 参照）
+ * @returns {Promise<string>} ロックの識別子（解除時に使用）
+ * @throws {Error} 時間内に取得できない場合（code: 'ELOCKED'）
+ */
+const acquireFileLock = async (lockPath, options) => {
+  const { timeout, staleAfter, retryDelay, maxRetryDelay } = options
+  const token = randomBytes(8).toString('hex')
+  const startedAt = Date.now()
+  let delay = retryDelay
+
+  while (true) {
+    try {
+      const handle = await open(lockPath, 'wx')
+      try {
+        await handle.writeFile(
+          JSON.stringify({
+            pid: process.pid,
+            host: hostname(),
+            acquiredAt: Date.now(),
+            token,
+          })
+        )
+      } finally {
+        await handle.close()
+      }
+      return token
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error
+      }
+    }
+
+    if (await removeStaleLock(lockPath, staleAfter)) {
+      continue
+    }
+    if (Date.now() - startedAt >= timeout) {
+      const error = new Error(
+        `ロックを取得できませんでした（${timeout}ミリ秒待ちました）: ${lockPath}`
+      )
+      error.code = 'ELOCKED'
+      throw error
+    }
+    await sleep(delay + Math.floor(Math.random() * delay))
+    delay = Math.min(delay * 2, maxRetryDelay)
+  }
+}
+
+/**
+ * ロックファイルを削除してロックを解除する（自分が取得したロックの場合のみ）
+ * @param {string} lockPath ロックファイルのパス
+ * @param {string} token acquireFileLock が返したロックの識別子
+ * @returns {Promise<void>}
+ */
+const releaseFileLock = async (lockPath, token) => {
+  const holder = await readLockHolder(lockPath)
+  if (holder?.token !== token) {
+    console.warn(`ロックが別のプロセスに取り直されていました: ${lockPath}`)
+    return
+  }
+  try {
+    await unlink(lockPath)
+  } catch (error) {
+    console.error('ロックファイルの削除に失敗しました:', error.message)
+  }
+}
+
+/**
+ * ロックを取得して処理を実行する
+ *
+ * 同じプロセス内では待ち行列で1つずつ順番に実行し、
+ * 別のプロセス（セットアップなど）とはロックファイル（PIDと取得時刻を記録）で排他する。
+ * ロックファイルの持ち主が終了している、または staleAfter より古い場合は自動で取り除く。
+ *
+ * @param {string} lockPath ロックファイルのパス
+ * @param {Function} fn 実行する非同期関数
+ * @param {Object} [options] ロックの設定（LOCK_DEFAULTS 参照）
+ * @returns {Promise<*>} fn の戻り値
+ * @throws {Error} 時間内にロックを取得できない場合（code: 'ELOCKED'）
+ */
+export const withFileLock = (lockPath, fn, options = {}) => {
+  if (!lockQueues.has(lockPath)) {
+    lockQueues.set(lockPath, createQueue())
+  }
+  const enqueue = lockQueues.get(lockPath)
+
+  return enqueue(async () => {
+    const token = await acquireFileLock(lockPath, {
+      ...LOCK_DEFAULTS,
+      ...options,
+    })
+    try {
+      return await fn()
+    } finally {
+      await releaseFileLock(lockPath, token)
+    }
+  })
+}
+
+/**
+ * 読み書き関数からストレージの操作を組み立てる（JSONバックエンド用）
+ * @param {Function} load データ項目を読み込む関数（name, fallback）
+ * @param {Function} save データ項目を保存する関数（name, data）
+ * @param {Object} layout データ構成（openStorage 参照）
+ * @returns {Object} ストレージの操作
+ */
+const createJsonOperations = (load, save, layout) => ({
+  getDocument: (name) => load(name, undefined),
+  setDocument: (name, data) => save(name, data),
+  listRecords: (collection) => load(collection, []),
+  findRecords: async (collection, where) =>
+    (await load(collection, [])).filter((record) =>
+      matchesWhere(record, where)
+    ),
+  appendRecord: async (collection, record) => {
+    const records = await load(collection, [])
+    await save(collection, [...records, record])
+  },
+  putRecord: async (collection, record) => {
+    const { key } = layout.collections[collection]
+    const records = await load(collection, [])
+    const index = records.findIndex((r) => r[key] === record[key])
+    if (index >= 0) {
+      records[index] = record
+    } else {
+      records.push(record)
+    }
+    await save(collection, records)
+  },
+  deleteRecord: async (collection, keyValue) => {
+    const { key } = layout.collections[collection]
+    const records = await load(collection, [])
+    const remaining = records.filter((r) => r[key] !== keyValue)
+    if (remaining.length !== records.length) {
+      await save(collection, remaining)
+    }
+  },
+})
+
+/**
+ * 複数のファイルをまとめて書き込む
+ *
+ * 先に書き込む内容をすべてジャーナル（journal.json）に保存してから各ファイルを書き込み、
+ * 最後にジャーナルを削除する。途中で落ちた場合は、次回起動時に replayJournal() がやり直す。
+ * @param {string} dataDir データディレクトリ
+ * @param {Map} pending データ項目の名前と書き込む内容
+ * @returns {Promise<void>}
+ */
+const commitJsonWrites = async (dataDir, pending) => {
+  if (pending.size === 0) {
+    return
+  }
+  if (pending.size === 1) {
+    // 1ファイルだけなら writeJSON の置き換えだけで十分
+    const [[name, data]] = pending
+    await writeJSON(jsonFileOf(dataDir, name), data)
+    return
+  }
+
+  const journalPath = path.join(dataDir, JOURNAL_FILE)
+  const entries = [...pending].map(([name, data]) => ({ name, data }))
+  await writeJSON(journalPath, entries)
+  for (const { name, data } of entries) {
+    const file = jsonFileOf(dataDir, name)
+    // 壊れたファイルで .bak を上書きしないよう、先に移して残しておく
+    await readJSON(file).catch(async (error) => {
+      if (error.code === 'ECORRUPT') {
+        await rename(file, `${file}.corrupt-${Date.now()}`)
+      }
+    })
+    await writeJSON(file, data)
+  }
+  await unlink(journalPath)
+}
+
+/**
+ * 前回中断したまとめての書き込みがあれば、ジャーナルからやり直す
+ * @param {string} dataDir データディレクトリ
+ * @returns {Promise<void>}
+ */
+const replayJournal = async (dataDir) => {
+  const journalPath = path.join(dataDir, JOURNAL_FILE)
+  let entries
+  try {
+    entries = await readJSON(journalPath)
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return
+    }
+    throw error
+  }
+
+  for (const { name, data } of entries) {
+    const file = jsonFileOf(dataDir, name)
+    // 壊れたファイルで .bak を上書きしないよう、先に移して残しておく
+    await readJSON(file).catch(async (error) => {
+      if (error.code === 'ECORRUPT') {
+        await rename(file, `${file}.corrupt-${Date.now()}`)
+      }
+    })
+    await writeJSON(file, data)
+  }
+  await unlink(journalPath)
+  console.warn(
+    `前回中断した書き込みをやり直しました: ${entries
+      .map((entry) => entry.name)
+      .join(', ')}`
+  )
+}
+
+/**
+ * JSONファイルのストレージを作成する
+ *
+ * トランザクション中の書き込みはメモリ上に保持し、処理が成功したときだけ
+ * まとめてファイルに書き込む（途中で例外が発生した場合は何も書き込まない）。
+ * @param {string} dataDir データディレクトリ
+ * @param {Object} layout データ構成
+ * @returns {Promise<Object>} ストレージ
+ */
+const createJsonStorage = async (dataDir, layout) => {
+  await replayJournal(dataDir)
+
+  const enqueue = createQueue()
+  const load = (name, fallback) =>
+    readJSONOr(jsonFileOf(dataDir, name), fallback)
+  // 壊れたファイルがあれば、最初のリクエストを待たずに起動時に停止する
+  for (const name of [
+    ...layout.documents,
+    ...Object.keys(layout.collections),
+  ]) {
+    await load(name, undefined)
+  }
+  const save = (name, data) => writeJSON(jsonFileOf(dataDir, name), data)
+  const operations = createJsonOperations(load, save, layout)
+
+  const storage = { backend: 'json' }
+  for (const [name, operation] of Object.entries(operations)) {
+    storage[name] = (...args) => enqueue(() => operation(...args))
+  }
+
+  storage.transaction = (fn) =>
+    enqueue(async () => {
+      const pending = new Map()
+      const result = await fn(
+        createJsonOperations(
+          async (name, fallback) =>
+            pending.has(name)
+              ? structuredClone(pending.get(name))
+              : load(name, fallback),
+          async (name, data) => {
+            pending.set(name, structuredClone(data))
+          },
+          layout
+        )
+      )
+      await commitJsonWrites(dataDir, pending)
+      return result
+    })
+
+  storage.close = async () => {}
+  return storage
+}
+
+/**
+ * better-sqlite3 を読み込む（SQLiteバックエンドを使う場合のみ必要）
+ * @returns {Promise<Function>} Database クラス
+ * @throws {Error} インストールされていない場合
+ */
+const loadSqlite = async () => {
+  try {
+    return (await import('better-sqlite3')).default
+  } catch (error) {
+    throw new Error(
+      'SQLiteバックエンドを使うには better-sqlite3 をインストールしてください（npm install better-sqlite3）'
+    )
+  }
+}
+
+// SQLiteのテーブル定義
+// documents: 1件のデータ（assets など）、records: レコードの一覧（transactions など）
+const SQLITE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS documents (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS records (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    collection TEXT NOT NULL,
+    key TEXT,
+    data TEXT NOT NULL,
+    UNIQUE (collection, key)
+  );
+  CREATE INDEX IF NOT EXISTS records_collection ON records (collection, seq);
+  CREATE TABLE IF NOT EXISTS meta (
+    name TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`
+
+/**
+ * SQLiteデータベースからストレージの操作を組み立てる
+ * @param {Object} db better-sqlite3 のデータベース
+ * @param {Object} layout データ構成
+ * @returns {Object} ストレージの操作
+ */
+const createSqliteOperations = (db, layout) => {
+  const statements = {
+    getDocument: db.prepare('SELECT data FROM documents WHERE name = ?'),
+    setDocument: db.prepare(
+      'INSERT INTO documents (name, data) VALUES (?, ?) ' +
+        'ON CONFLICT (name) DO UPDATE SET data = excluded.data'
+    ),
+    listRecords: db.prepare(
+      'SELECT data FROM records WHERE collection = ? ORDER BY seq'
+    ),
+    insertRecord: db.prepare(
+      'INSERT INTO records (collection, key, data) VALUES (?, ?, ?)'
+    ),
+    putRecord: db.prepare(
+      'INSERT INTO records (collection, key, data) VALUES (?, ?, ?) ' +
+        'ON CONFLICT (collection, key) DO UPDATE SET data = excluded.data'
+    ),
+    deleteRecord: db.prepare(
+      'DELETE FROM records WHERE collection = ? AND key = ?'
+    ),
+  }
+  const keyOf = (collection, record) => {
+    const key = layout.collections[collection].key
+    return key ? String(record[key]) : null
+  }
+
+  return {
+    getDocument: async (name) => {
+      const row = statements.getDocument.get(name)
+      return row ? JSON.parse(row.data) : undefined
+    },
+    setDocument: async (name, data) => {
+      statements.setDocument.run(name, JSON.stringify(data))
+    },
+    listRecords: async (collection) =>
+      statements.listRecords.all(collection).map((row) => JSON.parse(row.data)),
+    findRecords: async (collection, where) => {
+      const fields = Object.keys(where)
+      if (fields.some((field) => !/^\w+$/.test(field))) {
+        throw new Error(`検索条件のフィールド名が不正です: ${fields}`)
+      }
+      const conditions = fields
+        .map((field) => ` AND json_extract(data, '$.${field}') = ?`)
+        .join('')
+      return db
+        .prepare(
+          `SELECT data FROM records WHERE collection = ?${conditions} ORDER BY seq`
+        )
+        .all(collection, ...Object.values(where))
+        .map((row) => JSON.parse(row.data))
+    },
+    appendRecord: async (collection, record) => {
+      statements.insertRecord.run(
+        collection,
+        keyOf(collection, record),
+        JSON.stringify(record)
+      )
+    },
+    putRecord: async (collection, record) => {
+      statements.putRecord.run(
+        collection,
+        keyOf(collection, record),
+        JSON.stringify(record)
+      )
+    },
+    deleteRecord: async (collection, keyValue) => {
+      statements.deleteRecord.run(collection, String(keyValue))
+    },
+  }
+}
+
+/**
+ * 既存のJSONファイルのデータをSQLiteデータベースに取り込む（初回のみ）
+ *
+ * 取り込み済みかどうかは meta テーブルに記録する。JSONファイルはそのまま残す。
+ * @param {Object} db better-sqlite3 のデータベース
+ * @param {string} dataDir データディレクトリ
+ * @param {Object} layout データ構成
+ * @returns {Promise<void>}
+ */
+const migrateFromJson = async (db, dataDir, layout) => {
+  const migrated = db
+    .prepare("SELECT value FROM meta WHERE name = 'jsonMigratedAt'")
+    .get()
+  if (migrated) {
+    return
+  }
+
+  // ファイルの読み込み（非同期）を先に済ませ、書き込みは1つのトランザクションで行う
+  const documents = []
+  for (const name of layout.documents) {
+    const data = await readJSONOr(jsonFileOf(dataDir, name), undefined)
+    if (data !== undefined) {
+      documents.push([name, data])
+    }
+  }
+  const collections = []
+  for (const name of Object.keys(layout.collections)) {
+    const records = await readJSONOr(jsonFileOf(dataDir, name), [])
+    if (!Array.isArray(records)) {
+      throw new Error(
+        `JSONファイルの形式が不正です（配列ではありません）: ${name}.json`
+      )
+    }
+    collections.push([name, records])
+  }
+
+  const operations = createSqliteOperations(db, layout)
+  db.exec('BEGIN IMMEDIATE')
+  try {
+    for (const [name, data] of documents) {
+      await operations.setDocument(name, data)
+    }
+    for (const [name, records] of collections) {
+      for (const record of records) {
+        await operations.putRecord(name, record)
+      }
+    }
+    db.prepare(
+      "INSERT INTO meta (name, value) VALUES ('jsonMigratedAt', ?)"
+    ).run(new Date().toISOString())
+    db.exec('COMMIT')
+  } catch (error) {
+    db.exec('ROLLBACK')
+    throw new Error(`JSONファイルからの移行に失敗しました: ${error.message}`)
+  }
+
+  const summary = [
+    ...documents.map(([name]) => name),
+    ...collections.map(([name, records]) => `${name}（${records.length}件）`),
+  ]
+  if (summary.length > 0) {
+    console.log(
+      `JSONファイルのデータをSQLiteに移行しました: ${summary.join(', ')}`
+    )
+  }
+}
+
+/**
+ * SQLiteのストレージを作成する
+ *
+ * 読み書きはすべて1つずつ順番に実行する。トランザクションは BEGIN IMMEDIATE 〜 COMMIT で囲み、
+ * 途中で例外が発生した場合は ROLLBACK する。
+ * @param {string} dataDir データディレクトリ
+ * @param {Object} layout データ構成
+ * @returns {Promise<Object>} ストレージ
+ */
+const createSqliteStorage = async (dataDir, layout) => {
+  const Database = await loadSqlite()
+  const db = new Database(path.join(dataDir, layout.database))
+  db.pragma('journal_mode = WAL')
+  db.exec(SQLITE_SCHEMA)
+  // JSONバックエンドで中断した書き込みがあれば、取り込む前にやり直しておく
+  await replayJournal(dataDir)
+  await migrateFromJson(db, dataDir, layout)
+
+  const enqueue = createQueue()
+  const operations = createSqliteOperations(db, layout)
+
+  const storage = { backend: 'sqlite' }
+  for (const [name, operation] of Object.entries(operations)) {
+    storage[name] = (...args) => enqueue(() => operation(...args))
+  }
+
+  storage.transaction = (fn) =>
+    enqueue(async () => {
+      db.exec('BEGIN IMMEDIATE')
+      try {
+        const result = await fn(operations)
+        db.exec('COMMIT')
+        return result
+      } catch (error) {
+        db.exec('ROLLBACK')
+        throw error
+      }
+    })
+
+  storage.close = () => enqueue(async () => db.close())
+  return storage
+}
+
+/**
+ * ストレージを開く
+ *
+ * ストレージは次の操作を持つ（すべて Promise を返す）。
+ *   - getDocument(name) / setDocument(name, data): 1件のデータ（存在しない場合は undefined）
+ *   - listRecords(collection): レコードの一覧（追加順）
+ *   - findRecords(collection, where): フィールドの値が一致するレコードの一覧
+ *   - appendRecord(collection, record): レコードを追加する
+ *   - putRecord(collection, record): キーが同じレコードを置き換える（なければ追加）
+ *   - deleteRecord(collection, key): キーが一致するレコードを削除する（なければ何もしない）
+ *   - transaction(fn): fn(tx) の中の読み書きをまとめて反映する。fn が例外を投げた場合は何も反映しない。
+ *     fn の中では引数の tx の操作を使うこと（ストレージ自体の操作を呼ぶと処理が進まなくなる）
+ *
+ * @param {Object} options オプション
+ * @param {string} options.backend バックエンド（'json' または 'sqlite'）
+ * @param {string} options.dataDir データディレクトリ
+ * @param {Object} options.layout データ構成
+ * @param {Array<string>} options.layout.documents 1件のデータの名前（例: ['assets']）
+ * @param {Object} options.layout.collections レコードの一覧の名前と設定（例: { orders: { key: 'id' } }）
+ * @param {string} options.layout.database SQLiteのデータベースファイル名
+ * @returns {Promise<Object>} ストレージ
+ */
+export const openStorage = async ({ backend, dataDir, layout }) => {
+  if (backend === 'sqlite') {
+    return createSqliteStorage(dataDir, layout)
+  }
+  return createJsonStorage(dataDir, layout)
+}
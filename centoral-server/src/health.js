@@ -0,0 +1,153 @@
+/**
+ * health.js - ヘルスチェック履歴とマーケット状態の判定
+ *
+ * このモジュールは、マーケットごとのヘルスチェック結果（成否・応答時間）の履歴を管理し、
+ * 履歴からマーケットの状態（ONLINE / DEGRADED / OFFLINE）を決めます。
+ *
+ * 1回の失敗ですぐに OFFLINE にせず、連続した失敗・成功の回数で状態を切り替えます（ヒステリシス）。
+ *   - 失敗: ONLINE → DEGRADED。offlineAfterFailures 回連続で失敗すると OFFLINE
+ *   - 成功: OFFLINE / DEGRADED → onlineAfterSuccesses 回連続で成功すると ONLINE（それまでは DEGRADED）
+ *   - 応答時間が degradedLatency を超えた場合は、成功していても DEGRADED
+ */
+
+// マーケットの状態
+export const MARKET_STATUSES = {
+  ONLINE: 'ONLINE', // 正常に応答している
+  DEGRADED: 'DEGRADED', // 失敗し始めた・復帰したばかり・応答が遅い
+  OFFLINE: 'OFFLINE', // 連続して応答がない
+}
+
+/**
+ * 空のヘルスチェック情報を作成する
+ * @returns {Object} ヘルスチェック情報
+ */
+export function createHealth() {
+  return {
+    lastSeenAt: null, // 最後に応答・連絡（登録・ハートビート）があった時刻
+    lastReachableAt: null, // ヘルスチェックに最後に応答した時刻
+    lastCheckedAt: null, // 最後にチェックした時刻
+    consecutiveFailures: 0,
+    consecutiveSuccesses: 0,
+    history: [], // 直近のチェック結果（{ at, ok, latencyMs, error? }）
+  }
+}
+
+/**
+ * ヘルスチェックの結果を記録する
+ * @param {Object|undefined} health これまでのヘルスチェック情報
+ * @param {Object} probe チェック結果（{ ok, latencyMs, error? }）
+ * @param {number} historySize 履歴に残す件数
+ * @returns {Object} 新しいヘルスチェック情報
+ */
+export function recordProbe(health = createHealth(), probe, historySize) {
+  const at = new Date().toISOString()
+  const entry = {
+    at,
+    ok: probe.ok,
+    latencyMs: probe.ok ? probe.latencyMs : null,
+    ...(probe.error ? { error: probe.error } : {}),
+  }
+
+  return {
+    ...health,
+    lastSeenAt: probe.ok ? at : health.lastSeenAt,
+    lastReachableAt: probe.ok ? at : health.lastReachableAt ?? null,
+    lastCheckedAt: at,
+    consecutiveFailures: probe.ok ? 0 : health.consecutiveFailures + 1,
+    consecutiveSuccesses: probe.ok ? health.consecutiveSuccesses + 1 : 0,
+    history: [...health.history, entry].slice(-historySize),
+  }
+}
+
+/**
+ * ヘルスチェック情報から次の状態を決める
+ * @param {string} status 現在の状態
+ * @param {Object} health 最新の結果を記録したヘルスチェック情報
+ * @param {Object} thresholds しきい値（{ offlineAfterFailures, onlineAfterSuccesses, degradedLatency }）
+ * @returns {string} 次の状態
+ */
+export function decideStatus(status, health, thresholds) {
+  const { offlineAfterFailures, onlineAfterSuccesses, degradedLatency } =
+    thresholds
+  const latest = health.history[health.history.length - 1]
+
+  if (!latest.ok) {
+    if (
+      health.consecutiveFailures >= offlineAfterFailures ||
+      status === MARKET_STATUSES.OFFLINE
+    ) {
+      return MARKET_STATUSES.OFFLINE
+    }
+    return MARKET_STATUSES.DEGRADED
+  }
+
+  if (latest.latencyMs > degradedLatency) {
+    return MARKET_STATUSES.DEGRADED
+  }
+  if (
+    status === MARKET_STATUSES.ONLINE ||
+    health.consecutiveSuccesses >= onlineAfterSuccesses
+  ) {
+    return MARKET_STATUSES.ONLINE
+  }
+  return MARKET_STATUSES.DEGRADED
+}
+
+/**
+ * 店からの登録・ハートビートを受け付けたことをヘルスチェック情報に反映する
+ * 店から中央サーバーに届いても、ほかの店から店に届くとは限らないため、連絡があった時刻だけを記録する
+ * （失敗回数と状態はヘルスチェックの結果だけで決める）
+ * @param {Object|undefined} health これまでのヘルスチェック情報
+ * @returns {Object} 新しいヘルスチェック情報
+ */
+export function markSeen(health = createHealth()) {
+  return {
+    ...health,
+    lastSeenAt: new Date().toISOString(),
+  }
+}
+
+/**
+ * OFFLINE のまま期限が過ぎたマーケットかどうか
+ *
+ * ヘルスチェックに最後に応答した時刻（一度も応答していない場合は登録日時。記録がない古いデータは更新日時）
+ * から判定する。ハートビートを送り続けていても、ヘルスチェックに応答しないマーケットは期限切れになる。
+ * @param {Object} market マーケット情報
+ * @param {number} expiryMs 期限（ミリ秒）
+ * @param {number} [now] 現在時刻（ミリ秒）
+ * @returns {boolean} 期限切れの場合はtrue
+ */
+export function isMarketExpired(market, expiryMs, now = Date.now()) {
+  if (market.status !== MARKET_STATUSES.OFFLINE) {
+    return false
+  }
+  const lastReachable = Date.parse(
+    market.health?.lastReachableAt ?? market.createdAt ?? market.updatedAt
+  )
+  return !(now - lastReachable < expiryMs)
+}
+
+/**
+ * ヘルスチェック履歴を集計する
+ * @param {Object|undefined} health ヘルスチェック情報
+ * @returns {{ uptimePercent: number|null, averageLatencyMs: number|null }}
+ *   稼働率（履歴のうち応答があった割合）と平均応答時間。履歴がない場合はnull
+ */
+export function summarizeHealth(health) {
+  const history = health?.history || []
+  const succeeded = history.filter((entry) => entry.ok)
+  if (history.length === 0) {
+    return { uptimePercent: null, averageLatencyMs: null }
+  }
+
+  const uptimePercent =
+    Math.round((succeeded.length / history.length) * 1000) / 10
+  const averageLatencyMs =
+    succeeded.length > 0
+      ? Math.round(
+          succeeded.reduce((sum, entry) => sum + entry.latencyMs, 0) /
+            succeeded.length
+        )
+      : null
+  return { uptimePercent, averageLatencyMs }
+}
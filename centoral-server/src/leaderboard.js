@@ -0,0 +1,100 @@
+/**
+ * leaderboard.js - 店の成績のランキング
+ *
+ * 店から定期的に報告される成績（POST /markets/:address/stats）を店ごとに記録し、
+ * 総資産・売上・集めた商品の種類数のいずれかで順位を付けます。
+ *
+ * - 総資産は資金（capitalYen）と仕入れポイント（procurementPts）の合計
+ * - 成績は最新の報告だけを残す（店が登録を削除したり期限切れになったりしても残る）
+ * - 値が同じ店は同じ順位にする（例: 1位、1位、3位）
+ */
+
+// 順位付けに使う項目（GET /leaderboard?by=）
+export const LEADERBOARD_RANKINGS = {
+  assets: 'totalAssets', // 総資産
+  revenue: 'salesRevenue', // 売上
+  collection: 'distinctItems', // 集めた商品の種類数
+}
+
+// 金額として報告される項目
+const AMOUNT_FIELDS = ['capitalYen', 'procurementPts', 'salesRevenue']
+// 件数として報告される項目
+const COUNT_FIELDS = ['collectionSize', 'distinctItems', 'salesCount']
+
+/**
+ * 店から報告された成績を検証する
+ * @param {Object} stats 成績（{ capitalYen, procurementPts, collectionSize, distinctItems, salesCount, salesRevenue }）
+ * @returns {string|null} エラーメッセージ。問題がなければnull
+ */
+export function validateStats(stats) {
+  if (!stats || typeof stats !== 'object') {
+    return '成績を指定してください'
+  }
+  if (AMOUNT_FIELDS.some((field) => !Number.isFinite(stats[field]))) {
+    return `${AMOUNT_FIELDS.join('・')} は数値で指定してください`
+  }
+  if (
+    COUNT_FIELDS.some(
+      (field) => !Number.isInteger(stats[field]) || stats[field] < 0
+    )
+  ) {
+    return `${COUNT_FIELDS.join('・')} は0以上の整数で指定してください`
+  }
+  return null
+}
+
+/**
+ * ランキングを作成する
+ * @param {Object} storage 保存先のストレージ（stats コレクション。db.js の openStorage 参照）
+ * @returns {Object} ランキングの操作
+ */
+export function createLeaderboard(storage) {
+  return {
+    /**
+     * 店の成績を記録する（同じ店の以前の報告は置き換える）
+     * @param {string} address 店のアドレス（IP:PORT形式）
+     * @param {Object} stats 成績（validateStats で検証済みのもの）
+     * @param {Object} details 記録する付加情報（{ name?, verified }）
+     * @returns {Promise<Object>} 記録した成績
+     */
+    async record(address, stats, { name, verified }) {
+      const entry = {
+        address,
+        ...(name ? { name } : {}),
+        capitalYen: stats.capitalYen,
+        procurementPts: stats.procurementPts,
+        totalAssets: stats.capitalYen + stats.procurementPts,
+        collectionSize: stats.collectionSize,
+        distinctItems: stats.distinctItems,
+        salesCount: stats.salesCount,
+        salesRevenue: stats.salesRevenue,
+        verified,
+        reportedAt: new Date().toISOString(),
+      }
+      await storage.putRecord('stats', entry)
+      return entry
+    },
+
+    /**
+     * 成績の順位を返す
+     * @param {string} by 順位付けに使う項目（LEADERBOARD_RANKINGS のキー）
+     * @returns {Promise<Array>} 順位（rank）を付けた成績の配列（順位の高い順。同じ値は報告の早い順）
+     */
+    async rank(by) {
+      const field = LEADERBOARD_RANKINGS[by]
+      const entries = await storage.listRecords('stats')
+      entries.sort(
+        (a, b) =>
+          b[field] - a[field] || a.reportedAt.localeCompare(b.reportedAt)
+      )
+
+      let rank = 0
+      return entries.map((entry, index) => {
+        if (index === 0 || entry[field] !== entries[index - 1][field]) {
+          rank = index + 1
+        }
+        return { rank, ...entry }
+      })
+    },
+  }
+}
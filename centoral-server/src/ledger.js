@@ -0,0 +1,219 @@
+/**
+ * ledger.js - 取引台帳と照合
+ *
+ * このモジュールは、店から報告された取引（POST /trades）を売り手と取引IDの組ごとに記録し、
+ * 買い手と売り手の報告を照合します（取引IDは買い手が決めるため、売り手が違えば別の取引として扱う）。
+ *
+ * - 取引は買い手・売り手の報告がそろうと照合し、内容が一致すれば matched、食い違えば unmatched にする
+ * - 一方の報告しかないまま猶予時間が過ぎた取引は、相手の報告がないものとして unmatched にする
+ * - 同じ側から内容の異なる報告が届いた場合は、最初の報告を残して受け付けない
+ * - 公開鍵を登録していない店からの署名のない報告は受け付けるが、取引の verified を false にして区別する
+ */
+
+// 取引の照合状態
+export const TRADE_STATUSES = {
+  PENDING: 'pending', // 相手の報告待ち
+  MATCHED: 'matched', // 買い手と売り手の報告が一致した
+  UNMATCHED: 'unmatched', // 食い違いがある、または相手の報告がない
+}
+
+// 報告する側
+export const TRADE_ROLES = ['buyer', 'seller']
+
+// 報告の照合に使う項目
+const REPORT_FIELDS = ['buyer', 'seller', 'product', 'qty', 'totalPrice']
+
+/**
+ * 台帳のキー（売り手のアドレスと取引IDの組）を返す
+ * @param {string} seller 売り手のアドレス
+ * @param {string} tradeId 取引ID
+ * @returns {string} キー（例: "192.168.0.10:8082/trade-1"）
+ */
+function tradeKeyOf(seller, tradeId) {
+  return `${seller}/${tradeId}`
+}
+
+/**
+ * 取引の報告がすべて署名付きかどうか
+ * @param {Object} trade 取引
+ * @returns {boolean} 届いている報告がすべて署名を検証済みの場合はtrue
+ */
+function isVerifiedTrade(trade) {
+  return TRADE_ROLES.filter((role) => trade[role]).every(
+    (role) => trade[role].verified
+  )
+}
+
+/**
+ * 買い手と売り手の報告を比べ、食い違いを返す
+ * @param {Object} buyerReport 買い手の報告
+ * @param {Object} sellerReport 売り手の報告
+ * @returns {Array<Object>} 食い違い（{ type, field, buyer, seller }）の配列。一致した場合は空
+ */
+export function compareReports(buyerReport, sellerReport) {
+  return REPORT_FIELDS.filter(
+    (field) => buyerReport[field] !== sellerReport[field]
+  ).map((field) => ({
+    type: `${field}-mismatch`,
+    field,
+    buyer: buyerReport[field],
+    seller: sellerReport[field],
+  }))
+}
+
+/**
+ * 2つの報告が同じ内容かどうか
+ * @param {Object} a 報告
+ * @param {Object} b 報告
+ * @returns {boolean} 同じ内容の場合はtrue
+ */
+function sameReport(a, b) {
+  return REPORT_FIELDS.every((field) => a[field] === b[field])
+}
+
+/**
+ * 取引の照合状態を決める
+ * @param {Object} trade 取引
+ * @param {number} graceMs 相手の報告を待つ時間（ミリ秒）
+ * @param {number} now 現在時刻（ミリ秒）
+ * @returns {Object} 照合状態を更新した取引（変わらない場合は同じオブジェクト）
+ */
+function reconcileTrade(trade, graceMs, now) {
+  if (trade.status !== TRADE_STATUSES.PENDING) {
+    return trade
+  }
+
+  const reconciledAt = new Date(now).toISOString()
+  if (trade.buyer && trade.seller) {
+    const issues = compareReports(trade.buyer, trade.seller)
+    return {
+      ...trade,
+      status:
+        issues.length === 0 ? TRADE_STATUSES.MATCHED : TRADE_STATUSES.UNMATCHED,
+      issues,
+      reconciledAt,
+    }
+  }
+
+  if (now - Date.parse(trade.createdAt) < graceMs) {
+    return trade
+  }
+  return {
+    ...trade,
+    status: TRADE_STATUSES.UNMATCHED,
+    issues: [
+      { type: trade.buyer ? 'missing-seller-report' : 'missing-buyer-report' },
+    ],
+    reconciledAt,
+  }
+}
+
+/**
+ * 取引台帳を作成する
+ * @param {Object} storage 保存先のストレージ（trades コレクション。db.js の openStorage 参照）
+ * @param {Object} options オプション
+ * @param {number} options.graceMs 相手の報告を待つ時間（ミリ秒）
+ * @returns {Object} 取引台帳の操作
+ */
+export function createLedger(storage, { graceMs }) {
+  return {
+    /**
+     * 取引の報告を記録する
+     * @param {string} role 報告する側（'buyer' または 'seller'）
+     * @param {Object} report 報告（{ tradeId, buyer, seller, product, qty, totalPrice, verified }）
+     * @returns {Promise<Object>} 記録後の取引
+     * @throws {Error} 同じ側から内容の異なる報告がすでに届いている場合（code: 'ECONFLICT'）
+     */
+    async report(role, report) {
+      return storage.transaction(async (tx) => {
+        const now = Date.now()
+        const id = tradeKeyOf(report.seller, report.tradeId)
+        const [existing] = await tx.findRecords('trades', { id })
+        const trade = existing || {
+          id,
+          tradeId: report.tradeId,
+          sellerAddress: report.seller,
+          buyer: null,
+          seller: null,
+          status: TRADE_STATUSES.PENDING,
+          issues: [],
+          createdAt: new Date(now).toISOString(),
+        }
+
+        if (trade[role]) {
+          if (!sameReport(trade[role], report)) {
+            const conflict = new Error(
+              'この取引IDにはすでに異なる内容の報告があります'
+            )
+            conflict.code = 'ECONFLICT'
+            throw conflict
+          }
+          return trade
+        }
+
+        // 猶予時間を過ぎてから相手の報告が届いた場合も、照合し直す
+        const reported = {
+          ...trade,
+          [role]: { ...report, reportedAt: new Date(now).toISOString() },
+          status: TRADE_STATUSES.PENDING,
+        }
+        reported.verified = isVerifiedTrade(reported)
+        const reconciled = reconcileTrade(reported, graceMs, now)
+        await tx.putRecord('trades', reconciled)
+        return reconciled
+      })
+    },
+
+    /**
+     * 相手の報告待ちの取引を照合する（定期的に実行する）
+     * @returns {Promise<number>} 照合状態が変わった取引の件数
+     */
+    async reconcile() {
+      return storage.transaction(async (tx) => {
+        const now = Date.now()
+        let changed = 0
+        for (const trade of await tx.findRecords('trades', {
+          status: TRADE_STATUSES.PENDING,
+        })) {
+          const reconciled = reconcileTrade(trade, graceMs, now)
+          if (reconciled !== trade) {
+            await tx.putRecord('trades', reconciled)
+            changed++
+          }
+        }
+        return changed
+      })
+    },
+
+    /**
+     * 取引の一覧を返す（新しい順）
+     * @param {Object} [filter] 絞り込みの条件
+     * @param {string} [filter.status] 照合状態
+     * @param {boolean} [filter.verified] 報告がすべて署名付きかどうか
+     * @returns {Promise<Array>} 取引の配列
+     */
+    async list({ status, verified } = {}) {
+      const trades = status
+        ? await storage.findRecords('trades', { status })
+        : await storage.listRecords('trades')
+      return trades
+        .filter(
+          (trade) => verified === undefined || trade.verified === verified
+        )
+        .reverse()
+    },
+
+    /**
+     * 取引IDが一致する取引を検索する
+     * @param {string} tradeId 取引ID
+     * @param {string} [seller] 売り手のアドレス（省略した場合はすべての売り手）
+     * @returns {Promise<Array>} 取引の配列（売り手を指定した場合は0件または1件）
+     */
+    async find(tradeId, seller) {
+      return storage.findRecords(
+        'trades',
+        seller ? { id: tradeKeyOf(seller, tradeId) } : { tradeId }
+      )
+    },
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * market-query.js - マーケット一覧の検索・並べ替え・ページ分割
+ *
+ * GET /markets のクエリパラメータを解釈し、マーケット一覧に適用します。
+ *   - status: 状態（カンマ区切りで複数指定可。例: ONLINE,DEGRADED）
+ *   - q: 商品名（表示名がある場合は表示名）に含まれる文字列（大文字・小文字は区別しない）
+ *   - minPrice / maxPrice: 価格の範囲（範囲内の商品が1つでもあるマーケット）
+ *   - sort: 並べ替え（price: 最安の商品の価格、updatedAt: 更新日時、address: アドレス）
+ *   - order: 並び順（asc / desc。既定は asc）
+ *   - offset / limit: ページ分割（limit を省略した場合はすべて）
+ * これ以外のパラメータは 400 で断ります（query-params.js 参照）。
+ */
+
+import {
+  SORT_ORDERS,
+  firstValue,
+  checkKnownParams,
+  choiceError,
+  parseNonNegativeNumber,
+  parsePaging,
+} from './query-params.js'
+
+// 指定できる状態
+const STATUSES = ['ONLINE', 'DEGRADED', 'OFFLINE', 'UNKNOWN']
+// 指定できる並べ替えの項目
+const SORT_KEYS = ['price', 'updatedAt', 'address']
+// 指定できるクエリパラメータ
+const QUERY_PARAMS = [
+  'status',
+  'q',
+  'minPrice',
+  'maxPrice',
+  'sort',
+  'order',
+  'offset',
+  'limit',
+]
+
+/**
+ * マーケットの商品一覧を返す（単一商品の古い形式にも対応）
+ * @param {Object} market マーケット情報
+ * @returns {Array} 商品情報の配列（{ product, price, stock? }）
+ */
+export function productsOf(market) {
+  if (Array.isArray(market.products)) {
+    return market.products
+  }
+  if (market.product) {
+    return [{ product: market.product, price: market.price }]
+  }
+  return []
+}
+
+/**
+ * GET /markets のクエリパラメータを解釈する
+ * @param {Object} query クエリパラメータ（req.query）
+ * @returns {{ options?: Object, error?: string }} 検索条件、または不正な場合のエラーメッセージ
+ */
+export function parseMarketQuery(query) {
+  const single = (name) => firstValue(query, name)
+
+  const unknownError = checkKnownParams(query, QUERY_PARAMS)
+  if (unknownError) {
+    return { error: unknownError }
+  }
+
+  const statuses = single('status')
+    ? String(single('status'))
+        .split(',')
+        .map((status) => status.trim().toUpperCase())
+        .filter(Boolean)
+    : []
+  if (statuses.some((status) => !STATUSES.includes(status))) {
+    return { error: choiceError('status', STATUSES) }
+  }
+
+  const minPrice = parseNonNegativeNumber(single('minPrice'))
+  const maxPrice = parseNonNegativeNumber(single('maxPrice'))
+  if (minPrice === null || maxPrice === null) {
+    return { error: 'minPrice / maxPrice は0以上の数値で指定してください' }
+  }
+
+  const sort = single('sort')
+  if (sort !== undefined && !SORT_KEYS.includes(sort)) {
+    return { error: choiceError('sort', SORT_KEYS) }
+  }
+  const order = single('order') ?? 'asc'
+  if (!SORT_ORDERS.includes(order)) {
+    return { error: choiceError('order', SORT_ORDERS) }
+  }
+
+  const { offset, limit, error } = parsePaging(query)
+  if (error) {
+    return { error }
+  }
+
+  return {
+    options: {
+      statuses,
+      text: String(single('q') ?? '')
+        .trim()
+        .toLowerCase(),
+      minPrice,
+      maxPrice,
+      sort,
+      order,
+      offset,
+      limit,
+    },
+  }
+}
+
+/**
+ * 並べ替えに使う値を返す
+ * @param {Object} market マーケット情報
+ * @param {string} sort 並べ替えの項目
+ * @returns {number|string} 値
+ */
+function sortValueOf(market, sort) {
+  if (sort === 'price') {
+    const prices = productsOf(market).map((item) => item.price)
+    return prices.length > 0 ? Math.min(...prices) : Infinity
+  }
+  if (sort === 'updatedAt') {
+    return Date.parse(market.updatedAt ?? market.createdAt) || 0
+  }
+  return market.address
+}
+
+/**
+ * マーケットが検索条件に一致するかどうか
+ * @param {Object} market マーケット情報
+ * @param {Object} options 検索条件（parseMarketQuery 参照）
+ * @returns {boolean} 一致する場合はtrue
+ */
+function matchesQuery(market, options) {
+  const { statuses, text, minPrice, maxPrice } = options
+  if (statuses.length > 0 && !statuses.includes(market.status || 'UNKNOWN')) {
+    return false
+  }
+  if (!text && minPrice === undefined && maxPrice === undefined) {
+    return true
+  }
+
+  return productsOf(market).some(
+    (item) =>
+      (!text ||
+        String(item.displayName ?? item.product)
+          .toLowerCase()
+          .includes(text)) &&
+      (minPrice === undefined || item.price >= minPrice) &&
+      (maxPrice === undefined || item.price <= maxPrice)
+  )
+}
+
+/**
+ * マーケット一覧に検索条件を適用する
+ * @param {Array} markets マーケット情報の配列（登録順）
+ * @param {Object} options 検索条件（parseMarketQuery 参照）
+ * @returns {{ items: Array, total: number, nextOffset: number|null }}
+ *   該当するマーケット（指定されたページ分）、該当する件数、次のページの offset（最後のページの場合はnull）
+ */
+export function queryMarkets(markets, options) {
+  const { sort, order, offset, limit } = options
+  const matched = markets.filter((market) => matchesQuery(market, options))
+
+  if (sort) {
+    const direction = order === 'desc' ? -1 : 1
+    // 同じ値どうしは登録順のまま（Array.prototype.sort は安定ソート）
+    matched.sort((a, b) => {
+      const va = sortValueOf(a, sort)
+      const vb = sortValueOf(b, sort)
+      return va < vb ? -direction : va > vb ? direction : 0
+    })
+  }
+
+  const end = limit === undefined ? matched.length : offset + limit
+  return {
+    items: matched.slice(offset, end),
+    total: matched.length,
+    nextOffset: end < matched.length ? end : null,
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * moderation.js - 教師による店・商品の管理（出入り禁止と商品名の修正）
+ *
+ * 管理API（/admin）から設定された次の情報を保持し、マーケット情報に適用します。
+ *   - 出入り禁止: IPアドレス（すべてのポート）または IP:PORT 単位で /register を拒否する
+ *   - 商品名の修正: 不適切な商品名を別の表示名に置き換える、または一覧から隠す
+ *
+ * 店は元の商品名で取引するため、登録情報の商品名は書き換えず、
+ * 一覧・カタログに返すときに表示名（displayName）を付けたり、商品を除いたりします。
+ * 商品名の修正はどの店の商品にも、商品名が完全に一致するものに適用します。
+ */
+
+import { productsOf } from './market-query.js'
+
+/**
+ * 店・商品の管理情報を作成する
+ * @param {Object} storage 保存先のストレージ（bans・productRules コレクション。db.js の openStorage 参照）
+ * @returns {Object} 管理情報の操作
+ */
+export function createModeration(storage) {
+  // アドレス → 出入り禁止の情報
+  const bans = new Map()
+  // 商品名 → 商品名の修正（{ product, displayName?, hidden? }）
+  const productRules = new Map()
+
+  return {
+    /**
+     * ストレージから管理情報を読み込む（起動時に1回）
+     * @returns {Promise<void>}
+     */
+    async load() {
+      bans.clear()
+      for (const ban of await storage.listRecords('bans')) {
+        bans.set(ban.address, ban)
+      }
+      productRules.clear()
+      for (const rule of await storage.listRecords('productRules')) {
+        productRules.set(rule.product, rule)
+      }
+    },
+
+    /**
+     * 出入り禁止かどうか
+     * @param {string} ip IPアドレス
+     * @param {number|string} port ポート番号
+     * @returns {Object|undefined} 該当する出入り禁止の情報
+     */
+    findBan(ip, port) {
+      return bans.get(`${ip}:${port}`) ?? bans.get(String(ip))
+    },
+
+    /**
+     * 出入り禁止の一覧を返す
+     * @returns {Array} 出入り禁止の情報（{ address, reason?, createdAt }）の配列
+     */
+    listBans() {
+      return [...bans.values()]
+    },
+
+    /**
+     * 出入り禁止にする（すでに出入り禁止の場合は理由を更新する）
+     * @param {string} address IPアドレスまたは IP:PORT
+     * @param {string} [reason] 理由
+     * @returns {Promise<Object>} 出入り禁止の情報
+     */
+    async ban(address, reason) {
+      const ban = {
+        address,
+        ...(reason ? { reason } : {}),
+        createdAt: bans.get(address)?.createdAt ?? new Date().toISOString(),
+      }
+      await storage.putRecord('bans', ban)
+      bans.set(address, ban)
+      return ban
+    },
+
+    /**
+     * 出入り禁止を解除する
+     * @param {string} address IPアドレスまたは IP:PORT
+     * @returns {Promise<boolean>} 解除した場合はtrue（出入り禁止でなかった場合はfalse）
+     */
+    async unban(address) {
+      if (!bans.has(address)) {
+        return false
+      }
+      await storage.deleteRecord('bans', address)
+      bans.delete(address)
+      return true
+    },
+
+    /**
+     * 商品名の修正の一覧を返す
+     * @returns {Array} 商品名の修正（{ product, displayName?, hidden? }）の配列
+     */
+    listProductRules() {
+      return [...productRules.values()]
+    },
+
+    /**
+     * 商品名の修正を設定する（同じ商品名の以前の設定は置き換える）
+     * @param {string} product 元の商品名
+     * @param {Object} rule 修正内容（{ displayName?, hidden? }）
+     * @returns {Promise<Object>} 設定した修正
+     */
+    async setProductRule(product, { displayName, hidden }) {
+      const rule = {
+        product,
+        ...(displayName ? { displayName } : {}),
+        ...(hidden ? { hidden: true } : {}),
+        updatedAt: new Date().toISOString(),
+      }
+      await storage.putRecord('productRules', rule)
+      productRules.set(product, rule)
+      return rule
+    },
+
+    /**
+     * 商品名の修正を取り消す
+     * @param {string} product 元の商品名
+     * @returns {Promise<boolean>} 取り消した場合はtrue（設定がなかった場合はfalse）
+     */
+    async removeProductRule(product) {
+      if (!productRules.has(product)) {
+        return false
+      }
+      await storage.deleteRecord('productRules', product)
+      productRules.delete(product)
+      return true
+    },
+
+    /**
+     * マーケット情報に商品名の修正を適用する
+     * 隠した商品は除き、表示名を設定した商品には displayName を付ける
+     * @param {Object} market マーケット情報
+     * @returns {Object} 修正を適用したマーケット情報（修正がない場合は同じオブジェクト）
+     */
+    applyToMarket(market) {
+      const products = productsOf(market)
+      if (!products.some((item) => productRules.has(item.product))) {
+        return market
+      }
+
+      const { product, price, ...rest } = market
+      return {
+        ...rest,
+        products: products
+          .filter((item) => !productRules.get(item.product)?.hidden)
+          .map((item) => {
+            const displayName = productRules.get(item.product)?.displayName
+            return displayName ? { ...item, displayName } : item
+          }),
+      }
+    },
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * query-params.js - 一覧APIのクエリパラメータの解釈
+ *
+ * 検索・並べ替え・ページ分割に対応した一覧API（中央サーバーの GET /markets、
+ * 店側アプリの GET /api/transactions など）で共通の解釈とエラーメッセージを提供します。
+ * 知らないパラメータは 400 で断ります（綴りを間違えた条件が無視され、絞り込まれていない
+ * 一覧が返るのを防ぐため）。
+ *
+ * 中央サーバーと店側アプリで同じ内容のファイルを使用しています。
+ */
+
+// 1ページの最大件数
+export const MAX_LIMIT = 100
+// 指定できる並び順
+export const SORT_ORDERS = ['asc', 'desc']
+
+/**
+ * クエリパラメータの値を1つ取り出す（同じ名前が複数ある場合は最初の値）
+ * @param {Object} query クエリパラメータ（req.query）
+ * @param {string} name パラメータ名
+ * @returns {string|undefined} 値
+ */
+export function firstValue(query, name) {
+  return Array.isArray(query[name]) ? query[name][0] : query[name]
+}
+
+/**
+ * 知らないクエリパラメータがないか確認する
+ * @param {Object} query クエリパラメータ（req.query）
+ * @param {Array<string>} names 指定できるパラメータ名
+ * @returns {string|undefined} 知らないパラメータがある場合のエラーメッセージ
+ */
+export function checkKnownParams(query, names) {
+  const unknown = Object.keys(query).filter((name) => !names.includes(name))
+  if (unknown.length === 0) {
+    return undefined
+  }
+  return `不明なクエリパラメータです: ${unknown.join(
+    ', '
+  )}（指定できるのは ${names.join(' / ')}）`
+}
+
+/**
+ * 選択肢から選ぶパラメータのエラーメッセージを作成する
+ * @param {string} name パラメータ名
+ * @param {Array<string>} choices 選択肢
+ * @returns {string} エラーメッセージ
+ */
+export function choiceError(name, choices) {
+  return `${name} は ${choices.join(' / ')} で指定してください`
+}
+
+/**
+ * 0以上の整数のクエリパラメータを解釈する
+ * @param {string|undefined} value 値
+ * @returns {number|undefined|null} 数値（未指定は undefined、不正な場合は null）
+ */
+export function parseNonNegativeInteger(value) {
+  if (value === undefined || value === '') {
+    return undefined
+  }
+  const number = Number(value)
+  return Number.isInteger(number) && number >= 0 ? number : null
+}
+
+/**
+ * 0以上の数値のクエリパラメータを解釈する
+ * @param {string|undefined} value 値
+ * @returns {number|undefined|null} 数値（未指定は undefined、不正な場合は null）
+ */
+export function parseNonNegativeNumber(value) {
+  if (value === undefined || value === '') {
+    return undefined
+  }
+  const number = Number(value)
+  return Number.isFinite(number) && number >= 0 ? number : null
+}
+
+/**
+ * 日時のクエリパラメータを UNIX 秒に変換する
+ * @param {string|undefined} value 値（ISO 8601 形式の日時または UNIX 秒）
+ * @returns {number|undefined|null} UNIX 秒（未指定は undefined、不正な場合は null）
+ */
+export function parseTime(value) {
+  if (value === undefined || value === '') {
+    return undefined
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value)
+  }
+  const time = Date.parse(value)
+  return Number.isNaN(time) ? null : time / 1000
+}
+
+/**
+ * ページ分割のクエリパラメータ（offset / limit）を解釈する
+ * @param {Object} query クエリパラメータ（req.query）
+ * @param {Object} [options] オプション
+ * @param {number} [options.maxLimit] limit の上限（既定は MAX_LIMIT）
+ * @returns {{ offset?: number, limit?: number, error?: string }}
+ *   offset（既定は 0）と limit（省略した場合は undefined）、または不正な場合のエラーメッセージ
+ */
+export function parsePaging(query, { maxLimit = MAX_LIMIT } = {}) {
+  const offset = parseNonNegativeInteger(firstValue(query, 'offset'))
+  const limit = parseNonNegativeInteger(firstValue(query, 'limit'))
+  if (offset === null || limit === null || limit === 0 || limit > maxLimit) {
+    return {
+      error: `offset は0以上、limit は1〜${maxLimit}の整数で指定してください`,
+    }
+  }
+  return { offset: offset ?? 0, limit }
+}
@@ -0,0 +1,248 @@
+/**
+ * registration.js - マーケット登録（POST /register）の検証と不正な登録の防止
+ *
+ * - 登録内容を項目ごとに検証し、誤りを { field, message } の配列で返す
+ * - 送信元ごとに一定時間内の登録回数を制限する
+ * - 登録済みのアドレスを更新・削除できるのは、最初に登録した送信元IPか、
+ *   最初の登録時に発行した登録キー（X-Registration-Key ヘッダー）を持つ店だけにする
+ *   （登録キーを発行する前に登録されたマーケットは、教師が管理用トークンで登録し直すまで誰も更新できない）
+ *
+ * 登録キーはハッシュ値だけをマーケット情報（ownerKeyHash）に保存し、
+ * 発行したときに一度だけ店に返します。
+ */
+
+import net from 'node:net'
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto'
+import { isMarketExpired } from './health.js'
+
+// 登録キーを送るヘッダー
+export const REGISTRATION_KEY_HEADER = 'x-registration-key'
+
+// 登録できる商品数の上限
+const MAX_PRODUCTS = 20
+// 商品名・店舗名の最大文字数
+const MAX_NAME_LENGTH = 50
+// 価格・在庫数の上限
+const MAX_PRICE_YEN = 1000000000
+const MAX_STOCK = 1000000000
+// ホスト名の形式（英数字とハイフンのラベルをドットで区切ったもの。最大253文字）
+const HOSTNAME_PATTERN =
+  /^(?=.{1,253}$)[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*$/
+// 制御文字など、名前に使えない文字
+const INVALID_NAME_CHARS = /[\p{C}]/u
+// 公開鍵の形式（Base64。最大1024文字）
+const PUBLIC_KEY_PATTERN = /^[A-Za-z0-9+/]+=*$/
+
+/**
+ * 店舗名・商品名を検証する
+ * @param {*} value 値
+ * @returns {string|null} エラーメッセージ。問題がなければnull
+ */
+function validateName(value) {
+  if (
+    typeof value !== 'string' ||
+    value.trim() === '' ||
+    value.length > MAX_NAME_LENGTH
+  ) {
+    return `1〜${MAX_NAME_LENGTH}文字で指定してください`
+  }
+  if (INVALID_NAME_CHARS.test(value)) {
+    return '制御文字などは使用できません'
+  }
+  return null
+}
+
+/**
+ * 登録内容を検証する
+ * @param {Object} body リクエスト本文（{ ip, port, name?, pubKey?, products }）
+ * @returns {Array<Object>} 誤り（{ field, message }）の配列。問題がなければ空
+ */
+export function validateRegistration(body) {
+  const errors = []
+  const fail = (field, message) => errors.push({ field, message })
+  const { ip, port, name, pubKey, products } = body || {}
+
+  if (
+    typeof ip !== 'string' ||
+    (net.isIP(ip) === 0 && !HOSTNAME_PATTERN.test(ip))
+  ) {
+    fail('ip', 'IPアドレスまたはホスト名で指定してください')
+  }
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    fail('port', '1〜65535の整数で指定してください')
+  }
+  if (name !== undefined) {
+    const error = validateName(name)
+    if (error) {
+      fail('name', error)
+    }
+  }
+  if (
+    pubKey !== undefined &&
+    (typeof pubKey !== 'string' ||
+      pubKey.length > 1024 ||
+      !PUBLIC_KEY_PATTERN.test(pubKey))
+  ) {
+    fail('pubKey', '1024文字以内のBase64文字列で指定してください')
+  }
+
+  if (
+    !Array.isArray(products) ||
+    products.length === 0 ||
+    products.length > MAX_PRODUCTS
+  ) {
+    fail('products', `1〜${MAX_PRODUCTS}件の配列で指定してください`)
+    return errors
+  }
+
+  const names = new Set()
+  products.forEach((item, index) => {
+    const field = `products[${index}]`
+    if (!item || typeof item !== 'object') {
+      fail(field, '商品情報（{ product, priceYen, stock? }）で指定してください')
+      return
+    }
+
+    const nameError = validateName(item.product)
+    if (nameError) {
+      fail(`${field}.product`, nameError)
+    } else if (names.has(item.product)) {
+      fail(`${field}.product`, '同じ商品名が重複しています')
+    }
+    names.add(item.product)
+
+    if (
+      !Number.isInteger(item.priceYen) ||
+      item.priceYen < 1 ||
+      item.priceYen > MAX_PRICE_YEN
+    ) {
+      fail(
+        `${field}.priceYen`,
+        `1〜${MAX_PRICE_YEN.toLocaleString()}の整数で指定してください`
+      )
+    }
+    if (
+      item.stock !== undefined &&
+      (!Number.isInteger(item.stock) ||
+        item.stock < 0 ||
+        item.stock > MAX_STOCK)
+    ) {
+      fail(
+        `${field}.stock`,
+        `0〜${MAX_STOCK.toLocaleString()}の整数で指定してください`
+      )
+    }
+  })
+  return errors
+}
+
+/**
+ * 登録キーのハッシュ値を求める
+ * @param {string} key 登録キー
+ * @returns {string} ハッシュ値（16進数）
+ */
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex')
+}
+
+/**
+ * 登録キーを発行する
+ * @returns {{ key: string, hash: string }} 店に返す登録キーと、保存するハッシュ値
+ */
+export function issueRegistrationKey() {
+  const key = randomBytes(32).toString('base64url')
+  return { key, hash: hashKey(key) }
+}
+
+/**
+ * マーケットに所有者（最初に登録した送信元IPか登録キー）が記録されているかどうか
+ * @param {Object} market マーケット情報
+ * @returns {boolean} 記録されている場合はtrue（登録キーを発行する前に登録されたマーケットはfalse）
+ */
+export function hasMarketOwner(market) {
+  return Boolean(market.ownerIp || market.ownerKeyHash)
+}
+
+/**
+ * 別の店が登録し直して引き継げるマーケットかどうか
+ *
+ * 所有者が記録されていないマーケット（登録キーの発行前の登録）と、OFFLINE のまま期限が過ぎた
+ * マーケットは、次に /register した店を所有者として記録し直す（古い登録が残って店が登録できなくならないように）。
+ * @param {Object} market マーケット情報
+ * @param {Object} options オプション
+ * @param {number} options.expiryMs OFFLINE のマーケットの期限（ミリ秒。health.js の isMarketExpired 参照）
+ * @param {number} [options.now] 現在時刻（ミリ秒）
+ * @returns {boolean} 引き継げる場合はtrue
+ */
+export function isClaimableMarket(market, { expiryMs, now = Date.now() }) {
+  return !hasMarketOwner(market) || isMarketExpired(market, expiryMs, now)
+}
+
+/**
+ * マーケットを更新・削除してよい送信元かどうか
+ *
+ * 送信元の記録がないマーケット（この仕組みより前の登録）は、誰も所有者として扱わない
+ * （/register では isClaimableMarket により、登録した店が所有者を引き継ぐ）。
+ * @param {Object} market マーケット情報
+ * @param {string} sourceIp 送信元IPアドレス
+ * @param {string} [key] 送信された登録キー
+ * @returns {boolean} 最初に登録した送信元IP、または正しい登録キーの場合はtrue
+ */
+export function isMarketOwner(market, sourceIp, key) {
+  // 所有者が記録されていない場合に誰でも更新できると、他人の店を乗っ取れてしまう
+  if (!hasMarketOwner(market)) {
+    return false
+  }
+  if (market.ownerIp === sourceIp) {
+    return true
+  }
+  if (!market.ownerKeyHash || typeof key !== 'string') {
+    return false
+  }
+  return timingSafeEqual(
+    Buffer.from(hashKey(key), 'hex'),
+    Buffer.from(market.ownerKeyHash, 'hex')
+  )
+}
+
+/**
+ * 送信元ごとの回数制限を作成する（一定時間ごとに回数をリセットする）
+ * @param {Object} options オプション
+ * @param {number} options.limit 時間内に許可する回数
+ * @param {number} options.windowMs 回数を数える時間（ミリ秒）
+ * @returns {Object} 回数制限の操作
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  // 送信元 → { count, resetAt }
+  const counters = new Map()
+
+  return {
+    /**
+     * 1回分を数え、制限を超えていないかを返す
+     * @param {string} source 送信元（IPアドレスなど）
+     * @returns {{ allowed: boolean, retryAfterMs: number }} 許可するかどうかと、次に許可されるまでの時間
+     */
+    take(source) {
+      const now = Date.now()
+      // 期限の切れた記録を取り除く（送信元が多い場合にメモリを使い続けないよう）
+      if (counters.size > 1000) {
+        for (const [key, counter] of counters) {
+          if (counter.resetAt <= now) {
+            counters.delete(key)
+          }
+        }
+      }
+
+      let counter = counters.get(source)
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs }
+        counters.set(source, counter)
+      }
+      counter.count++
+      return {
+        allowed: counter.count <= limit,
+        retryAfterMs: counter.count <= limit ? 0 : counter.resetAt - now,
+      }
+    },
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * registry.js - マーケット登録情報の管理モジュール
+ *
+ * このモジュールは、登録済みマーケットの一覧をメモリ上に保持し、
+ * 変更をすべてここを通して行うことで書き込みを1か所にまとめます。
+ *
+ * - 変更は update() でマーケットごとに、その時点の最新の情報に対して適用する
+ *   （ヘルスチェック中に届いた登録が古い一覧で上書きされることはない）
+ * - 変更・削除したマーケットはバックグラウンドでまとめてストレージに保存する
+ * - 保存は同時に1つだけ実行し、保存中に変更があれば続けて保存する
+ * - 変更・削除のたびに onChange(変更前, 変更後) を呼ぶ（追加は変更前、削除は変更後が undefined）
+ */
+
+// 変更してから保存を始めるまでの待ち時間（ミリ秒）。この間の変更はまとめて保存する
+const PERSIST_DELAY = 100
+
+/**
+ * マーケット登録情報を作成する
+ * @param {Object} storage 保存先のストレージ（db.js の openStorage 参照）
+ * @param {Object} [options] オプション
+ * @param {Function} [options.onChange] マーケットが変更・削除されたときに呼ぶ関数（previous, next）
+ * @returns {Object} マーケット登録情報の操作
+ */
+export function createRegistry(storage, { onChange } = {}) {
+  // アドレス → マーケット情報（登録順）
+  const markets = new Map()
+  // 保存していない変更があるマーケットのアドレス（削除したものを含む）
+  const dirty = new Set()
+  let persistTimer = null
+  let persisting = null
+
+  /**
+   * 変更されたマーケットをストレージに保存する
+   * @returns {Promise<void>}
+   */
+  async function persist() {
+    const addresses = [...dirty]
+    dirty.clear()
+    try {
+      await storage.transaction(async (tx) => {
+        for (const address of addresses) {
+          const market = markets.get(address)
+          if (market) {
+            await tx.putRecord('markets', market)
+          } else {
+            await tx.deleteRecord('markets', address)
+          }
+        }
+      })
+    } catch (error) {
+      // 保存できなかった変更は次回の保存でやり直す
+      addresses.forEach((address) => dirty.add(address))
+      console.error('マーケット情報の保存に失敗しました:', error.message)
+    }
+  }
+
+  /**
+   * 保存を予約する
+   */
+  function schedulePersist() {
+    if (persistTimer || persisting) {
+      return
+    }
+    persistTimer = setTimeout(() => {
+      persistTimer = null
+      flush()
+    }, PERSIST_DELAY)
+  }
+
+  /**
+   * 保存していない変更をすぐに保存する
+   * @returns {Promise<void>} 保存が完了したら解決するPromise
+   */
+  async function flush() {
+    if (persistTimer) {
+      clearTimeout(persistTimer)
+      persistTimer = null
+    }
+    while (persisting) {
+      await persisting
+    }
+    if (dirty.size === 0) {
+      return
+    }
+    persisting = persist().finally(() => {
+      persisting = null
+      if (dirty.size > 0) {
+        schedulePersist()
+      }
+    })
+    await persisting
+  }
+
+  return {
+    /**
+     * ストレージからマーケット一覧を読み込む（起動時に1回）
+     * @returns {Promise<number>} 読み込んだマーケットの件数
+     */
+    async load() {
+      markets.clear()
+      for (const market of await storage.listRecords('markets')) {
+        markets.set(market.address, market)
+      }
+      return markets.size
+    },
+
+    /**
+     * マーケット一覧を返す（登録順）
+     * @returns {Array} マーケット情報の配列
+     */
+    list() {
+      return [...markets.values()]
+    },
+
+    /**
+     * マーケットを検索する
+     * @param {string} address マーケットのアドレス（IP:PORT形式）
+     * @returns {Object|undefined} マーケット情報
+     */
+    get(address) {
+      return markets.get(address)
+    },
+
+    /**
+     * マーケットを変更する
+     *
+     * updateFn は現在の情報（未登録の場合は undefined）を受け取り、新しい情報を返す。
+     * undefined を返した場合は何も変更しない。
+     * @param {string} address マーケットのアドレス（IP:PORT形式）
+     * @param {Function} updateFn 変更する関数
+     * @returns {Object|undefined} 変更後のマーケット情報
+     */
+    update(address, updateFn) {
+      const previous = markets.get(address)
+      const next = updateFn(previous)
+      if (next === undefined) {
+        return previous
+      }
+      markets.set(address, { ...next, address })
+      dirty.add(address)
+      schedulePersist()
+      onChange?.(previous, markets.get(address))
+      return markets.get(address)
+    },
+
+    /**
+     * マーケットを削除する
+     * @param {string} address マーケットのアドレス（IP:PORT形式）
+     * @returns {Object|undefined} 削除したマーケット情報（未登録の場合は undefined）
+     */
+    remove(address) {
+      const market = markets.get(address)
+      if (!market) {
+        return undefined
+      }
+      markets.delete(address)
+      dirty.add(address)
+      schedulePersist()
+      onChange?.(market, undefined)
+      return market
+    },
+
+    flush,
+  }
+}
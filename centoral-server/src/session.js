@@ -0,0 +1,124 @@
+/**
+ * session.js - 取引ラウンド（セッション）の状態
+ *
+ * 授業のラウンドに合わせて、取引できる期間を中央サーバーが管理します（GET /session）。
+ *   - PREPARING: 準備中（startsAt があれば、その時刻に OPEN になる）
+ *   - OPEN: 取引できる（endsAt があれば、その時刻に CLOSED になる）
+ *   - PAUSED: 一時停止中（再開すると残り時間から続ける）
+ *   - CLOSED: 終了
+ *
+ * 時刻による切り替えは保存された状態に resolveSession() を適用して求めるため、
+ * 中央サーバーと店側アプリのどちらでも同じ結果になります。
+ * 中央サーバーと店側アプリで同じ内容のファイルを使用しています。
+ */
+
+// セッションの状態
+export const SESSION_STATES = {
+  PREPARING: 'PREPARING',
+  OPEN: 'OPEN',
+  PAUSED: 'PAUSED',
+  CLOSED: 'CLOSED',
+}
+
+// 教師がラウンドを設定するまでの状態（いつでも取引できる）
+export const DEFAULT_SESSION = {
+  state: SESSION_STATES.OPEN,
+  round: null,
+  startsAt: null,
+  endsAt: null,
+  remainingMs: null,
+}
+
+/**
+ * 時刻による切り替え（開始・終了）を適用した現在のセッションを返す
+ * @param {Object} session 保存されたセッション
+ * @param {number} [now] 現在時刻（ミリ秒）
+ * @returns {Object} 現在のセッション（切り替えがない場合は同じオブジェクト）
+ */
+export function resolveSession(session, now = Date.now()) {
+  let resolved = session
+  if (
+    resolved.state === SESSION_STATES.PREPARING &&
+    resolved.startsAt &&
+    Date.parse(resolved.startsAt) <= now
+  ) {
+    resolved = { ...resolved, state: SESSION_STATES.OPEN }
+  }
+  if (
+    resolved.state === SESSION_STATES.OPEN &&
+    resolved.endsAt &&
+    Date.parse(resolved.endsAt) <= now
+  ) {
+    resolved = { ...resolved, state: SESSION_STATES.CLOSED }
+  }
+  return resolved
+}
+
+/**
+ * 次に時刻によって状態が切り替わる時刻を返す
+ * @param {Object} session 保存されたセッション
+ * @param {number} [now] 現在時刻（ミリ秒）
+ * @returns {number|null} 切り替わる時刻（ミリ秒）。予定がない場合はnull
+ */
+export function nextTransitionAt(session, now = Date.now()) {
+  const resolved = resolveSession(session, now)
+  if (resolved.state === SESSION_STATES.PREPARING && resolved.startsAt) {
+    return Date.parse(resolved.startsAt)
+  }
+  if (resolved.state === SESSION_STATES.OPEN && resolved.endsAt) {
+    return Date.parse(resolved.endsAt)
+  }
+  return null
+}
+
+/**
+ * セッションの状態を変更する
+ *
+ * - PAUSED にすると、終了時刻までの残り時間（remainingMs）を記録する
+ * - PAUSED から終了時刻を指定せずに OPEN にすると、残り時間から続ける
+ * - durationMs を指定した場合、終了時刻は開始時刻（未指定なら現在）から durationMs 後になる
+ * @param {Object} session 保存されたセッション
+ * @param {Object} change 変更内容（{ state, round?, startsAt?, endsAt?, durationMs? }。検証済みのもの）
+ * @param {number} [now] 現在時刻（ミリ秒）
+ * @returns {Object} 変更後のセッション（保存する形式）
+ */
+export function changeSession(session, change, now = Date.now()) {
+  const current = resolveSession(session, now)
+  const { state, round = current.round, durationMs } = change
+  const startsAt = change.startsAt ?? null
+  let endsAt = change.endsAt ?? null
+  let remainingMs = null
+
+  if (durationMs) {
+    endsAt = new Date(
+      (startsAt ? Date.parse(startsAt) : now) + durationMs
+    ).toISOString()
+  }
+
+  if (state === SESSION_STATES.PAUSED) {
+    // 一時停止中は時間を進めない
+    remainingMs =
+      current.state === SESSION_STATES.PAUSED
+        ? current.remainingMs
+        : current.endsAt
+        ? Math.max(0, Date.parse(current.endsAt) - now)
+        : null
+    endsAt = null
+  } else if (
+    state === SESSION_STATES.OPEN &&
+    current.state === SESSION_STATES.PAUSED &&
+    !endsAt &&
+    current.remainingMs !== null
+  ) {
+    endsAt = new Date(now + current.remainingMs).toISOString()
+  }
+
+  return {
+    state,
+    round,
+    startsAt,
+    endsAt,
+    remainingMs,
+    updatedAt: new Date(now).toISOString(),
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * signature.js - 取引リクエスト署名モジュール
+ *
+ * このモジュールは、店ごとの鍵ペアの生成・保存と、/buy リクエストの署名・検証を行います。
+ * 公開鍵はマーケット登録時に教師サーバーへ送信され、GET /markets で配布されます。
+ * 秘密鍵は keys.json にのみ保存し、外部には送信しません。
+ *
+ * 署名対象は「タイムスタンプ.ノンス.送信元アドレス.宛先.リクエスト本文」の文字列です。
+ * 宛先（メソッド・ホスト:ポート・パス）を含めるため、ある店に送った署名付きリクエストを
+ * 別の店や別の API に再送しても受け付けられません。
+ *
+ * 中央サーバーと店側アプリで同じ内容のファイルを使用しています。
+ */
+
+import {
+  generateKeyPairSync,
+  createPublicKey,
+  randomBytes,
+  sign,
+  verify,
+} from 'node:crypto'
+import { readJSONWithBackup, writeJSON } from './db.js'
+
+// 署名関連のリクエストヘッダー
+export const SIGNATURE_HEADERS = {
+  address: 'x-market-address',
+  signature: 'x-signature',
+  timestamp: 'x-signature-timestamp',
+  nonce: 'x-signature-nonce',
+  target: 'x-signature-target',
+}
+
+// 署名の有効期間（秒）。これより古い・未来すぎるリクエストは拒否する
+const SIGNATURE_MAX_AGE = 300
+
+// タイムスタンプの形式（UNIX秒の10進数）
+const TIMESTAMP_PATTERN = /^\d+$/
+
+// 使用済みノンス（ノンス → 有効期限のUNIX秒）。リプレイ攻撃を防ぐ
+const usedNonces = new Map()
+
+/**
+ * 鍵ペアを読み込む
+ * ファイルが存在しない場合は新しい鍵ペアを生成して保存する
+ * （壊れている場合は例外を投げる。.bak からは自動で復元しない）
+ * @param {string} path keys.json のパス
+ * @returns {Promise<{ publicKey: string, privateKey: string }>} PEM形式の鍵ペア
+ */
+export async function loadOrCreateKeyPair(path) {
+  try {
+    return await readJSONWithBackup(path)
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error
+    }
+    console.log('鍵ファイルが見つからないため、新しい鍵ペアを生成します')
+    const { publicKey, privateKey } = generateKeyPairSync('ed25519', {
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    })
+    const keyPair = { publicKey, privateKey }
+    await writeJSON(path, keyPair)
+    return keyPair
+  }
+}
+
+/**
+ * 公開鍵を教師サーバーに登録する形式（DER形式のBase64）に変換する
+ * @param {string} publicKeyPem PEM形式の公開鍵
+ * @returns {string} Base64文字列
+ */
+export function exportPublicKey(publicKeyPem) {
+  return createPublicKey(publicKeyPem)
+    .export({ type: 'spki', format: 'der' })
+    .toString('base64')
+}
+
+/**
+ * リクエストの宛先を署名に使う形式にする（例: "POST 192.168.0.10:8082/buy"）
+ * @param {string} method HTTPメソッド
+ * @param {string} url 宛先のURL（クエリ文字列は無視する）
+ * @returns {string} 宛先
+ */
+export function requestTarget(method, url) {
+  const { host, pathname } = new URL(url)
+  return `${method.toUpperCase()} ${host}${pathname}`
+}
+
+/**
+ * 署名対象の文字列を組み立てる
+ * @param {string} timestamp タイムスタンプ（UNIX秒）
+ * @param {string} nonce ノンス
+ * @param {string} address 送信元アドレス（IP:PORT形式）
+ * @param {string} target 宛先（requestTarget 参照）
+ * @param {string} body リクエスト本文
+ * @returns {string} 署名対象の文字列
+ */
+function buildPayload(timestamp, nonce, address, target, body) {
+  return `${timestamp}.${nonce}.${address}.${target}.${body}`
+}
+
+/**
+ * リクエスト本文に署名し、送信するヘッダーを返す
+ * @param {string} privateKeyPem PEM形式の秘密鍵
+ * @param {string} address 自店のアドレス（IP:PORT形式）
+ * @param {string} body 送信するリクエスト本文（JSON文字列）
+ * @param {string} target 宛先（requestTarget 参照）
+ * @returns {Object} 署名ヘッダー
+ */
+export function signRequest(privateKeyPem, address, body, target) {
+  const timestamp = String(Math.floor(Date.now() / 1000))
+  const nonce = randomBytes(16).toString('hex')
+  const payload = buildPayload(timestamp, nonce, address, target, body)
+  const signature = sign(null, Buffer.from(payload), privateKeyPem)
+
+  return {
+    [SIGNATURE_HEADERS.address]: address,
+    [SIGNATURE_HEADERS.signature]: signature.toString('base64'),
+    [SIGNATURE_HEADERS.timestamp]: timestamp,
+    [SIGNATURE_HEADERS.nonce]: nonce,
+    [SIGNATURE_HEADERS.target]: target,
+  }
+}
+
+/**
+ * 期限切れのノンスを削除する
+ * @param {number} now 現在時刻（UNIX秒）
+ */
+function pruneNonces(now) {
+  for (const [nonce, expiresAt] of usedNonces) {
+    if (expiresAt < now) {
+      usedNonces.delete(nonce)
+    }
+  }
+}
+
+/**
+ * リクエストの署名を検証する
+ * @param {Object} headers リクエストヘッダー
+ * @param {string} body 受信したリクエスト本文
+ * @param {string} publicKey 送信元の公開鍵（DER形式のBase64）
+ * @param {string} target このリクエストを受け付ける宛先（requestTarget 参照。受信したサーバー自身のもの）
+ * @throws {Error} 署名がない・タイムスタンプが不正・古い・再利用された・宛先が違う・一致しない場合
+ */
+export function verifyRequest(headers, body, publicKey, target) {
+  const address = headers[SIGNATURE_HEADERS.address]
+  const signature = headers[SIGNATURE_HEADERS.signature]
+  const timestamp = headers[SIGNATURE_HEADERS.timestamp]
+  const nonce = headers[SIGNATURE_HEADERS.nonce]
+
+  if (!address || !signature || !timestamp || !nonce) {
+    throw new Error('署名がありません')
+  }
+  if (headers[SIGNATURE_HEADERS.target] !== target) {
+    throw new Error('署名の宛先がこのサーバーではありません')
+  }
+
+  // 数値にならないタイムスタンプ（NaN）は有効期限の比較をすり抜けるため、先に形式を確かめる
+  if (!TIMESTAMP_PATTERN.test(timestamp)) {
+    throw new Error('署名のタイムスタンプが不正です')
+  }
+  const now = Math.floor(Date.now() / 1000)
+  if (Math.abs(now - Number(timestamp)) > SIGNATURE_MAX_AGE) {
+    throw new Error('署名の有効期限が切れています')
+  }
+
+  pruneNonces(now)
+  if (usedNonces.has(nonce)) {
+    throw new Error('このリクエストはすでに使用されています')
+  }
+
+  const payload = buildPayload(timestamp, nonce, address, target, body)
+  let valid = false
+  try {
+    const key = createPublicKey({
+      key: Buffer.from(publicKey, 'base64'),
+      format: 'der',
+      type: 'spki',
+    })
+    valid = verify(
+      null,
+      Buffer.from(payload),
+      key,
+      Buffer.from(signature, 'base64')
+    )
+  } catch (error) {
+    // 公開鍵や署名の形式が不正な場合も「一致しない」として扱う
+    valid = false
+  }
+  if (!valid) {
+    throw new Error('署名が一致しません')
+  }
+
+  usedNonces.set(nonce, now + SIGNATURE_MAX_AGE)
+}
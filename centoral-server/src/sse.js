@@ -0,0 +1,207 @@
+/**
+ * sse.js - Server-Sent Events（イベントストリーム）の送受信
+ *
+ * このモジュールは、HTTPのレスポンスを開いたままにしてイベントを送り続ける
+ * Server-Sent Events（text/event-stream）の送信側と受信側を提供します。
+ * ブラウザでは EventSource で受信できます。
+ *
+ * 中央サーバーと店側アプリで同じ内容のファイルを使用しています。
+ */
+
+// 接続が生きていることを知らせるコメントを送る間隔（ミリ秒）
+const PING_INTERVAL = 15000
+// この時間何も受信しなかった場合は接続が切れたものとみなす（ミリ秒）
+const IDLE_TIMEOUT = PING_INTERVAL * 3
+// 再接続までの待ち時間（ミリ秒。失敗するたびに倍にする）
+const RECONNECT_DELAY_MIN = 1000
+const RECONNECT_DELAY_MAX = 30000
+
+/**
+ * イベントの送信先（接続中のクライアント）を管理する
+ * @returns {Object} イベントの送信先の操作
+ */
+export function createEventHub() {
+  const clients = new Set()
+  let nextId = 1
+  let pingTimer = null
+
+  const write = (res, text) => {
+    try {
+      res.write(text)
+    } catch (error) {
+      clients.delete(res)
+    }
+  }
+
+  return {
+    /**
+     * Express のリクエストをイベントストリームとして開く
+     * 接続が閉じられたら自動で送信先から外す
+     * @param {Object} req Express のリクエスト
+     * @param {Object} res Express のレスポンス
+     * @param {Array} [initialEvents] 接続直後に送るイベント（{ type, data }）の配列
+     */
+    subscribe(req, res, initialEvents = []) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      })
+      write(res, ': connected\n\n')
+      for (const { type, data } of initialEvents) {
+        write(res, `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+      }
+      clients.add(res)
+
+      if (!pingTimer) {
+        pingTimer = setInterval(() => {
+          clients.forEach((client) => write(client, ': ping\n\n'))
+        }, PING_INTERVAL)
+        pingTimer.unref()
+      }
+
+      req.on('close', () => {
+        clients.delete(res)
+        if (clients.size === 0 && pingTimer) {
+          clearInterval(pingTimer)
+          pingTimer = null
+        }
+      })
+    },
+
+    /**
+     * 接続中のすべてのクライアントにイベントを送る
+     * @param {string} type イベントの種類
+     * @param {*} data イベントの内容（JSONに変換して送る）
+     */
+    publish(type, data) {
+      const text = `id: ${nextId++}\nevent: ${type}\ndata: ${JSON.stringify(
+        data
+      )}\n\n`
+      clients.forEach((client) => write(client, text))
+    },
+
+    /**
+     * 接続中のクライアントの数
+     * @returns {number} クライアントの数
+     */
+    get size() {
+      return clients.size
+    },
+  }
+}
+
+/**
+ * イベントストリームのテキストを1件のイベントに変換する
+ * @param {string} block 空行で区切られた1件分のテキスト
+ * @returns {Object|null} イベント（{ type, data }）。コメントのみの場合はnull
+ */
+function parseEventBlock(block) {
+  let type = 'message'
+  const data = []
+  for (const line of block.split('\n')) {
+    if (line === '' || line.startsWith(':')) {
+      continue
+    }
+    const separator = line.indexOf(':')
+    const field = separator < 0 ? line : line.slice(0, separator)
+    const value =
+      separator < 0 ? '' : line.slice(separator + 1).replace(/^ /, '')
+    if (field === 'event') {
+      type = value
+    } else if (field === 'data') {
+      data.push(value)
+    }
+  }
+  if (data.length === 0) {
+    return null
+  }
+
+  const text = data.join('\n')
+  try {
+    return { type, data: JSON.parse(text) }
+  } catch (error) {
+    return { type, data: text }
+  }
+}
+
+/**
+ * イベントストリームを受信する（切断された場合は自動で再接続する）
+ * @param {string} url イベントストリームのURL
+ * @param {Object} handlers コールバック
+ * @param {Function} [handlers.onOpen] 接続したとき
+ * @param {Function} handlers.onEvent イベントを受信したとき（type, data）
+ * @param {Function} [handlers.onClose] 切断されたとき（error）
+ * @returns {{ close: Function }} 受信を終了する関数
+ */
+export function subscribeEventStream(url, { onOpen, onEvent, onClose }) {
+  let closed = false
+  let controller = null
+  let delay = RECONNECT_DELAY_MIN
+
+  const run = async () => {
+    while (!closed) {
+      controller = new AbortController()
+      let idleTimer = null
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer)
+        idleTimer = setTimeout(() => controller.abort(), IDLE_TIMEOUT)
+      }
+
+      let opened = false
+      try {
+        resetIdleTimer()
+        const response = await fetch(url, {
+          headers: { Accept: 'text/event-stream' },
+          signal: controller.signal,
+        })
+        if (!response.ok || !response.body) {
+          throw new Error(`ステータス ${response.status}`)
+        }
+        opened = true
+        delay = RECONNECT_DELAY_MIN
+        onOpen?.()
+
+        const decoder = new TextDecoder()
+        let buffer = ''
+        for await (const chunk of response.body) {
+          resetIdleTimer()
+          buffer += decoder
+            .decode(chunk, { stream: true })
+            .replace(/\r\n?/g, '\n')
+          let end
+          while ((end = buffer.indexOf('\n\n')) >= 0) {
+            const event = parseEventBlock(buffer.slice(0, end))
+            buffer = buffer.slice(end + 2)
+            if (event) {
+              try {
+                onEvent(event.type, event.data)
+              } catch (error) {
+                console.error('イベントの処理中にエラーが発生しました:', error)
+              }
+            }
+          }
+        }
+        throw new Error('接続が閉じられました')
+      } catch (error) {
+        clearTimeout(idleTimer)
+        if (closed) {
+          return
+        }
+        if (opened) {
+          onClose?.(error)
+        }
+        await new Promise((resolve) => setTimeout(resolve, delay))
+        delay = Math.min(delay * 2, RECONNECT_DELAY_MAX)
+      }
+    }
+  }
+  run()
+
+  return {
+    close() {
+      closed = true
+      controller?.abort()
+    },
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * ledger.test.js - 取引台帳（ledger.js）のテスト
+ *
+ * 買い手と売り手の報告の照合、報告の再送・食い違い、売り手ごとの取引IDの区別、
+ * 署名のない報告の扱いを確かめます。
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { openStorage } from '../src/db.js'
+import { createLedger, TRADE_STATUSES } from '../src/ledger.js'
+
+const LAYOUT = {
+  documents: [],
+  collections: { trades: { key: 'id' } },
+  database: 'central.db',
+}
+const REPORT = {
+  tradeId: 'trade-1',
+  buyer: '192.168.0.11:8082',
+  seller: '192.168.0.10:8082',
+  product: 'りんごジュース',
+  qty: 5,
+  totalPrice: 600,
+  verified: true,
+}
+
+/**
+ * 一時ディレクトリのストレージで取引台帳を作成する
+ * @param {Object} t node:test のテストコンテキスト
+ * @param {number} [graceMs] 相手の報告を待つ時間（ミリ秒）
+ * @returns {Promise<Object>} 取引台帳
+ */
+async function createTempLedger(t, graceMs = 60000) {
+  const dataDir = await mkdtemp(path.join(tmpdir(), 'ledger-test-'))
+  t.after(() => rm(dataDir, { recursive: true, force: true }))
+  const storage = await openStorage({
+    backend: 'json',
+    dataDir,
+    layout: LAYOUT,
+  })
+  return createLedger(storage, { graceMs })
+}
+
+test('買い手と売り手の報告が一致すれば matched になる', async (t) => {
+  const ledger = await createTempLedger(t)
+  const pending = await ledger.report('seller', REPORT)
+  assert.equal(pending.status, TRADE_STATUSES.PENDING)
+
+  const trade = await ledger.report('buyer', REPORT)
+  assert.equal(trade.status, TRADE_STATUSES.MATCHED)
+  assert.deepEqual(trade.issues, [])
+  assert.equal(trade.verified, true)
+})
+
+test('報告の内容が食い違えば unmatched になり、食い違った項目が issues に入る', async (t) => {
+  const ledger = await createTempLedger(t)
+  await ledger.report('seller', REPORT)
+  const trade = await ledger.report('buyer', { ...REPORT, totalPrice: 500 })
+
+  assert.equal(trade.status, TRADE_STATUSES.UNMATCHED)
+  assert.deepEqual(trade.issues, [
+    {
+      type: 'totalPrice-mismatch',
+      field: 'totalPrice',
+      buyer: 500,
+      seller: 600,
+    },
+  ])
+})
+
+test('猶予時間を過ぎても相手の報告がなければ unmatched になる', async (t) => {
+  const ledger = await createTempLedger(t, 50)
+  const pending = await ledger.report('buyer', REPORT)
+  assert.equal(pending.status, TRADE_STATUSES.PENDING)
+  assert.equal(await ledger.reconcile(), 0)
+
+  await sleep(60)
+  assert.equal(await ledger.reconcile(), 1)
+  const [trade] = await ledger.find(REPORT.tradeId, REPORT.seller)
+  assert.equal(trade.status, TRADE_STATUSES.UNMATCHED)
+  assert.deepEqual(trade.issues, [{ type: 'missing-seller-report' }])
+})
+
+test('同じ報告の再送は受け付け、内容の異なる報告は ECONFLICT になる', async (t) => {
+  const ledger = await createTempLedger(t)
+  const first = await ledger.report('seller', REPORT)
+  assert.deepEqual(await ledger.report('seller', REPORT), first)
+
+  await assert.rejects(ledger.report('seller', { ...REPORT, qty: 6 }), {
+    code: 'ECONFLICT',
+  })
+  assert.equal((await ledger.list()).length, 1)
+})
+
+test('同じ取引IDでも売り手が異なれば別の取引として照合する', async (t) => {
+  const ledger = await createTempLedger(t)
+  const otherSeller = { ...REPORT, seller: '192.168.0.12:8082', qty: 1 }
+  await ledger.report('seller', REPORT)
+  await ledger.report('seller', otherSeller)
+  await ledger.report('buyer', otherSeller)
+
+  assert.equal((await ledger.find(REPORT.tradeId)).length, 2)
+  const [trade] = await ledger.find(REPORT.tradeId, REPORT.seller)
+  const [other] = await ledger.find(REPORT.tradeId, otherSeller.seller)
+  assert.equal(trade.status, TRADE_STATUSES.PENDING)
+  assert.equal(other.status, TRADE_STATUSES.MATCHED)
+})
+
+test('署名のない報告を含む取引は verified が false になる', async (t) => {
+  const ledger = await createTempLedger(t)
+  await ledger.report('seller', REPORT)
+  const trade = await ledger.report('buyer', { ...REPORT, verified: false })
+
+  assert.equal(trade.status, TRADE_STATUSES.MATCHED)
+  assert.equal(trade.verified, false)
+  assert.deepEqual(await ledger.list({ verified: false }), [trade])
+  assert.deepEqual(await ledger.list({ verified: true }), [])
+})
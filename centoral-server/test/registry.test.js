@@ -0,0 +1,295 @@
+/**
+ * registry.test.js - マーケットの登録・ハートビート・ヘルスチェックのテスト
+ *
+ * 中央サーバーを一時データディレクトリと短いヘルスチェック間隔で起動し、次のことを確かめます。
+ * - ヘルスチェックに応答しない店は、ハートビートを送り続けても OFFLINE になり、期限が過ぎると削除される
+ * - 登録・削除とヘルスチェックが同時に進んでも、登録した商品情報が上書きされず、
+ *   保存された登録情報が一覧（GET /markets）と一致する
+ */
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import { once } from 'node:events'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { createServer as createHttpServer } from 'node:http'
+import { createServer } from 'node:net'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { openStorage } from '../src/db.js'
+
+const CENTRAL_SCRIPT = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'src',
+  'central-server.js'
+)
+const PRODUCT = 'りんごジュース'
+const HEALTH_CHECK_INTERVAL = 200
+
+let tempDir
+let centralUrl
+let central
+
+/**
+ * 空いているポート番号を取得する
+ * @returns {Promise<number>} ポート番号
+ */
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer()
+    server.on('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+}
+
+/**
+ * 中央サーバーが応答するまで待つ
+ * @param {number} timeoutMs 待つ時間の上限（ミリ秒）
+ */
+async function waitUntilListening(timeoutMs) {
+  const deadline = Date.now() + timeoutMs
+  while (Date.now() < deadline) {
+    try {
+      await fetch(`${centralUrl}/`)
+      return
+    } catch {
+      // 起動中は接続できないので待つ
+    }
+    await sleep(100)
+  }
+  throw new Error('中央サーバーが起動しませんでした')
+}
+
+/**
+ * 条件を満たすまで繰り返し確認する
+ * @param {Function} check 条件を満たせば値を返す関数（満たさなければ undefined）
+ * @param {number} timeoutMs 待つ時間の上限（ミリ秒）
+ * @param {string} message 時間内に満たさなかった場合のエラーメッセージ
+ * @returns {Promise<*>} check が返した値
+ */
+async function waitFor(check, timeoutMs, message) {
+  const deadline = Date.now() + timeoutMs
+  while (Date.now() < deadline) {
+    const value = await check()
+    if (value !== undefined) {
+      return value
+    }
+    await sleep(50)
+  }
+  throw new Error(message)
+}
+
+/**
+ * /health に応答する店を起動する（テストの終了時に停止する）
+ * @param {Object} t node:test のテストコンテキスト
+ * @param {Function} [respond] 何回目のチェックかから応答（{ status, delayMs }）を作る関数
+ * @returns {Promise<{ port: number, address: string, close: Function }>} 店のポート・アドレスと停止する関数
+ */
+async function startStore(t, respond = () => ({})) {
+  let checks = 0
+  const server = createHttpServer((req, res) => {
+    const { status = 200, delayMs = 0 } = respond(checks++)
+    res.statusCode = status
+    res.setHeader('Content-Type', 'application/json')
+    setTimeout(
+      () =>
+        res.end(JSON.stringify({ products: [{ name: PRODUCT, stock: 10 }] })),
+      delayMs
+    )
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  const close = () => {
+    server.closeAllConnections()
+    return new Promise((resolve) => server.close(resolve))
+  }
+  t.after(() => server.listening && close())
+  const { port } = server.address()
+  return { port, address: `127.0.0.1:${port}`, close }
+}
+
+/**
+ * 店を登録する（登録済みの場合は商品を更新する）
+ * @param {Object} store 店（{ port }）
+ * @param {number} price 商品の価格
+ * @returns {Promise<Response>} レスポンス
+ */
+function register(store, price) {
+  return fetch(`${centralUrl}/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      ip: '127.0.0.1',
+      port: store.port,
+      products: [{ product: PRODUCT, priceYen: price }],
+    }),
+  })
+}
+
+/**
+ * 店のハートビートを送る
+ * @param {Object} store 店（{ address }）
+ * @returns {Promise<Response>} レスポンス
+ */
+function heartbeat(store) {
+  return fetch(`${centralUrl}/markets/${store.address}/heartbeat`, {
+    method: 'POST',
+  })
+}
+
+/**
+ * 店のヘルスチェック情報を取得する
+ * @param {Object} store 店（{ address }）
+ * @returns {Promise<Object>} ヘルスチェック情報
+ */
+async function getHealth(store) {
+  const response = await fetch(`${centralUrl}/markets/${store.address}/health`)
+  return response.json()
+}
+
+/**
+ * 登録情報を比較用の形式（アドレス順の { address, price }）にする
+ * @param {Array} markets マーケット情報の配列
+ * @returns {Array} 比較用の配列
+ */
+function toComparable(markets) {
+  return markets
+    .map((market) => ({
+      address: market.address,
+      price: market.products[0].price,
+    }))
+    .sort((a, b) => a.address.localeCompare(b.address))
+}
+
+before(async () => {
+  tempDir = await mkdtemp(path.join(tmpdir(), 'registry-test-'))
+  const port = await findFreePort()
+  centralUrl = `http://127.0.0.1:${port}`
+  central = spawn(
+    process.execPath,
+    [
+      CENTRAL_SCRIPT,
+      '--config',
+      path.join(tempDir, 'central.config.json'),
+      '--port',
+      String(port),
+      '--data-dir',
+      path.join(tempDir, 'data'),
+      '--health-check-interval',
+      String(HEALTH_CHECK_INTERVAL),
+      '--health-check-timeout',
+      '150',
+      '--offline-after-failures',
+      '2',
+      '--market-expiry',
+      '2000',
+      '--register-rate-limit',
+      '1000',
+    ],
+    { stdio: 'ignore' }
+  )
+  await waitUntilListening(10000)
+})
+
+after(async () => {
+  central.kill()
+  await rm(tempDir, { recursive: true, force: true })
+})
+
+test('ヘルスチェックに応答しない店は、ハートビートを送り続けても OFFLINE になり、期限が過ぎると削除される', async (t) => {
+  const store = await startStore(t)
+  assert.equal((await register(store, 100)).status, 200)
+  await waitFor(
+    async () => ((await getHealth(store)).lastCheckedAt ? true : undefined),
+    5000,
+    'ヘルスチェックが実行されませんでした'
+  )
+  assert.equal((await getHealth(store)).status, 'ONLINE')
+
+  // 店は応答しなくなったが、ハートビートだけは届き続ける
+  await store.close()
+  const status = await waitFor(
+    async () => {
+      const response = await heartbeat(store)
+      assert.equal(response.status, 200)
+      const { status } = await response.json()
+      return status === 'OFFLINE' ? status : undefined
+    },
+    5000,
+    'ハートビートが届く間は OFFLINE になりませんでした'
+  )
+  assert.equal(status, 'OFFLINE')
+
+  await waitFor(
+    async () => ((await heartbeat(store)).status === 404 ? true : undefined),
+    10000,
+    'ハートビートが届く間は期限切れで削除されませんでした'
+  )
+  const markets = await (await fetch(`${centralUrl}/markets`)).json()
+  assert.ok(!markets.some((market) => market.address === store.address))
+})
+
+test('登録・削除とヘルスチェックが同時に進んでも、登録した商品情報が上書きされず、保存内容が一覧と一致する', async (t) => {
+  // ヘルスチェックへの応答は遅れたり、ときどき失敗したりする
+  const stores = await Promise.all(
+    Array.from({ length: 6 }, (_, index) =>
+      startStore(t, (count) => ({
+        status: (index + count) % 3 === 0 ? 500 : 200,
+        delayMs: (index * 23 + count * 37) % 120,
+      }))
+    )
+  )
+
+  const rounds = 10
+  await Promise.all(
+    stores.map(async (store, index) => {
+      for (let i = 0; i < rounds; i++) {
+        await sleep((index * 29 + i * 53) % HEALTH_CHECK_INTERVAL)
+        if ((index + i) % 3 === 0) {
+          const response = await fetch(
+            `${centralUrl}/markets/${store.address}`,
+            { method: 'DELETE' }
+          )
+          assert.ok([200, 404].includes(response.status))
+        } else {
+          assert.equal((await register(store, 100 + i)).status, 200)
+          assert.equal((await heartbeat(store)).status, 200)
+        }
+      }
+    })
+  )
+
+  // 最後に登録した店は、最後に登録した価格のまま残る
+  const expected = toComparable(
+    stores
+      .filter((_, index) => (index + rounds - 1) % 3 !== 0)
+      .map((store) => ({
+        address: store.address,
+        products: [{ price: 100 + rounds - 1 }],
+      }))
+  )
+
+  // 登録後のヘルスチェックが反映されるのを待ってから比べる
+  await sleep(HEALTH_CHECK_INTERVAL * 3)
+  const markets = await (await fetch(`${centralUrl}/markets`)).json()
+  assert.deepEqual(toComparable(markets), expected)
+
+  // 停止時に保存された内容も同じになる
+  central.kill()
+  await once(central, 'exit')
+  const storage = await openStorage({
+    backend: 'json',
+    dataDir: path.join(tempDir, 'data'),
+    layout: {
+      documents: [],
+      collections: { markets: { key: 'address' } },
+      database: 'central.db',
+    },
+  })
+  assert.deepEqual(toComparable(await storage.listRecords('markets')), expected)
+})
@@ -7,6 +7,181 @@
  * 3. 自動更新機能
  */
 
+// 取引IDを生成する（再送時に同じIDを使うことで二重購入を防ぐ）
+function generateTradeId() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID()
+  }
+  // randomUUIDが使えない環境（非セキュアコンテキストなど）向けのフォールバック
+  return `trade-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+// 在庫数が報告されていて0以下の場合は売り切れ
+function isSoldOut(product) {
+  return typeof product.stock === 'number' && product.stock <= 0
+}
+
+// 商品の表示名（教師が商品名を修正した場合は displayName）
+function productLabelOf(item) {
+  return item.displayName || item.product
+}
+
+// 応答が遅い・不安定（DEGRADED）な店舗でも購入はできる
+function isAvailable(market) {
+  return market.status === 'ONLINE' || market.status === 'DEGRADED'
+}
+
+// 状態に応じた表示用のクラス名
+function statusClassOf(status) {
+  return status === 'ONLINE'
+    ? 'status-online'
+    : status === 'DEGRADED'
+    ? 'status-degraded'
+    : status === 'OFFLINE'
+    ? 'status-offline'
+    : 'status-unknown'
+}
+
+// 稼働率と平均応答時間の表示（ヘルスチェック履歴がない場合は空）
+function HealthSummary({ market }) {
+  if (typeof market.uptimePercent !== 'number') {
+    return null
+  }
+  return (
+    <small className="text-muted ms-2">
+      稼働率 {market.uptimePercent}%
+      {typeof market.averageLatencyMs === 'number'
+        ? ` / 応答 ${market.averageLatencyMs}ms`
+        : ''}
+    </small>
+  )
+}
+
+// 教師からのお知らせのバナー（閉じたものは再読み込みするまで表示しない）
+function AnnouncementBanner({ announcements, onDismiss }) {
+  if (announcements.length === 0) {
+    return null
+  }
+  return (
+    <div className="mb-3">
+      {announcements.map((announcement) => (
+        <div
+          key={announcement.id}
+          className={`alert alert-${announcement.level} d-flex justify-content-between align-items-start`}
+        >
+          <div>
+            <strong className="me-2">お知らせ</strong>
+            {announcement.message}
+            <div>
+              <small className="text-muted">
+                {new Date(announcement.createdAt).toLocaleString('ja-JP')}
+              </small>
+            </div>
+          </div>
+          <button
+            type="button"
+            className="btn-close"
+            aria-label="閉じる"
+            onClick={() => onDismiss(announcement.id)}
+          ></button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// 取引ラウンドの状態の表示名とバッジの色
+const SESSION_LABELS = {
+  PREPARING: { label: '準備中', className: 'bg-secondary' },
+  OPEN: { label: '取引中', className: 'bg-success' },
+  PAUSED: { label: '一時停止中', className: 'bg-warning text-dark' },
+  CLOSED: { label: '終了', className: 'bg-danger' },
+}
+
+// 残り時間を「分:秒」（1時間以上は「時:分:秒」）で表す
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000))
+  const pad = (value) => String(value).padStart(2, '0')
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = totalSeconds % 60
+  return hours > 0
+    ? `${hours}:${pad(minutes)}:${pad(seconds)}`
+    : `${minutes}:${pad(seconds)}`
+}
+
+// 取引ラウンドの状態と残り時間の表示（教師がラウンドを設定していない場合は空）
+function SessionStatus({ session }) {
+  const [now, setNow] = React.useState(Date.now())
+
+  // 1秒ごとに残り時間を更新する
+  React.useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(intervalId)
+  }, [])
+
+  if (
+    !session ||
+    (session.state === 'OPEN' && session.round === null && !session.endsAt)
+  ) {
+    return null
+  }
+
+  // 開始・終了時刻を過ぎた場合は、次の通知を待たずに表示を切り替える
+  const serverNow = now + session.clockOffset
+  let state = session.state
+  if (
+    state === 'PREPARING' &&
+    session.startsAt &&
+    Date.parse(session.startsAt) <= serverNow
+  ) {
+    state = 'OPEN'
+  }
+  if (
+    state === 'OPEN' &&
+    session.endsAt &&
+    Date.parse(session.endsAt) <= serverNow
+  ) {
+    state = 'CLOSED'
+  }
+
+  let remainingMs = null
+  let countdown = null
+  if (state === 'PREPARING' && session.startsAt) {
+    remainingMs = Date.parse(session.startsAt) - serverNow
+    countdown = `開始まで ${formatDuration(remainingMs)}`
+  } else if (state === 'OPEN' && session.endsAt) {
+    remainingMs = Date.parse(session.endsAt) - serverNow
+    countdown = `終了まで ${formatDuration(remainingMs)}`
+  } else if (state === 'PAUSED' && session.remainingMs !== null) {
+    countdown = `残り ${formatDuration(session.remainingMs)}`
+  }
+
+  const { label, className } = SESSION_LABELS[state]
+  return (
+    <div className="d-flex align-items-center mb-3">
+      <span className={`badge fs-6 me-3 ${className}`}>
+        {session.round ? `第${session.round}ラウンド ` : ''}
+        {label}
+      </span>
+      {countdown && (
+        <span
+          className={`fs-4 fw-bold ${
+            state === 'OPEN' && remainingMs < 60000 ? 'text-danger' : ''
+          }`}
+        >
+          {countdown}
+        </span>
+      )}
+      {state !== 'OPEN' && (
+        <small className="text-muted ms-3">
+          取引ラウンドの時間外は購入できません
+        </small>
+      )}
+    </div>
+  )
+}
+
 // コレクションアイテムコンポーネント
 function CollectionItem({ item }) {
   // DiceBearのアバターを生成するURL - 店舗アドレスをシードとして使用して店舗と統一
@@ -46,15 +221,10 @@ function CollectionItem({ item }) {
 
 // マーケットカードコンポーネント
 function MarketCard({ market, onSelect }) {
-  const statusClass =
-    market.status === 'ONLINE'
-      ? 'status-online'
-      : market.status === 'OFFLINE'
-      ? 'status-offline'
-      : 'status-unknown'
+  const statusClass = statusClassOf(market.status)
 
   const handleClick = () => {
-    if (market.status === 'ONLINE') {
+    if (isAvailable(market)) {
       onSelect(market)
     }
   }
@@ -62,7 +232,7 @@ function MarketCard({ market, onSelect }) {
   // 商品をクリックしたときのハンドラー
   const handleProductClick = (e, product, index) => {
     e.stopPropagation() // 親要素のクリックイベントを停止
-    if (market.status === 'ONLINE') {
+    if (isAvailable(market) && !isSoldOut(product)) {
       onSelect(market, product, index)
     }
   }
@@ -75,7 +245,7 @@ function MarketCard({ market, onSelect }) {
   return (
     <div
       className={`card market-card mb-3 ${
-        market.status !== 'ONLINE' ? 'opacity-50' : ''
+        !isAvailable(market) ? 'opacity-50' : ''
       }`}
       onClick={handleClick}
     >
@@ -91,7 +261,12 @@ function MarketCard({ market, onSelect }) {
             />
           </div>
           <div>
-            <h5 className="card-title mb-1">店舗: {market.address}</h5>
+            <h5 className="card-title mb-1">
+              店舗: {market.name || market.address}
+            </h5>
+            {market.name && (
+              <small className="text-muted d-block">{market.address}</small>
+            )}
             <h6 className="card-subtitle text-muted">
               {market.products.length}種類の商品
             </h6>
@@ -107,12 +282,25 @@ function MarketCard({ market, onSelect }) {
               >
                 <span
                   onClick={(e) => handleProductClick(e, product, index)}
-                  style={{ cursor: 'pointer', color: '#007bff' }}
+                  style={
+                    isSoldOut(product)
+                      ? { color: '#6c757d', textDecoration: 'line-through' }
+                      : { cursor: 'pointer', color: '#007bff' }
+                  }
                 >
-                  {product.product}
+                  {productLabelOf(product)}
                 </span>
-                <span className="badge bg-primary rounded-pill">
-                  {product.price}円
+                <span>
+                  {isSoldOut(product) ? (
+                    <span className="badge bg-secondary me-1">売り切れ</span>
+                  ) : typeof product.stock === 'number' ? (
+                    <small className="text-muted me-2">
+                      在庫 {product.stock.toLocaleString()}
+                    </small>
+                  ) : null}
+                  <span className="badge bg-primary rounded-pill">
+                    {product.price}円
+                  </span>
                 </span>
               </li>
             ))}
@@ -121,6 +309,7 @@ function MarketCard({ market, onSelect }) {
         <p className="card-text">
           状態: <span className={`status-indicator ${statusClass}`}></span>
           {market.status}
+          <HealthSummary market={market} />
         </p>
       </div>
     </div>
@@ -142,6 +331,11 @@ function PurchaseForm({
 
   const selectedProduct = market.products[selectedProductIndex]
   const totalPrice = selectedProduct ? selectedProduct.price * quantity : 0
+  const soldOut = selectedProduct ? isSoldOut(selectedProduct) : false
+  const exceedsStock =
+    selectedProduct &&
+    typeof selectedProduct.stock === 'number' &&
+    quantity > selectedProduct.stock
 
   // 購入後の残高を計算（assetsが存在する場合のみ）
   const currentBalance = (assets && assets.capitalYen) || 0
@@ -151,6 +345,13 @@ function PurchaseForm({
   // 数量入力フィールドへの参照
   const quantityInputRef = React.useRef(null)
 
+  // 送信中・再送待ちの取引ID（購入内容が変わるまで同じIDを使い回す）
+  const tradeIdRef = React.useRef(null)
+
+  React.useEffect(() => {
+    tradeIdRef.current = null
+  }, [market.address, selectedProductIndex, quantity])
+
   // コンポーネントがマウントされたとき、または初期商品インデックスが変更されたときに実行
   React.useEffect(() => {
     // 初期商品インデックスが変更された場合、選択商品を更新
@@ -181,26 +382,34 @@ function PurchaseForm({
   }
 
   const handlePurchase = async () => {
-    if (!market || !selectedProduct || quantity <= 0) return
+    if (!market || !selectedProduct || quantity <= 0 || exceedsStock) return
 
     setIsLoading(true)
 
+    // 前回の送信が失敗した場合は同じ取引IDで再送する
+    if (!tradeIdRef.current) {
+      tradeIdRef.current = generateTradeId()
+    }
+
     try {
-      // 購入リクエストを行う
-      const response = await fetch(`http://${market.address}/buy`, {
+      // 自店の決済APIを経由して購入リクエストを行う（資金の減算は自店側で行う）
+      const response = await fetch('/api/purchase', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
+          address: market.address,
           product: selectedProduct.product,
           qty: quantity,
+          tradeId: tradeIdRef.current,
         }),
       })
 
       const result = await response.json()
 
       if (response.ok) {
+        tradeIdRef.current = null
         onPurchase(true, '購入が完了しました！', {
           product: result.product,
           qty: result.qty,
@@ -239,11 +448,16 @@ function PurchaseForm({
             />
           </div>
           <div className="col-md-8">
-            <h4>店舗: {market.address}</h4>
+            <h4>店舗: {market.name || market.address}</h4>
+            {market.name && <p className="text-muted mb-1">{market.address}</p>}
             <p className="mb-1">商品数: {market.products.length}種類</p>
             <p>
-              状態: <span className="status-indicator status-online"></span>
+              状態:{' '}
+              <span
+                className={`status-indicator ${statusClassOf(market.status)}`}
+              ></span>
               {market.status}
+              <HealthSummary market={market} />
             </p>
           </div>
         </div>
@@ -260,8 +474,9 @@ function PurchaseForm({
               onChange={handleProductChange}
             >
               {market.products.map((product, index) => (
-                <option key={index} value={index}>
-                  {product.product} ({product.price}円)
+                <option key={index} value={index} disabled={isSoldOut(product)}>
+                  {productLabelOf(product)} ({product.price}円)
+                  {isSoldOut(product) ? ' - 売り切れ' : ''}
                 </option>
               ))}
             </select>
@@ -275,6 +490,11 @@ function PurchaseForm({
               className="form-control"
               id="quantity"
               min="1"
+              max={
+                typeof selectedProduct.stock === 'number'
+                  ? selectedProduct.stock
+                  : undefined
+              }
               value={quantity}
               onChange={handleQuantityChange}
               ref={quantityInputRef}
@@ -286,8 +506,17 @@ function PurchaseForm({
           <div className="col-md-6 mb-3">
             <div className="card">
               <div className="card-body">
-                <h5 className="card-title">{selectedProduct.product}</h5>
+                <h5 className="card-title">
+                  {productLabelOf(selectedProduct)}
+                </h5>
                 <p className="card-text">単価: {selectedProduct.price}円</p>
+                {typeof selectedProduct.stock === 'number' && (
+                  <p
+                    className={`card-text ${exceedsStock ? 'text-danger' : ''}`}
+                  >
+                    在庫: {selectedProduct.stock.toLocaleString()}個
+                  </p>
+                )}
                 <p className="card-text">
                   <strong>合計金額: {totalPrice}円</strong>
                 </p>
@@ -320,9 +549,15 @@ function PurchaseForm({
               <button
                 className="btn btn-success"
                 onClick={handlePurchase}
-                disabled={isLoading}
+                disabled={isLoading || soldOut || exceedsStock}
               >
-                {isLoading ? '処理中...' : '購入する'}
+                {isLoading
+                  ? '処理中...'
+                  : soldOut
+                  ? '売り切れ'
+                  : exceedsStock
+                  ? '在庫が不足しています'
+                  : '購入する'}
               </button>
             </div>
           </div>
@@ -337,6 +572,1123 @@ function PurchaseForm({
   )
 }
 
+// 注文状態の表示名とバッジの色
+const ORDER_STATE_LABELS = {
+  NEW: { label: '受付', className: 'bg-secondary' },
+  PENDING_MATCH: { label: '送信中', className: 'bg-warning text-dark' },
+  MATCHED: { label: '成立', className: 'bg-info text-dark' },
+  SETTLED: { label: '完了', className: 'bg-success' },
+  FAILED: { label: '失敗', className: 'bg-danger' },
+}
+
+// 商品カタログコンポーネント（全マーケットの商品を価格で比較し、最安値の店から購入する）
+function ProductCatalogue({ onPurchase }) {
+  const [catalogue, setCatalogue] = React.useState([])
+  const [isLoading, setIsLoading] = React.useState(false)
+  const [error, setError] = React.useState(null)
+  const [openProduct, setOpenProduct] = React.useState(null)
+  const [offers, setOffers] = React.useState([])
+  const [buyingProduct, setBuyingProduct] = React.useState(null)
+
+  // 商品カタログを取得する
+  const fetchCatalogue = async () => {
+    setIsLoading(true)
+    setError(null)
+    try {
+      const response = await fetch('/api/catalogue')
+      if (!response.ok) {
+        throw new Error(`サーバーエラー: ${response.status}`)
+      }
+      setCatalogue(await response.json())
+    } catch (error) {
+      console.error('商品カタログの取得に失敗しました:', error)
+      setError(`商品カタログの取得に失敗しました: ${error.message}`)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // 商品の販売店一覧（価格の安い順）を取得する
+  const fetchOffers = async (product) => {
+    const response = await fetch(
+      `/api/catalogue/${encodeURIComponent(product)}/offers`
+    )
+    if (!response.ok) {
+      throw new Error(`サーバーエラー: ${response.status}`)
+    }
+    return response.json()
+  }
+
+  // 販売店一覧の表示を切り替える
+  const toggleOffers = async (product) => {
+    if (openProduct === product) {
+      setOpenProduct(null)
+      return
+    }
+    try {
+      setOffers(await fetchOffers(product))
+      setOpenProduct(product)
+    } catch (error) {
+      console.error('販売店一覧の取得に失敗しました:', error)
+      setError(`販売店一覧の取得に失敗しました: ${error.message}`)
+    }
+  }
+
+  // 在庫のある最安値の店から1個購入する
+  const buyCheapest = async (product) => {
+    setBuyingProduct(product)
+    try {
+      const offer = (await fetchOffers(product)).find(
+        (item) => !isSoldOut(item)
+      )
+      if (!offer) {
+        onPurchase(false, '購入に失敗しました。', {
+          error: '在庫のあるONLINEの店がありません',
+        })
+        return
+      }
+
+      const response = await fetch('/api/purchase', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          address: offer.address,
+          product,
+          qty: 1,
+          tradeId: generateTradeId(),
+        }),
+      })
+      const result = await response.json()
+      if (response.ok) {
+        onPurchase(true, `${offer.name || offer.address} から購入しました！`, {
+          product: result.product,
+          qty: result.qty,
+          totalPrice: result.totalPrice,
+          tradeId: result.tradeId,
+        })
+      } else {
+        onPurchase(false, '購入に失敗しました。', {
+          error: result.error || '不明なエラー',
+        })
+      }
+    } catch (error) {
+      console.error('購入処理中にエラーが発生しました:', error)
+      onPurchase(false, '購入処理中にエラーが発生しました。', {
+        error: error.message,
+      })
+    } finally {
+      setBuyingProduct(null)
+    }
+  }
+
+  React.useEffect(() => {
+    fetchCatalogue()
+  }, [])
+
+  return (
+    <section className="mb-4">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h2>商品から探す</h2>
+        <button
+          className="btn btn-primary"
+          onClick={fetchCatalogue}
+          disabled={isLoading}
+        >
+          {isLoading ? '更新中...' : '更新'}
+        </button>
+      </div>
+
+      {error ? (
+        <div className="alert alert-danger">{error}</div>
+      ) : catalogue.length === 0 ? (
+        <div className="alert alert-info">登録されている商品はありません。</div>
+      ) : (
+        <table className="table align-middle">
+          <thead>
+            <tr>
+              <th>商品</th>
+              <th className="text-end">最安値</th>
+              <th className="text-end">中央値</th>
+              <th className="text-end">最高値</th>
+              <th className="text-end">販売店（ONLINE / 全体）</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {catalogue.map((item) => (
+              <React.Fragment key={item.product}>
+                <tr>
+                  <td>{productLabelOf(item)}</td>
+                  <td className="text-end">
+                    {item.minPrice.toLocaleString()}円
+                  </td>
+                  <td className="text-end">
+                    {item.medianPrice.toLocaleString()}円
+                  </td>
+                  <td className="text-end">
+                    {item.maxPrice.toLocaleString()}円
+                  </td>
+                  <td className="text-end">
+                    {item.onlineSellers} / {item.sellers}
+                  </td>
+                  <td className="text-end">
+                    <button
+                      className="btn btn-outline-secondary btn-sm me-2"
+                      onClick={() => toggleOffers(item.product)}
+                    >
+                      販売店
+                    </button>
+                    <button
+                      className="btn btn-success btn-sm"
+                      onClick={() => buyCheapest(item.product)}
+                      disabled={
+                        buyingProduct !== null || item.onlineSellers === 0
+                      }
+                    >
+                      {buyingProduct === item.product
+                        ? '購入中...'
+                        : '最安値で1個購入'}
+                    </button>
+                  </td>
+                </tr>
+                {openProduct === item.product && (
+                  <tr>
+                    <td colSpan="6">
+                      {offers.length === 0 ? (
+                        <small className="text-muted">
+                          ONLINEの販売店はありません。
+                        </small>
+                      ) : (
+                        <ul className="list-group">
+                          {offers.map((offer) => (
+                            <li
+                              key={offer.address}
+                              className="list-group-item d-flex justify-content-between"
+                            >
+                              <span>{offer.name || offer.address}</span>
+                              <span>
+                                {isSoldOut(offer) ? (
+                                  <span className="badge bg-secondary me-1">
+                                    売り切れ
+                                  </span>
+                                ) : typeof offer.stock === 'number' ? (
+                                  <small className="text-muted me-2">
+                                    在庫 {offer.stock.toLocaleString()}
+                                  </small>
+                                ) : null}
+                                {offer.price.toLocaleString()}円
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  )
+}
+
+// ランキングの順位付けの項目
+const LEADERBOARD_OPTIONS = [
+  { value: 'assets', label: '総資産' },
+  { value: 'revenue', label: '売上' },
+  { value: 'collection', label: '集めた種類' },
+]
+
+// ランキングの自動更新の間隔（ミリ秒）
+const LEADERBOARD_REFRESH_INTERVAL = 10000
+
+// ランキングコンポーネント（projector を指定すると授業で投影するための大きな表示）
+function Leaderboard({ projector }) {
+  const [by, setBy] = React.useState('assets')
+  const [entries, setEntries] = React.useState([])
+  const [error, setError] = React.useState(null)
+  const [lastUpdated, setLastUpdated] = React.useState(null)
+
+  // ランキングを取得する
+  const fetchLeaderboard = async (rankBy) => {
+    try {
+      const response = await fetch(
+        `/api/leaderboard?by=${encodeURIComponent(rankBy)}`
+      )
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `サーバーエラー: ${response.status}`)
+      }
+      setEntries(data)
+      setError(null)
+      setLastUpdated(new Date())
+    } catch (error) {
+      console.error('ランキングの取得に失敗しました:', error)
+      setError(`ランキングの取得に失敗しました: ${error.message}`)
+    }
+  }
+
+  // 順位付けの項目が変わったとき（初回を含む）に取得し、以降は定期的に更新する
+  React.useEffect(() => {
+    fetchLeaderboard(by)
+    const intervalId = setInterval(
+      () => fetchLeaderboard(by),
+      LEADERBOARD_REFRESH_INTERVAL
+    )
+    return () => clearInterval(intervalId)
+  }, [by])
+
+  // 順位付けに使っている列を強調する
+  const columnClass = (value) =>
+    value === by ? 'text-end fw-bold' : 'text-end'
+
+  return (
+    <section className={projector ? 'fs-3' : 'mb-4'}>
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h2 className={projector ? 'display-4 fw-bold' : ''}>ランキング</h2>
+        <div className="d-flex align-items-center">
+          {lastUpdated && (
+            <small className="text-muted me-3">
+              最終更新: {lastUpdated.toLocaleTimeString('ja-JP')}
+            </small>
+          )}
+          <div className="btn-group">
+            {LEADERBOARD_OPTIONS.map((option) => (
+              <button
+                key={option.value}
+                className={`btn ${
+                  option.value === by ? 'btn-primary' : 'btn-outline-primary'
+                }`}
+                onClick={() => setBy(option.value)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          {!projector && (
+            <a
+              className="btn btn-outline-secondary ms-2"
+              href="?view=leaderboard"
+              target="_blank"
+              rel="noopener"
+            >
+              投影用に開く
+            </a>
+          )}
+        </div>
+      </div>
+
+      {error ? (
+        <div className="alert alert-danger">{error}</div>
+      ) : entries.length === 0 ? (
+        <div className="alert alert-info">
+          まだ成績を報告した店はありません。
+        </div>
+      ) : (
+        <table className="table align-middle">
+          <thead>
+            <tr>
+              <th>順位</th>
+              <th>店舗</th>
+              <th className={columnClass('assets')}>総資産</th>
+              <th className={columnClass('revenue')}>売上（件数）</th>
+              <th className={columnClass('collection')}>集めた種類（個数）</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry) => (
+              <tr key={entry.address}>
+                <td className="fw-bold">{entry.rank}位</td>
+                <td>
+                  <span
+                    className={`status-indicator ${statusClassOf(
+                      entry.status
+                    )}`}
+                  ></span>
+                  {entry.name || entry.address}
+                  {!entry.verified && (
+                    <span className="badge bg-secondary ms-2">署名なし</span>
+                  )}
+                </td>
+                <td className={columnClass('assets')}>
+                  {entry.totalAssets.toLocaleString()}
+                </td>
+                <td className={columnClass('revenue')}>
+                  {entry.salesRevenue.toLocaleString()}円（
+                  {entry.salesCount.toLocaleString()}件）
+                </td>
+                <td className={columnClass('collection')}>
+                  {entry.distinctItems.toLocaleString()}種類（
+                  {entry.collectionSize.toLocaleString()}個）
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  )
+}
+
+// 注文一覧コンポーネント
+function OrderList({ orders, onRefresh }) {
+  const [showAll, setShowAll] = React.useState(false)
+
+  // 既定では未完了・失敗の注文のみ表示
+  const visibleOrders = showAll
+    ? orders
+    : orders.filter((order) => order.state !== 'SETTLED')
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">注文状況</h5>
+        <div>
+          <button
+            className="btn btn-sm btn-outline-secondary me-2"
+            onClick={() => setShowAll(!showAll)}
+          >
+            {showAll ? '未完了・失敗のみ' : 'すべて表示'}
+          </button>
+          <button className="btn btn-sm btn-primary" onClick={onRefresh}>
+            更新
+          </button>
+        </div>
+      </div>
+      {visibleOrders.length === 0 ? (
+        <div className="card-body text-muted">
+          {showAll ? '注文はありません。' : '未完了・失敗の注文はありません。'}
+        </div>
+      ) : (
+        <ul className="list-group list-group-flush">
+          {visibleOrders.map((order) => {
+            const state = ORDER_STATE_LABELS[order.state] || {
+              label: order.state,
+              className: 'bg-secondary',
+            }
+            return (
+              <li key={order.id} className="list-group-item">
+                <div className="d-flex justify-content-between">
+                  <span>
+                    {order.product} × {order.qty}（{order.seller}）
+                  </span>
+                  <span className={`badge ${state.className}`}>
+                    {state.label}
+                  </span>
+                </div>
+                <small className="text-muted">
+                  {new Date(order.updatedAt).toLocaleString('ja-JP')} / 取引ID:{' '}
+                  {order.tradeId}
+                </small>
+                {order.failureReason && (
+                  <div className="text-danger small">
+                    理由: {order.failureReason}
+                  </div>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+// 取引履歴の1ページの件数
+const TRANSACTIONS_PAGE_SIZE = 20
+
+// 取引の種類の表示
+const TRANSACTION_TYPE_LABELS = {
+  sale: { label: '販売', className: 'bg-success' },
+  purchase: { label: '購入', className: 'bg-primary' },
+}
+
+// 取引履歴の並べ替えの選択肢（value は sort と order を : で区切ったもの）
+const TRANSACTION_SORT_OPTIONS = [
+  { value: 'ts:desc', label: '新しい順' },
+  { value: 'ts:asc', label: '古い順' },
+  { value: 'amount:desc', label: '金額が大きい順' },
+  { value: 'qty:desc', label: '数量が多い順' },
+  { value: 'product:asc', label: '商品名順' },
+]
+
+// 取引履歴の絞り込みの初期値
+const INITIAL_TRANSACTION_FILTERS = {
+  type: '',
+  product: '',
+  counterparty: '',
+  from: '',
+  to: '',
+  sort: 'ts:desc',
+}
+
+// 日付（YYYY-MM-DD）をその日の0時（ブラウザの地方時）の日時文字列にする
+function startOfLocalDate(value, addDays) {
+  const date = new Date(`${value}T00:00:00`)
+  date.setDate(date.getDate() + (addDays || 0))
+  return date.toISOString()
+}
+
+// 取引履歴の絞り込みをクエリパラメータに変換する（to の日付はその日の終わりまで含める）
+function toTransactionParams(filters) {
+  const params = new URLSearchParams()
+  for (const name of ['type', 'product', 'counterparty']) {
+    if (filters[name].trim()) {
+      params.set(name, filters[name].trim())
+    }
+  }
+  if (filters.from) {
+    params.set('from', startOfLocalDate(filters.from))
+  }
+  if (filters.to) {
+    params.set('to', startOfLocalDate(filters.to, 1))
+  }
+  const [sort, order] = filters.sort.split(':')
+  params.set('sort', sort)
+  params.set('order', order)
+  return params
+}
+
+// 取引履歴コンポーネント（販売・購入の記録と集計、CSVのダウンロード）
+function TransactionHistory() {
+  const [draft, setDraft] = React.useState(INITIAL_TRANSACTION_FILTERS)
+  const [filters, setFilters] = React.useState(INITIAL_TRANSACTION_FILTERS)
+  const [offset, setOffset] = React.useState(0)
+  const [result, setResult] = React.useState(null)
+  const [error, setError] = React.useState(null)
+
+  // 取引履歴を取得する（現在の絞り込みとページで）
+  const fetchTransactions = async () => {
+    try {
+      const params = toTransactionParams(filters)
+      params.set('offset', String(offset))
+      params.set('limit', String(TRANSACTIONS_PAGE_SIZE))
+      const response = await fetch(`/api/transactions?${params}`)
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `サーバーエラー: ${response.status}`)
+      }
+      setResult(data)
+      setError(null)
+    } catch (error) {
+      console.error('取引履歴の取得に失敗しました:', error)
+      setError(`取引履歴の取得に失敗しました: ${error.message}`)
+    }
+  }
+
+  React.useEffect(() => {
+    fetchTransactions()
+  }, [filters, offset])
+
+  // 入力中の絞り込みを適用する（ページは先頭に戻す）
+  const applyFilters = (event) => {
+    event.preventDefault()
+    setFilters(draft)
+    setOffset(0)
+  }
+
+  const resetFilters = () => {
+    setDraft(INITIAL_TRANSACTION_FILTERS)
+    setFilters(INITIAL_TRANSACTION_FILTERS)
+    setOffset(0)
+  }
+
+  const updateDraft = (change) => setDraft(Object.assign({}, draft, change))
+
+  const transactions = result ? result.transactions : []
+  const totals = result ? result.totals : null
+
+  return (
+    <section className="mb-4">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h2>取引履歴</h2>
+        <div>
+          <a
+            className="btn btn-outline-secondary me-2"
+            href={`/api/transactions?${toTransactionParams(
+              filters
+            )}&format=csv`}
+          >
+            CSVをダウンロード
+          </a>
+          <button className="btn btn-primary" onClick={fetchTransactions}>
+            更新
+          </button>
+        </div>
+      </div>
+
+      <form className="row g-2 align-items-end mb-3" onSubmit={applyFilters}>
+        <div className="col-md-2">
+          <label className="form-label small">種類</label>
+          <select
+            className="form-select"
+            value={draft.type}
+            onChange={(e) => updateDraft({ type: e.target.value })}
+          >
+            <option value="">すべて</option>
+            <option value="sale">販売</option>
+            <option value="purchase">購入</option>
+          </select>
+        </div>
+        <div className="col-md-2">
+          <label className="form-label small">商品名</label>
+          <input
+            type="text"
+            className="form-control"
+            value={draft.product}
+            onChange={(e) => updateDraft({ product: e.target.value })}
+          />
+        </div>
+        <div className="col-md-2">
+          <label className="form-label small">取引相手</label>
+          <input
+            type="text"
+            className="form-control"
+            placeholder="IP または IP:PORT"
+            value={draft.counterparty}
+            onChange={(e) => updateDraft({ counterparty: e.target.value })}
+          />
+        </div>
+        <div className="col-md-2">
+          <label className="form-label small">開始日</label>
+          <input
+            type="date"
+            className="form-control"
+            value={draft.from}
+            onChange={(e) => updateDraft({ from: e.target.value })}
+          />
+        </div>
+        <div className="col-md-2">
+          <label className="form-label small">終了日</label>
+          <input
+            type="date"
+            className="form-control"
+            value={draft.to}
+            onChange={(e) => updateDraft({ to: e.target.value })}
+          />
+        </div>
+        <div className="col-md-2">
+          <label className="form-label small">並べ替え</label>
+          <select
+            className="form-select"
+            value={draft.sort}
+            onChange={(e) => updateDraft({ sort: e.target.value })}
+          >
+            {TRANSACTION_SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="col-auto">
+          <button type="submit" className="btn btn-outline-primary me-2">
+            絞り込む
+          </button>
+          <button
+            type="button"
+            className="btn btn-outline-secondary"
+            onClick={resetFilters}
+          >
+            条件をクリア
+          </button>
+        </div>
+      </form>
+
+      {totals && (
+        <div className="row mb-3">
+          <div className="col-md-4">
+            <div className="card">
+              <div className="card-body">
+                <h6 className="card-subtitle text-muted mb-1">販売</h6>
+                <div className="fs-5">
+                  {totals.sale.amount.toLocaleString()}円
+                </div>
+                <small className="text-muted">
+                  {totals.sale.count.toLocaleString()}件 /{' '}
+                  {totals.sale.qty.toLocaleString()}個
+                </small>
+              </div>
+            </div>
+          </div>
+          <div className="col-md-4">
+            <div className="card">
+              <div className="card-body">
+                <h6 className="card-subtitle text-muted mb-1">購入</h6>
+                <div className="fs-5">
+                  {totals.purchase.amount.toLocaleString()}円
+                </div>
+                <small className="text-muted">
+                  {totals.purchase.count.toLocaleString()}件 /{' '}
+                  {totals.purchase.qty.toLocaleString()}個
+                </small>
+              </div>
+            </div>
+          </div>
+          <div className="col-md-4">
+            <div className="card">
+              <div className="card-body">
+                <h6 className="card-subtitle text-muted mb-1">
+                  差引（販売 − 購入）
+                </h6>
+                <div className={`fs-5 ${totals.net < 0 ? 'text-danger' : ''}`}>
+                  {totals.net.toLocaleString()}円
+                </div>
+                <small className="text-muted">
+                  該当する{result.total.toLocaleString()}件の合計
+                </small>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {error ? (
+        <div className="alert alert-danger">{error}</div>
+      ) : transactions.length === 0 ? (
+        <div className="alert alert-info">該当する取引はありません。</div>
+      ) : (
+        <div>
+          <table className="table table-sm align-middle">
+            <thead>
+              <tr>
+                <th>日時</th>
+                <th>種類</th>
+                <th>商品</th>
+                <th className="text-end">数量</th>
+                <th className="text-end">単価</th>
+                <th className="text-end">金額</th>
+                <th>取引相手</th>
+                <th>取引ID</th>
+              </tr>
+            </thead>
+            <tbody>
+              {transactions.map((transaction) => {
+                const type = TRANSACTION_TYPE_LABELS[transaction.type]
+                return (
+                  <tr key={`${transaction.type}:${transaction.tradeId}`}>
+                    <td>
+                      {new Date(transaction.ts * 1000).toLocaleString('ja-JP')}
+                    </td>
+                    <td>
+                      <span className={`badge ${type.className}`}>
+                        {type.label}
+                      </span>
+                    </td>
+                    <td>{transaction.product}</td>
+                    <td className="text-end">
+                      {transaction.qty.toLocaleString()}
+                    </td>
+                    <td className="text-end">
+                      {transaction.price.toLocaleString()}円
+                    </td>
+                    <td className="text-end">
+                      {transaction.amount.toLocaleString()}円
+                    </td>
+                    <td>{transaction.counterparty}</td>
+                    <td>
+                      <small className="text-muted">
+                        {transaction.tradeId}
+                      </small>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+          <div className="d-flex justify-content-between align-items-center">
+            <small className="text-muted">
+              全{result.total}件中 {offset + 1}〜{offset + transactions.length}
+              件
+            </small>
+            <div>
+              <button
+                className="btn btn-outline-secondary btn-sm me-2"
+                disabled={offset === 0}
+                onClick={() =>
+                  setOffset(Math.max(0, offset - TRANSACTIONS_PAGE_SIZE))
+                }
+              >
+                前へ
+              </button>
+              <button
+                className="btn btn-outline-secondary btn-sm"
+                disabled={result.nextOffset === null}
+                onClick={() => setOffset(result.nextOffset)}
+              >
+                次へ
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  )
+}
+
+// グラフの大きさ（SVG の座標。表示するときは幅に合わせて拡大・縮小される）
+const CHART_WIDTH = 600
+const CHART_HEIGHT = 200
+const CHART_PADDING = { top: 10, right: 10, bottom: 24, left: 90 }
+// グラフの横軸に表示するラベルの最大数（多い場合は間引く）
+const CHART_MAX_LABELS = 12
+
+// 棒グラフ（points の各要素から valueOf で値、labelOf で横軸のラベルを取り出す）
+function BarChart({ points, valueOf, labelOf, color }) {
+  const { top, right, bottom, left } = CHART_PADDING
+  const innerWidth = CHART_WIDTH - left - right
+  const innerHeight = CHART_HEIGHT - top - bottom
+  const max = Math.max(1, ...points.map(valueOf))
+  const barWidth = innerWidth / points.length
+  const labelStep = Math.ceil(points.length / CHART_MAX_LABELS)
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-100">
+      <line
+        x1={left}
+        y1={top + innerHeight}
+        x2={CHART_WIDTH - right}
+        y2={top + innerHeight}
+        stroke="#adb5bd"
+      />
+      <text x={left - 6} y={top + 4} textAnchor="end" fontSize="11">
+        {max.toLocaleString()}
+      </text>
+      <text x={left - 6} y={top + innerHeight} textAnchor="end" fontSize="11">
+        0
+      </text>
+      {points.map((point, index) => {
+        const height = (valueOf(point) / max) * innerHeight
+        const x = left + index * barWidth
+        return (
+          <g key={index}>
+            <rect
+              x={x + barWidth * 0.1}
+              y={top + innerHeight - height}
+              width={barWidth * 0.8}
+              height={height}
+              fill={color}
+            >
+              <title>
+                {labelOf(point)}: {valueOf(point).toLocaleString()}
+              </title>
+            </rect>
+            {index % labelStep === 0 && (
+              <text
+                x={x + barWidth / 2}
+                y={CHART_HEIGHT - 6}
+                textAnchor="middle"
+                fontSize="11"
+              >
+                {labelOf(point)}
+              </text>
+            )}
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+// 折れ線グラフ（points は { ts, ... }。lines の key ごとに1本の線を引く）
+function LineChart({ points, lines }) {
+  const { top, right, bottom, left } = CHART_PADDING
+  const innerWidth = CHART_WIDTH - left - right
+  const innerHeight = CHART_HEIGHT - top - bottom
+  const max = Math.max(
+    1,
+    ...lines.map((line) => Math.max(...points.map((point) => point[line.key])))
+  )
+  const first = points[0].ts
+  const last = points[points.length - 1].ts
+  // 時刻を横軸の位置にする（1点だけの場合は中央）
+  const xOf = (ts) =>
+    left +
+    (last > first
+      ? ((ts - first) / (last - first)) * innerWidth
+      : innerWidth / 2)
+  const yOf = (value) => top + innerHeight - (value / max) * innerHeight
+  const timeLabel = (ts) =>
+    new Date(ts * 1000).toLocaleString('ja-JP', {
+      month: 'numeric',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    })
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-100">
+        <line
+          x1={left}
+          y1={top + innerHeight}
+          x2={CHART_WIDTH - right}
+          y2={top + innerHeight}
+          stroke="#adb5bd"
+        />
+        <text x={left - 6} y={top + 4} textAnchor="end" fontSize="11">
+          {max.toLocaleString()}
+        </text>
+        <text x={left - 6} y={top + innerHeight} textAnchor="end" fontSize="11">
+          0
+        </text>
+        <text x={left} y={CHART_HEIGHT - 6} fontSize="11">
+          {timeLabel(first)}
+        </text>
+        <text
+          x={CHART_WIDTH - right}
+          y={CHART_HEIGHT - 6}
+          textAnchor="end"
+          fontSize="11"
+        >
+          {timeLabel(last)}
+        </text>
+        {lines.map((line) => (
+          <polyline
+            key={line.key}
+            fill="none"
+            stroke={line.color}
+            strokeWidth="2"
+            points={points
+              .map((point) => `${xOf(point.ts)},${yOf(point[line.key])}`)
+              .join(' ')}
+          />
+        ))}
+      </svg>
+      <div className="small">
+        {lines.map((line) => (
+          <span key={line.key} className="me-3">
+            <span style={{ color: line.color }}>■</span> {line.label}:{' '}
+            {points[points.length - 1][line.key].toLocaleString()}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// 売上の推移の区切り方の選択肢（/api/stats?by=）
+const SERIES_OPTIONS = [
+  { value: 'hour', label: '1時間ごと' },
+  { value: 'round', label: 'ラウンドごと' },
+]
+
+// ダッシュボードの自動更新の間隔（ミリ秒）
+const DASHBOARD_REFRESH_INTERVAL = 15000
+
+// 売上の推移の横軸のラベル
+function seriesLabelOf(point) {
+  if (point.start !== undefined) {
+    return `${new Date(point.start * 1000).getHours()}時`
+  }
+  return point.round === null ? 'ラウンド外' : `第${point.round}R`
+}
+
+// ダッシュボードコンポーネント（自店の売上と資産の推移）
+function Dashboard() {
+  const [by, setBy] = React.useState('hour')
+  const [stats, setStats] = React.useState(null)
+  const [error, setError] = React.useState(null)
+  const [lastUpdated, setLastUpdated] = React.useState(null)
+
+  // 売上分析を取得する
+  const fetchStats = async (seriesBy) => {
+    try {
+      const response = await fetch(
+        `/api/stats?by=${encodeURIComponent(seriesBy)}`
+      )
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `サーバーエラー: ${response.status}`)
+      }
+      setStats(data)
+      setError(null)
+      setLastUpdated(new Date())
+    } catch (error) {
+      console.error('売上分析の取得に失敗しました:', error)
+      setError(`売上分析の取得に失敗しました: ${error.message}`)
+    }
+  }
+
+  // 区切り方が変わったとき（初回を含む）に取得し、以降は定期的に更新する
+  React.useEffect(() => {
+    fetchStats(by)
+    const intervalId = setInterval(
+      () => fetchStats(by),
+      DASHBOARD_REFRESH_INTERVAL
+    )
+    return () => clearInterval(intervalId)
+  }, [by])
+
+  const summaryCards = stats
+    ? [
+        {
+          label: '売上',
+          value: `${stats.summary.revenue.toLocaleString()}円`,
+        },
+        {
+          label: '販売数',
+          value: `${stats.summary.unitsSold.toLocaleString()}個（${stats.summary.salesCount.toLocaleString()}件）`,
+        },
+        {
+          label: '購入した店',
+          value: `${stats.summary.distinctBuyers.toLocaleString()}店`,
+        },
+        {
+          label: '1件あたりの平均',
+          value: `${stats.summary.averageOrderQty.toFixed(
+            1
+          )}個 / ${stats.summary.averageOrderAmount.toLocaleString()}円`,
+        },
+      ]
+    : []
+
+  return (
+    <section className="mb-4">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h2>ダッシュボード</h2>
+        <div>
+          {lastUpdated && (
+            <small className="text-muted me-3">
+              最終更新: {lastUpdated.toLocaleTimeString('ja-JP')}
+            </small>
+          )}
+          <button className="btn btn-primary" onClick={() => fetchStats(by)}>
+            更新
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      {stats && (
+        <div>
+          <div className="row mb-3">
+            {summaryCards.map((card) => (
+              <div className="col-md-3" key={card.label}>
+                <div className="card">
+                  <div className="card-body">
+                    <h6 className="card-subtitle text-muted mb-1">
+                      {card.label}
+                    </h6>
+                    <div className="fs-5">{card.value}</div>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="card mb-3">
+            <div className="card-header d-flex justify-content-between align-items-center">
+              <h5 className="mb-0">売上の推移</h5>
+              <div className="btn-group btn-group-sm">
+                {SERIES_OPTIONS.map((option) => (
+                  <button
+                    key={option.value}
+                    className={`btn ${
+                      option.value === by
+                        ? 'btn-primary'
+                        : 'btn-outline-primary'
+                    }`}
+                    onClick={() => setBy(option.value)}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="card-body">
+              {stats.series.points.length === 0 ? (
+                <div className="text-muted">まだ売上はありません。</div>
+              ) : (
+                <BarChart
+                  points={stats.series.points}
+                  valueOf={(point) => point.revenue}
+                  labelOf={seriesLabelOf}
+                  color="#0d6efd"
+                />
+              )}
+            </div>
+          </div>
+
+          <div className="card mb-3">
+            <div className="card-header">
+              <h5 className="mb-0">商品ごとの売上</h5>
+            </div>
+            {stats.products.length === 0 ? (
+              <div className="card-body text-muted">
+                まだ売れた商品はありません。
+              </div>
+            ) : (
+              <table className="table table-sm align-middle mb-0">
+                <thead>
+                  <tr>
+                    <th>商品</th>
+                    <th>売上の割合</th>
+                    <th className="text-end">売上</th>
+                    <th className="text-end">販売数（件数）</th>
+                    <th className="text-end">平均単価</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.products.map((item) => (
+                    <tr key={item.product}>
+                      <td>{item.product}</td>
+                      <td style={{ width: '30%' }}>
+                        <div className="progress">
+                          <div
+                            className="progress-bar"
+                            style={{
+                              width: `${
+                                (item.revenue / stats.summary.revenue) * 100
+                              }%`,
+                            }}
+                          ></div>
+                        </div>
+                      </td>
+                      <td className="text-end">
+                        {item.revenue.toLocaleString()}円
+                      </td>
+                      <td className="text-end">
+                        {item.unitsSold.toLocaleString()}個（
+                        {item.salesCount.toLocaleString()}件）
+                      </td>
+                      <td className="text-end">
+                        {item.averagePrice.toLocaleString()}円
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className="card">
+            <div className="card-header">
+              <h5 className="mb-0">資産の推移</h5>
+            </div>
+            <div className="card-body">
+              <LineChart
+                points={stats.assetTrend}
+                lines={[
+                  { key: 'capitalYen', label: '資金（円）', color: '#198754' },
+                  {
+                    key: 'procurementPts',
+                    label: '仕入れポイント（PP）',
+                    color: '#fd7e14',
+                  },
+                ]}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  )
+}
+
 // 結果表示コンポーネント
 function ResultDisplay({ success, message, details, onClose }) {
   const cardClass = success ? 'border-success' : 'border-danger'
@@ -372,9 +1724,38 @@ function ResultDisplay({ success, message, details, onClose }) {
   )
 }
 
+// マーケット一覧の1ページの件数
+const MARKETS_PAGE_SIZE = 12
+
+// マーケットの変更を知らせるイベントの種類（/api/events）
+const MARKET_EVENT_TYPES = [
+  'market-added',
+  'market-updated',
+  'market-status',
+  'market-removed',
+]
+
+// 並べ替えの選択肢（value は sort と order を : で区切ったもの）
+const MARKET_SORT_OPTIONS = [
+  { value: '', label: '登録順' },
+  { value: 'price:asc', label: '価格が安い順' },
+  { value: 'price:desc', label: '価格が高い順' },
+  { value: 'updatedAt:desc', label: '更新が新しい順' },
+  { value: 'address:asc', label: 'アドレス順' },
+]
+
 // メインアプリケーションコンポーネント
 function App() {
   const [markets, setMarkets] = React.useState([])
+  const [searchText, setSearchText] = React.useState('')
+  const [marketQuery, setMarketQuery] = React.useState({
+    q: '',
+    onlineOnly: false,
+    sort: '',
+    offset: 0,
+  })
+  const [marketTotal, setMarketTotal] = React.useState(0)
+  const [nextOffset, setNextOffset] = React.useState(null)
   const [selectedMarket, setSelectedMarket] = React.useState(null)
   const [selectedProductIndex, setSelectedProductIndex] = React.useState(0)
   const [lastUpdated, setLastUpdated] = React.useState(null)
@@ -383,21 +1764,60 @@ function App() {
   const [purchaseResult, setPurchaseResult] = React.useState(null)
   const [collection, setCollection] = React.useState([])
   const [showCollection, setShowCollection] = React.useState(false)
+  const [showCatalogue, setShowCatalogue] = React.useState(false)
+  const [showLeaderboard, setShowLeaderboard] = React.useState(false)
+  const [showHistory, setShowHistory] = React.useState(false)
+  const [showDashboard, setShowDashboard] = React.useState(false)
   const [assets, setAssets] = React.useState({})
+  const [orders, setOrders] = React.useState([])
+  const [announcements, setAnnouncements] = React.useState([])
+  const [session, setSession] = React.useState(null)
+  const [dismissedAnnouncements, setDismissedAnnouncements] = React.useState([])
+  // イベントストリームで更新を受け取れているか（stream: 自店との接続、central: 自店とセントラルサーバーの接続）
+  const [live, setLive] = React.useState({ stream: false, central: false })
+  const liveRef = React.useRef(live)
+  liveRef.current = live
+  // イベントを受け取ったときに最新の検索条件で取得し直すための参照
+  const marketQueryRef = React.useRef(marketQuery)
+  marketQueryRef.current = marketQuery
+  const marketRefreshTimerRef = React.useRef(null)
 
-  // マーケット情報を取得する
-  const fetchMarkets = async () => {
+  // 検索条件をクエリパラメータに変換する
+  const toMarketParams = (query) => {
+    const params = new URLSearchParams()
+    if (query.q) {
+      params.set('q', query.q)
+    }
+    if (query.onlineOnly) {
+      params.set('status', 'ONLINE')
+    }
+    if (query.sort) {
+      const [sort, order] = query.sort.split(':')
+      params.set('sort', sort)
+      params.set('order', order)
+    }
+    params.set('offset', String(query.offset))
+    params.set('limit', String(MARKETS_PAGE_SIZE))
+    return params
+  }
+
+  // マーケット情報を取得する（現在の検索条件で）
+  const fetchMarkets = async (query = marketQuery) => {
     setIsLoading(true)
     setError(null)
 
     try {
-      const response = await fetch('/api/markets')
+      const response = await fetch(`/api/markets?${toMarketParams(query)}`)
       if (!response.ok) {
         throw new Error(`サーバーエラー: ${response.status}`)
       }
 
       const data = await response.json()
+      const total = Number(response.headers.get('X-Total-Count'))
+      const next = response.headers.get('X-Next-Offset')
       setMarkets(data)
+      setMarketTotal(Number.isNaN(total) ? data.length : total)
+      setNextOffset(next === null ? null : Number(next))
       setLastUpdated(new Date())
     } catch (error) {
       console.error('マーケット情報の取得に失敗しました:', error)
@@ -407,6 +1827,17 @@ function App() {
     }
   }
 
+  // 検索条件を変更する（ページは先頭に戻す）
+  const updateMarketQuery = (changes) => {
+    setMarketQuery(Object.assign({}, marketQuery, { offset: 0 }, changes))
+  }
+
+  // 検索バーの送信
+  const handleSearch = (e) => {
+    e.preventDefault()
+    updateMarketQuery({ q: searchText.trim() })
+  }
+
   // マーケットを選択する
   const handleSelectMarket = (market, product = null, productIndex = 0) => {
     // 複数商品に対応
@@ -465,9 +1896,99 @@ function App() {
     }
   }
 
+  // 教師からのお知らせを取得する
+  const fetchAnnouncements = async () => {
+    try {
+      const response = await fetch('/api/announcements')
+      if (!response.ok) {
+        throw new Error(`サーバーエラー: ${response.status}`)
+      }
+      setAnnouncements(await response.json())
+    } catch (error) {
+      console.error('お知らせの取得に失敗しました:', error)
+    }
+  }
+
+  // 取引ラウンドの状態を反映する（店サーバーとの時刻のずれを clockOffset として記録）
+  const updateSession = (data) => {
+    setSession(
+      Object.assign({}, data, {
+        clockOffset: Date.parse(data.serverTime) - Date.now(),
+      })
+    )
+  }
+
+  // 取引ラウンドの状態を取得する
+  const fetchSession = async () => {
+    try {
+      const response = await fetch('/api/session')
+      if (!response.ok) {
+        throw new Error(`サーバーエラー: ${response.status}`)
+      }
+      updateSession(await response.json())
+    } catch (error) {
+      console.error('取引ラウンドの状態の取得に失敗しました:', error)
+    }
+  }
+
+  // 注文一覧を取得する
+  const fetchOrders = async () => {
+    try {
+      const response = await fetch('/api/orders')
+      if (!response.ok) {
+        throw new Error(`サーバーエラー: ${response.status}`)
+      }
+
+      const data = await response.json()
+      setOrders(data)
+    } catch (error) {
+      console.error('注文一覧の取得に失敗しました:', error)
+    }
+  }
+
   // コレクション表示の切り替え
   const toggleCollection = () => {
     setShowCollection(!showCollection)
+    setShowCatalogue(false)
+    setShowLeaderboard(false)
+    setShowHistory(false)
+    setShowDashboard(false)
+  }
+
+  // 商品カタログ表示の切り替え
+  const toggleCatalogue = () => {
+    setShowCatalogue(!showCatalogue)
+    setShowCollection(false)
+    setShowLeaderboard(false)
+    setShowHistory(false)
+    setShowDashboard(false)
+  }
+
+  // ランキング表示の切り替え
+  const toggleLeaderboard = () => {
+    setShowLeaderboard(!showLeaderboard)
+    setShowCollection(false)
+    setShowCatalogue(false)
+    setShowHistory(false)
+    setShowDashboard(false)
+  }
+
+  // 取引履歴表示の切り替え
+  const toggleHistory = () => {
+    setShowHistory(!showHistory)
+    setShowCollection(false)
+    setShowCatalogue(false)
+    setShowLeaderboard(false)
+    setShowDashboard(false)
+  }
+
+  // ダッシュボード表示の切り替え
+  const toggleDashboard = () => {
+    setShowDashboard(!showDashboard)
+    setShowCollection(false)
+    setShowCatalogue(false)
+    setShowLeaderboard(false)
+    setShowHistory(false)
   }
 
   // 購入結果を処理する
@@ -475,10 +1996,13 @@ function App() {
     setPurchaseResult({ success, message, details })
     setSelectedMarket(null)
 
-    // 購入成功時はマーケット情報とコレクションを更新
+    // 成功・失敗にかかわらず注文状況を更新
+    fetchOrders()
+
+    // 購入成功時はマーケット情報と資産（残高・コレクション）を更新
     if (success) {
       fetchMarkets()
-      fetchCollection()
+      fetchAssets()
     }
 
     // スクロール
@@ -495,17 +2019,91 @@ function App() {
     setPurchaseResult(null)
   }
 
-  // コンポーネントがマウントされたときにマーケット情報とコレクションを取得
+  // 検索条件が変わったとき（初回を含む）にマーケット情報を取得する
+  // イベントストリームで更新を受け取れない間は15秒ごとに自動更新
+  React.useEffect(() => {
+    fetchMarkets(marketQuery)
+    const intervalId = setInterval(() => {
+      if (!liveRef.current.stream || !liveRef.current.central) {
+        fetchMarkets(marketQuery)
+      }
+    }, 15000)
+    return () => clearInterval(intervalId)
+  }, [marketQuery])
+
+  // イベントストリーム（/api/events）でマーケットの変更と資産の更新を受け取る
+  React.useEffect(() => {
+    if (typeof EventSource === 'undefined') {
+      return undefined
+    }
+
+    const source = new EventSource('/api/events')
+    const updateLive = (changes) =>
+      setLive((current) => Object.assign({}, current, changes))
+
+    // 接続が切れた場合、EventSource は自動で再接続する（その間は定期更新）
+    source.onopen = () => updateLive({ stream: true })
+    source.onerror = () => updateLive({ stream: false })
+    source.addEventListener('central', (e) => {
+      const { connected } = JSON.parse(e.data)
+      updateLive({ central: connected })
+      if (connected) {
+        fetchMarkets(marketQueryRef.current)
+        fetchAnnouncements()
+      }
+    })
+
+    // マーケットの変更は続けて届くことが多いため、まとめて取得し直す
+    const refreshMarkets = () => {
+      clearTimeout(marketRefreshTimerRef.current)
+      marketRefreshTimerRef.current = setTimeout(
+        () => fetchMarkets(marketQueryRef.current),
+        300
+      )
+    }
+    MARKET_EVENT_TYPES.forEach((type) =>
+      source.addEventListener(type, refreshMarkets)
+    )
+
+    source.addEventListener('session', (e) => {
+      updateSession(JSON.parse(e.data))
+    })
+
+    source.addEventListener('announcements', (e) => {
+      setAnnouncements(JSON.parse(e.data).announcements)
+    })
+
+    source.addEventListener('assets', (e) => {
+      const data = JSON.parse(e.data)
+      setAssets(data)
+      setCollection(data.collection || [])
+    })
+
+    return () => {
+      clearTimeout(marketRefreshTimerRef.current)
+      source.close()
+    }
+  }, [])
+
+  // コンポーネントがマウントされたときにコレクションを取得
   React.useEffect(() => {
-    fetchMarkets()
     fetchCollection()
     fetchAssets()
+    fetchOrders()
+    fetchAnnouncements()
+    fetchSession()
 
-    // 15秒ごとに自動更新
+    // イベントストリームに接続していない間は15秒ごとに自動更新
     const intervalId = setInterval(() => {
-      fetchMarkets()
-      fetchCollection()
-      fetchAssets()
+      if (!liveRef.current.stream) {
+        fetchCollection()
+        fetchAssets()
+        fetchOrders()
+      }
+      if (!liveRef.current.stream || !liveRef.current.central) {
+        fetchAnnouncements()
+        fetchSession()
+      }
     }, 15000)
 
     // クリーンアップ関数
@@ -519,16 +2117,61 @@ function App() {
       <header className="pb-3 mb-4 border-bottom">
         <div className="d-flex justify-content-between align-items-center">
           <h1 className="display-5 fw-bold">マーケット情報</h1>
-          <button
-            className="btn btn-outline-primary"
-            onClick={toggleCollection}
-          >
-            {showCollection ? 'マーケット一覧に戻る' : 'コレクションを表示'}
-          </button>
+          <div>
+            <button
+              className="btn btn-outline-primary me-2"
+              onClick={toggleCatalogue}
+            >
+              {showCatalogue ? 'マーケット一覧に戻る' : '商品から探す'}
+            </button>
+            <button
+              className="btn btn-outline-primary me-2"
+              onClick={toggleLeaderboard}
+            >
+              {showLeaderboard ? 'マーケット一覧に戻る' : 'ランキング'}
+            </button>
+            <button
+              className="btn btn-outline-primary me-2"
+              onClick={toggleHistory}
+            >
+              {showHistory ? 'マーケット一覧に戻る' : '取引履歴'}
+            </button>
+            <button
+              className="btn btn-outline-primary me-2"
+              onClick={toggleDashboard}
+            >
+              {showDashboard ? 'マーケット一覧に戻る' : 'ダッシュボード'}
+            </button>
+            <button
+              className="btn btn-outline-primary"
+              onClick={toggleCollection}
+            >
+              {showCollection ? 'マーケット一覧に戻る' : 'コレクションを表示'}
+            </button>
+          </div>
         </div>
       </header>
 
-      {showCollection ? (
+      <SessionStatus session={session} />
+
+      <AnnouncementBanner
+        announcements={announcements.filter(
+          (announcement) => !dismissedAnnouncements.includes(announcement.id)
+        )}
+        onDismiss={(id) =>
+          setDismissedAnnouncements(dismissedAnnouncements.concat(id))
+        }
+      />
+
+      {showLeaderboard ? (
+        <Leaderboard />
+      ) : showHistory ? (
+        <TransactionHistory />
+      ) : showDashboard ? (
+        <Dashboard />
+      ) : showCatalogue ? (
+        <ProductCatalogue onPurchase={handlePurchaseResult} />
+      ) : showCollection ? (
         <section className="mb-4">
           <div className="d-flex justify-content-between align-items-center mb-3">
             <h2>購入済みコレクション</h2>
@@ -558,7 +2201,7 @@ function App() {
             <div>
               <button
                 className="btn btn-primary me-2"
-                onClick={fetchMarkets}
+                onClick={() => fetchMarkets()}
                 disabled={isLoading}
               >
                 {isLoading ? '更新中...' : '更新'}
@@ -566,27 +2209,116 @@ function App() {
               {lastUpdated && (
                 <small className="text-muted">
                   最終更新: {lastUpdated.toLocaleTimeString('ja-JP')}
+                  {live.stream && live.central
+                    ? '（リアルタイム更新中）'
+                    : '（15秒ごとに更新）'}
                 </small>
               )}
             </div>
           </div>
 
+          <form
+            className="row g-2 align-items-center mb-3"
+            onSubmit={handleSearch}
+          >
+            <div className="col-md-5">
+              <input
+                type="search"
+                className="form-control"
+                placeholder="商品名で検索"
+                value={searchText}
+                onChange={(e) => setSearchText(e.target.value)}
+              />
+            </div>
+            <div className="col-auto">
+              <button type="submit" className="btn btn-outline-primary">
+                検索
+              </button>
+            </div>
+            <div className="col-auto">
+              <select
+                className="form-select"
+                value={marketQuery.sort}
+                onChange={(e) => updateMarketQuery({ sort: e.target.value })}
+              >
+                {MARKET_SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="col-auto form-check ms-2">
+              <input
+                type="checkbox"
+                className="form-check-input"
+                id="online-only"
+                checked={marketQuery.onlineOnly}
+                onChange={(e) =>
+                  updateMarketQuery({ onlineOnly: e.target.checked })
+                }
+              />
+              <label className="form-check-label" htmlFor="online-only">
+                ONLINE の店のみ
+              </label>
+            </div>
+          </form>
+
           {error ? (
             <div className="alert alert-danger">{error}</div>
           ) : markets.length === 0 ? (
             <div className="alert alert-info">
-              登録されているマーケットはありません。
+              {marketQuery.q || marketQuery.onlineOnly
+                ? '条件に一致するマーケットはありません。'
+                : '登録されているマーケットはありません。'}
             </div>
           ) : (
-            <div className="row">
-              {markets.map((market, index) => (
-                <div
-                  className="col-md-6 col-lg-4"
-                  key={market.address || index}
-                >
-                  <MarketCard market={market} onSelect={handleSelectMarket} />
+            <div>
+              <div className="row">
+                {markets.map((market, index) => (
+                  <div
+                    className="col-md-6 col-lg-4"
+                    key={market.address || index}
+                  >
+                    <MarketCard market={market} onSelect={handleSelectMarket} />
+                  </div>
+                ))}
+              </div>
+              <div className="d-flex justify-content-between align-items-center">
+                <small className="text-muted">
+                  {marketTotal}件中 {marketQuery.offset + 1}〜
+                  {marketQuery.offset + markets.length}件
+                </small>
+                <div>
+                  <button
+                    className="btn btn-outline-secondary btn-sm me-2"
+                    disabled={marketQuery.offset === 0}
+                    onClick={() =>
+                      setMarketQuery(
+                        Object.assign({}, marketQuery, {
+                          offset: Math.max(
+                            0,
+                            marketQuery.offset - MARKETS_PAGE_SIZE
+                          ),
+                        })
+                      )
+                    }
+                  >
+                    前へ
+                  </button>
+                  <button
+                    className="btn btn-outline-secondary btn-sm"
+                    disabled={nextOffset === null}
+                    onClick={() =>
+                      setMarketQuery(
+                        Object.assign({}, marketQuery, { offset: nextOffset })
+                      )
+                    }
+                  >
+                    次へ
+                  </button>
                 </div>
-              ))}
+              </div>
             </div>
           )}
         </section>
@@ -615,6 +2347,10 @@ function App() {
         </section>
       )}
 
+      <section className="mb-4">
+        <OrderList orders={orders} onRefresh={fetchOrders} />
+      </section>
+
       <footer className="pt-3 mt-4 text-muted border-top">
         マーケットアプリケーション &copy; 2025
       </footer>
@@ -622,6 +2358,14 @@ function App() {
   )
 }
 
-// アプリケーションをレンダリング
+// アプリケーションをレンダリング（?view=leaderboard の場合は投影用のランキングのみ）
 const root = ReactDOM.createRoot(document.getElementById('root'))
-root.render(<App />)
+if (new URLSearchParams(window.location.search).get('view') === 'leaderboard') {
+  root.render(
+    <div className="container-fluid p-5">
+      <Leaderboard projector />
+    </div>
+  )
+} else {
+  root.render(<App />)
+}
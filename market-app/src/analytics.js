@@ -0,0 +1,222 @@
+/**
+ * analytics.js - 店の売上分析（GET /api/stats）
+ *
+ * トランザクションログ（transactions）の販売の記録と、資産の推移（assetHistory）から
+ * 店主向けのダッシュボードに表示する集計を作ります。
+ *   - 概要: 売上・販売数・販売件数・購入した店の数・1件あたりの平均数量と平均金額
+ *   - 商品ごと: 売上・販売数・販売件数・平均単価（売上の多い順）
+ *   - 売上の推移: 1時間ごと、または取引ラウンドごと
+ *   - 資産の推移: 資金（capitalYen）と仕入れポイント（procurementPts）。新しい方から offset / limit でページ分割
+ *
+ * type のない記録は、購入を記録するようになる前の販売の記録として扱います。
+ */
+
+import {
+  firstValue,
+  checkKnownParams,
+  choiceError,
+  parsePaging,
+} from './query-params.js'
+
+// 売上の推移の区切り方（GET /api/stats?by=）
+export const SERIES_INTERVALS = ['hour', 'round']
+// 指定できるクエリパラメータ
+const QUERY_PARAMS = ['by', 'offset', 'limit']
+// 1時間ごとの推移に含める最大の時間数（直近の分だけ返す）
+const MAX_HOURLY_POINTS = 72
+// 資産の推移の1ページの最大件数（limit を省略した場合もこの件数）
+const MAX_TREND_POINTS = 500
+const HOUR_SECONDS = 3600
+
+/**
+ * 販売の記録を集計する
+ * @param {Array} sales 販売の記録の配列
+ * @returns {{ revenue: number, unitsSold: number, salesCount: number }} 売上・販売数・販売件数
+ */
+function sumSales(sales) {
+  return {
+    revenue: sales.reduce((sum, sale) => sum + sale.price * sale.qty, 0),
+    unitsSold: sales.reduce((sum, sale) => sum + sale.qty, 0),
+    salesCount: sales.length,
+  }
+}
+
+/**
+ * 販売の記録をキーごとに分ける（キーが最初に現れた順）
+ * @param {Array} sales 販売の記録の配列
+ * @param {Function} keyOf 記録からキーを求める関数
+ * @returns {Map} キー → 販売の記録の配列
+ */
+function groupSales(sales, keyOf) {
+  const groups = new Map()
+  for (const sale of sales) {
+    const key = keyOf(sale)
+    if (!groups.has(key)) {
+      groups.set(key, [])
+    }
+    groups.get(key).push(sale)
+  }
+  return groups
+}
+
+/**
+ * 商品ごとの売上を集計する
+ * @param {Array} sales 販売の記録の配列
+ * @returns {Array} 商品ごとの集計（{ product, revenue, unitsSold, salesCount, averagePrice }）の配列（売上の多い順）
+ */
+function summarizeProducts(sales) {
+  return [...groupSales(sales, (sale) => sale.product)]
+    .map(([product, productSales]) => {
+      const totals = sumSales(productSales)
+      return {
+        product,
+        ...totals,
+        averagePrice: Math.round(totals.revenue / totals.unitsSold),
+      }
+    })
+    .sort((a, b) => b.revenue - a.revenue || b.unitsSold - a.unitsSold)
+}
+
+/**
+ * 1時間ごとの売上の推移を求める（売上のない時間も 0 として含める）
+ * @param {Array} sales 販売の記録の配列
+ * @param {number} now 現在時刻（UNIX 秒）
+ * @returns {Array} 推移（{ start, revenue, unitsSold, salesCount }。start はその時間の開始時刻の UNIX 秒）の配列
+ */
+function hourlySeries(sales, now) {
+  if (sales.length === 0) {
+    return []
+  }
+  const hourOf = (ts) => Math.floor(ts / HOUR_SECONDS) * HOUR_SECONDS
+  const groups = groupSales(sales, (sale) => hourOf(sale.ts))
+  const last = hourOf(now)
+  const first = Math.max(
+    Math.min(...groups.keys()),
+    last - (MAX_HOURLY_POINTS - 1) * HOUR_SECONDS
+  )
+
+  const points = []
+  for (let start = first; start <= last; start += HOUR_SECONDS) {
+    points.push({ start, ...sumSales(groups.get(start) ?? []) })
+  }
+  return points
+}
+
+/**
+ * 取引ラウンドごとの売上の推移を求める（ラウンド番号のない販売は最後にまとめる）
+ * @param {Array} sales 販売の記録の配列
+ * @returns {Array} 推移（{ round, revenue, unitsSold, salesCount }。round はラウンド番号またはnull）の配列
+ */
+function roundSeries(sales) {
+  return [...groupSales(sales, (sale) => sale.round ?? null)]
+    .map(([round, roundSales]) => ({ round, ...sumSales(roundSales) }))
+    .sort((a, b) =>
+      a.round === null ? 1 : b.round === null ? -1 : a.round - b.round
+    )
+}
+
+/**
+ * GET /api/stats のクエリパラメータを解釈する
+ * @param {Object} query クエリパラメータ（req.query）
+ * @returns {{ options?: Object, error?: string }} 集計の条件（buildAnalytics の options）、または不正な場合のエラーメッセージ
+ */
+export function parseStatsQuery(query) {
+  const unknownError = checkKnownParams(query, QUERY_PARAMS)
+  if (unknownError) {
+    return { error: unknownError }
+  }
+
+  const by = firstValue(query, 'by') || 'hour'
+  if (!SERIES_INTERVALS.includes(by)) {
+    return { error: choiceError('by', SERIES_INTERVALS) }
+  }
+
+  const { offset, limit, error } = parsePaging(query, {
+    maxLimit: MAX_TREND_POINTS,
+  })
+  if (error) {
+    return { error }
+  }
+  return { options: { by, offset, limit: limit ?? MAX_TREND_POINTS } }
+}
+
+/**
+ * 資産の推移から1ページ分を取り出す（新しい方から offset 件を飛ばして limit 件を、記録順で返す）
+ * @param {Array} trend 資産の推移（記録順）
+ * @param {number} offset 飛ばす件数
+ * @param {number} limit 件数
+ * @returns {{ points: Array, total: number, nextOffset: number|null }}
+ *   推移、全体の件数、さらに古い推移の offset（最も古いページの場合はnull）
+ */
+function pageTrend(trend, offset, limit) {
+  const end = Math.max(trend.length - offset, 0)
+  const start = Math.max(end - limit, 0)
+  return {
+    points: trend.slice(start, end),
+    total: trend.length,
+    nextOffset: start > 0 ? offset + limit : null,
+  }
+}
+
+/**
+ * 売上分析を作成する
+ * @param {Object} data 集計に使うデータ
+ * @param {Array} data.transactions トランザクションログ（記録順）
+ * @param {Array} data.assetHistory 資産の推移の記録（{ ts, capitalYen, procurementPts }。記録順）
+ * @param {Object} data.assets 現在の資産
+ * @param {Object} [options] オプション
+ * @param {string} [options.by] 売上の推移の区切り方（SERIES_INTERVALS のいずれか。既定は hour）
+ * @param {number} [options.now] 現在時刻（UNIX 秒）
+ * @param {number} [options.offset] 資産の推移で新しい方から飛ばす件数（既定は 0）
+ * @param {number} [options.limit] 資産の推移の件数（既定は MAX_TREND_POINTS）
+ * @returns {Object} 売上分析
+ *   （{ summary, products, series: { by, points }, assetTrend, assetTrendTotal, assetTrendNextOffset }）
+ */
+export function buildAnalytics(
+  { transactions, assetHistory, assets },
+  {
+    by = 'hour',
+    now = Math.floor(Date.now() / 1000),
+    offset = 0,
+    limit = MAX_TREND_POINTS,
+  } = {}
+) {
+  const sales = transactions.filter(
+    (transaction) => (transaction.type || 'sale') === 'sale'
+  )
+  const totals = sumSales(sales)
+  // 最後は現在の資産（記録がない場合も現在の値は表示できるように）
+  const trend = pageTrend(
+    [
+      ...assetHistory,
+      {
+        ts: now,
+        capitalYen: assets.capitalYen,
+        procurementPts: assets.procurementPts,
+      },
+    ],
+    offset,
+    limit
+  )
+
+  return {
+    summary: {
+      ...totals,
+      distinctBuyers: new Set(sales.map((sale) => sale.buyer)).size,
+      averageOrderQty:
+        totals.salesCount > 0 ? totals.unitsSold / totals.salesCount : 0,
+      averageOrderAmount:
+        totals.salesCount > 0
+          ? Math.round(totals.revenue / totals.salesCount)
+          : 0,
+    },
+    products: summarizeProducts(sales),
+    series: {
+      by,
+      points: by === 'round' ? roundSeries(sales) : hourlySeries(sales, now),
+    },
+    assetTrend: trend.points,
+    assetTrendTotal: trend.total,
+    assetTrendNextOffset: trend.nextOffset,
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * assets.js - 資産データの初期値と在庫計算
+ *
+ * このモジュールは、資産データ（assets.json）の初期値、商品情報の検証と、
+ * 商品登録時に仕入れポイントから確保する在庫数の計算を提供します。
+ * 店サーバー（my-store.js）と初回セットアップ（setup.js）の両方から使用します。
+ */
+
+/**
+ * 初期資産データを作成する
+ * @returns {Object} 初期資産データ
+ */
+export function createInitialAssets() {
+  return {
+    capitalYen: 100000000, // 1億円
+    procurementPts: 100000000, // 1億PP
+    inventory: [],
+    collection: [],
+  }
+}
+
+/**
+ * 在庫から商品名に一致する項目を検索する
+ * @param {Object} assets 資産データ
+ * @param {string} productName 商品名
+ * @returns {Object|undefined} 在庫項目（{ product, qty }）
+ */
+export function findInventoryItem(assets, productName) {
+  return (assets.inventory || []).find((item) => item.product === productName)
+}
+
+/**
+ * 在庫が未確保の商品について、確保する数量と消費する仕入れポイントを計算する
+ *
+ * 数量 = floor(仕入れPP / 商品価格)。複数の商品を同時に確保する場合は
+ * 仕入れPPを商品数で等分し、それぞれの数量 × 価格分のPPを消費する。
+ * 在庫は確保したときだけで補充しないため、初回のセットアップで仕入れPPをほぼ使い切ると、
+ * 後から追加する商品は残りのPPの分しか確保できない（数量が0の場合、/api/products は追加を断る）。
+ * @param {Object} assets 資産データ
+ * @param {Array} products 商品情報の配列
+ * @returns {Array} 確保する在庫（{ product, qty, costPts }）の配列
+ */
+export function planInventory(assets, products) {
+  const newProducts = products.filter(
+    (product) => !findInventoryItem(assets, product.name)
+  )
+  if (newProducts.length === 0) {
+    return []
+  }
+
+  const budget = Math.floor(assets.procurementPts / newProducts.length)
+  return newProducts.map((product) => {
+    const qty = Math.floor(budget / product.priceYen)
+    return { product: product.name, qty, costPts: qty * product.priceYen }
+  })
+}
+
+/**
+ * 商品名を検証する
+ * @param {*} name 商品名
+ * @returns {string|null} エラーメッセージ。問題がなければnull
+ */
+export function validateProductName(name) {
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 50) {
+    return '商品名は1〜50文字で指定してください'
+  }
+  return null
+}
+
+/**
+ * 商品価格を検証する
+ * @param {*} priceYen 価格（円）
+ * @returns {string|null} エラーメッセージ。問題がなければnull
+ */
+export function validatePrice(priceYen) {
+  if (!Number.isInteger(priceYen) || priceYen <= 0) {
+    return '価格は正の整数で指定してください'
+  }
+  return null
+}
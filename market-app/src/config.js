@@ -2,13 +2,100 @@
  * config.js - 設定ファイル
  *
  * このファイルには、アプリケーションの設定値を定義します。
+ * 設定値は次の順に読み込み、後のものほど優先されます（config-loader.js 参照）。
+ *   1. 既定値（下記 SCHEMA の default）
+ *   2. 設定ファイル（store.config.json と .env。--config / CONFIG_FILE で指定も可能）
+ *   3. 環境変数（例: PORT=8083, CENTRAL_SERVER=http://localhost:8090）
+ *   4. コマンドライン引数（例: --port 8083 --data-dir ./data-b）
  */
 
-// サーバーポート
-export const PORT = process.env.PORT || 8082
+import path from 'path'
+import { fileURLToPath } from 'url'
+import {
+  loadConfigOrExit,
+  createCliOptions,
+  printConfig as printLoadedConfig,
+} from './config-loader.js'
 
-// セントラルサーバーのアドレス
-export const CENTRAL_SERVER = 'http://133.14.222.68:8090'
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const PACKAGE_DIR = path.join(__dirname, '..')
 
-// マーケット同期間隔（ミリ秒）
-export const MARKET_SYNC_INTERVAL = 15000 // 15秒
+// 設定項目の定義
+const SCHEMA = {
+  // 店舗名（マーケット一覧に表示される）
+  storeName: { type: 'string', default: '' },
+  // サーバーポート
+  port: { type: 'port', default: 8082 },
+  // 待ち受けるアドレス（空の場合はすべてのアドレス）
+  bindHost: { type: 'string', default: '' },
+  // マーケットに公開するIPアドレスまたはホスト名（空の場合は外部APIで自動取得）
+  advertisedHost: { type: 'string', default: '' },
+  // セントラルサーバーのアドレス
+  centralServer: { type: 'url', default: 'http://133.14.222.68:8090' },
+  // データディレクトリ（assets.json などの保存先）
+  dataDir: { type: 'path', default: path.join(PACKAGE_DIR, 'data') },
+  // データの保存方法（'json': JSONファイル、'sqlite': SQLiteデータベース）
+  storageBackend: {
+    type: 'string',
+    values: ['json', 'sqlite'],
+    default: 'json',
+  },
+  // マーケット同期間隔（ミリ秒）
+  marketSyncInterval: { type: 'duration', default: 15000 },
+  // セントラルサーバーに稼働中であることを知らせる間隔（ミリ秒）
+  heartbeatInterval: { type: 'duration', default: 10000 },
+  // セントラルサーバーに成績（資産・コレクション・売上）を報告する間隔（ミリ秒）
+  statsReportInterval: { type: 'duration', default: 60000 },
+  // 未登録の購入者が来たときにマーケット情報を再取得する最短間隔（ミリ秒）
+  registryRefreshMinInterval: { type: 'duration', default: 5000 },
+  // セントラルサーバー・他店へのリクエストのタイムアウト（ミリ秒）
+  requestTimeout: { type: 'duration', default: 10000 },
+  // 署名のない購入リクエスト（/buy）を拒否するか
+  requireSignature: { type: 'boolean', default: true },
+  // 購入者（/buy の呼び出し元）の確認方法
+  // 'registry': セントラルサーバーに登録済みの店舗のみ許可（IPアドレスを照合）
+  // 'loopback': 同じマシン（127.0.0.1）からのアクセスのみ許可（一人での練習用）
+  buyerVerification: {
+    type: 'string',
+    values: ['registry', 'loopback'],
+    default: 'registry',
+  },
+}
+
+const loaded = await loadConfigOrExit(SCHEMA, {
+  defaultFiles: [
+    path.join(PACKAGE_DIR, 'store.config.json'),
+    path.join(PACKAGE_DIR, '.env'),
+  ],
+})
+
+// 有効な設定値
+export const config = loaded.values
+
+// 書き込み先の設定ファイル（npm run setup で作成・更新）
+export const CONFIG_FILE = loaded.configFile
+
+// 設定に関するコマンドライン引数の定義（スクリプト固有の引数と組み合わせる場合に使用）
+export const CONFIG_CLI_OPTIONS = createCliOptions(SCHEMA)
+
+/**
+ * 有効な設定値と読み込み元を表示する
+ */
+export function printConfig() {
+  printLoadedConfig(SCHEMA, loaded)
+}
+
+export const STORE_NAME = config.storeName
+export const PORT = config.port
+export const BIND_HOST = config.bindHost
+export const ADVERTISED_HOST = config.advertisedHost
+export const CENTRAL_SERVER = config.centralServer
+export const DATA_DIR = config.dataDir
+export const STORAGE_BACKEND = config.storageBackend
+export const MARKET_SYNC_INTERVAL = config.marketSyncInterval
+export const HEARTBEAT_INTERVAL = config.heartbeatInterval
+export const STATS_REPORT_INTERVAL = config.statsReportInterval
+export const REGISTRY_REFRESH_MIN_INTERVAL = config.registryRefreshMinInterval
+export const REQUEST_TIMEOUT = config.requestTimeout
+export const REQUIRE_SIGNATURE = config.requireSignature
+export const BUYER_VERIFICATION = config.buyerVerification
@@ -2,37 +2,126 @@
  * my-store.js - 店側アプリケーション（学生サーバー）
  *
  * このサーバーは以下の機能を提供します：
- * 1. 商品定義と在庫計算
- * 2. 購入API（/buy）
+ * 1. 商品定義と在庫計算（assets.inventory）、商品管理API（/api/products）
+ * 2. 購入API（/buy）と買い手側の決済API（/api/purchase）
  * 3. ヘルスチェックAPI（/health）
- * 4. マーケット登録（セントラルサーバーへのPOST /register）
- * 5. マーケット同期（セントラルサーバーからのGET /markets）
- * 6. 資産管理（assets.json）
- * 7. トランザクションログ（transactions.json）
+ * 4. マーケット登録（セントラルサーバーへのPOST /register）、ハートビート、終了時の登録削除
+ * 5. マーケット同期（セントラルサーバーのイベントストリーム GET /events。切断中は GET /markets で定期取得）
+ * 6. 資産管理（assets）
+ * 7. トランザクションログ（transactions）と取引履歴の検索・CSV出力（/api/transactions）
+ * 8. 注文管理（orders、/api/orders）
+ * 9. 取引の報告（セントラルサーバーへのPOST /trades。買い手・売り手の双方が報告し、照合される）
+ * 10. ブラウザへのイベント中継（/api/events。マーケットの変更・資産の更新・教師からのお知らせを通知）
+ * 11. 成績の報告（セントラルサーバーへのPOST /markets/:address/stats。ランキング /api/leaderboard に使われる）
+ * 12. 取引ラウンドへの追従（セントラルサーバーの GET /session。ラウンド外の /buy は 503）
+ * 13. 売上分析（/api/stats。商品ごとの売上、売上と資産の推移。Web UI のダッシュボードに使われる）
+ *
+ * データは storage.js のストレージ（JSONファイルまたはSQLite）に保存します。
  */
 
 import express from 'express'
-import { readJSON, writeJSON } from './db.js'
+import { openStoreStorage, ASSETS_LOCK_FILE } from './storage.js'
+import { withFileLock } from './db.js'
+import { createEventHub, subscribeEventStream } from './sse.js'
+import { SESSION_STATES, DEFAULT_SESSION, resolveSession } from './session.js'
+import {
+  createInitialAssets,
+  findInventoryItem,
+  planInventory,
+  validateProductName,
+  validatePrice,
+} from './assets.js'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import fs from 'node:fs'
-import { PORT, CENTRAL_SERVER, MARKET_SYNC_INTERVAL } from './config.js'
+import {
+  PORT,
+  CENTRAL_SERVER,
+  MARKET_SYNC_INTERVAL,
+  HEARTBEAT_INTERVAL,
+  STATS_REPORT_INTERVAL,
+  REQUIRE_SIGNATURE,
+  BUYER_VERIFICATION,
+  REGISTRY_REFRESH_MIN_INTERVAL,
+  STORE_NAME,
+  ADVERTISED_HOST,
+  BIND_HOST,
+  DATA_DIR,
+  REQUEST_TIMEOUT,
+  printConfig,
+} from './config.js'
+import {
+  ORDER_STATES,
+  initOrders,
+  loadOrders,
+  findOrder,
+  createOrder,
+  transitionOrder,
+} from './orders.js'
+import {
+  SIGNATURE_HEADERS,
+  loadOrCreateKeyPair,
+  exportPublicKey,
+  signRequest,
+  verifyRequest,
+  requestTarget,
+} from './signature.js'
+import {
+  parseTransactionQuery,
+  queryTransactions,
+  toTransactionCsv,
+} from './transaction-query.js'
+import { parseStatsQuery, buildAnalytics } from './analytics.js'
 
 // ESモジュールで__dirnameを使用するための設定
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
 // 定数
-const ASSETS_FILE = path.join(__dirname, '../data/assets.json')
-const TRANSACTIONS_FILE = path.join(__dirname, '../data/transactions.json')
-const PRODUCT_FILE = path.join(__dirname, '../data/product.json')
-const ASSETS_LOCK_FILE = path.join(__dirname, '../data/assets.lock')
+const KEYS_FILE = path.join(DATA_DIR, 'keys.json')
 const PUBLIC_DIR = path.join(__dirname, '../public')
 
+// 取引ラウンドの時間外に購入リクエストを断る理由
+const SESSION_CLOSED_REASONS = {
+  [SESSION_STATES.PREPARING]: '取引ラウンドの開始前のため購入できません',
+  [SESSION_STATES.PAUSED]: '取引ラウンドが一時停止中のため購入できません',
+  [SESSION_STATES.CLOSED]: '取引ラウンドが終了したため購入できません',
+}
+
+// 取引IDとして受け付ける形式（英数字・ハイフン・アンダースコア、最大64文字）
+const TRADE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/
+
+// 店主の操作を受け付ける Host（ループバックのホスト名とポート）
+const LOOPBACK_HOST_PATTERN = /^(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/
+
 // サーバーの状態
 let serverState = 'INIT'
+let storage = null // データの保存先（storage.js 参照）
 let myProducts = [] // 複数商品に対応するため配列に変更
 let myIpAddress = '127.0.0.1' // デフォルト値（取得失敗時に使用）
+let myKeyPair = null // 取引リクエスト署名用の鍵ペア
+let knownMarkets = [] // 最後に同期したマーケット情報
+let lastRegistryRefreshAt = 0 // 未登録の購入者のために再取得した時刻
+let centralConnected = false // セントラルサーバーのイベントストリームに接続中か
+let registration = null // セントラルサーバーが発行した登録キー（{ centralServer, address, key }）
+let currentSession = DEFAULT_SESSION // 最後に取得した取引ラウンドの状態（取得できるまではいつでも取引できる）
+let centralClockOffset = 0 // セントラルサーバーの時計とのずれ（ミリ秒。セントラルサーバーの時刻 - この店の時刻）
+
+// ブラウザ（Web UI）へのイベントの送信先
+const browserEvents = createEventHub()
+
+// 処理中の取引ID（同じ取引IDの同時リクエストによる二重計上を防ぐ）
+const pendingTradeIds = new Set()
+
+// 送信に失敗した取引の報告（ハートビートのたびに再送する）
+const unreportedTrades = []
+// 再送を待つ報告の最大件数（超えた場合は古いものから捨てる）
+const MAX_UNREPORTED_TRADES = 1000
+
+// 資産の推移を記録する単位（秒）。同じ1分の間の変化は最後の値だけを残す
+const ASSET_HISTORY_BUCKET = 60
+// 資産の推移を残す最大件数（超えた場合は古いものから削除する。1分ごとなら24時間分）
+const MAX_ASSET_HISTORY = 1440
 
 /**
  * IPアドレスを外部APIから取得する関数
@@ -41,7 +130,9 @@ let myIpAddress = '127.0.0.1' // デフォルト値（取得失敗時に使用
 async function fetchIpAddress() {
   try {
     // ipify.orgのAPIを使用してIPアドレスを取得
-    const response = await fetch('https://api.ipify.org?format=json')
+    const response = await fetch('https://api.ipify.org?format=json', {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    })
     const data = await response.json()
     return data.ip
   } catch (error) {
@@ -51,80 +142,131 @@ async function fetchIpAddress() {
   }
 }
 
-// Expressアプリケーションの初期化
-const app = express()
-app.use(express.json())
+/**
+ * 自店のアドレス（IP:PORT形式）を取得する
+ * @returns {string} マーケット登録に使うアドレス
+ */
+function getMyAddress() {
+  return `${myIpAddress}:${PORT}`
+}
 
-// 静的ファイル配信のためのミドルウェアを追加
-app.use(express.static(PUBLIC_DIR))
+/**
+ * リクエスト元のIPアドレスを取得する
+ * @param {Object} req Expressのリクエスト
+ * @returns {string} IPアドレス（IPv4マッピングアドレスはIPv4表記に変換）
+ */
+function getClientIp(req) {
+  return req.ip.replace('::ffff:', '')
+}
 
-// CORS設定
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*')
-  res.header(
-    'Access-Control-Allow-Headers',
-    'Origin, X-Requested-With, Content-Type, Accept'
-  )
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
-  if (req.method === 'OPTIONS') {
-    return res.sendStatus(200)
-  }
-  next()
-})
+/**
+ * ローカル（ループバック）からのアクセスかどうかを判定する
+ * @param {string} ip IPアドレス
+ * @returns {boolean} ローカルからのアクセスの場合はtrue
+ */
+function isLocalAddress(ip) {
+  return ip === '127.0.0.1' || ip === 'localhost' || ip === '::1'
+}
 
 /**
- * 初期資産データを作成する
- * @returns {Object} 初期資産データ
+ * 自店の Web UI（または curl などブラウザ以外）からのリクエストかどうかを判定する
+ *
+ * 店主のブラウザで開いた別のサイトも、店主の PC から（ローカルとして）リクエストを送れるため、
+ * ブラウザが付ける Origin / Sec-Fetch-Site ヘッダーで別のサイトからのリクエストを見分けて断る（CSRF対策）。
+ * Host がループバックのホスト名でない場合（DNSリバインディングで別のサイトのドメインを使われた場合）も断る。
+ * @param {Object} req Expressのリクエスト
+ * @returns {boolean} 自店のオリジンからのリクエストの場合はtrue
  */
-function createInitialAssets() {
-  return {
-    capitalYen: 100000000, // 1億円
-    procurementPts: 100000000, // 1億PP
-    inventory: [],
-    collection: [],
+function isOwnOriginRequest(req) {
+  const host = req.headers.host || ''
+  if (!LOOPBACK_HOST_PATTERN.test(host)) {
+    return false
+  }
+  const site = req.headers['sec-fetch-site']
+  if (site && site !== 'same-origin' && site !== 'none') {
+    return false
   }
+  const origin = req.headers.origin
+  return !origin || origin === `http://${host}`
 }
 
 /**
- * 初期トランザクションログを作成する
- * @returns {Array} 空のトランザクションログ配列
+ * 店主（ローカルの自店の Web UI からのアクセス）のみ許可するミドルウェア
+ * @param {Object} req Expressのリクエスト
+ * @param {Object} res Expressのレスポンス
+ * @param {Function} next 次のミドルウェア
  */
-function createInitialTransactions() {
-  return []
+function requireLocalOwner(req, res, next) {
+  if (!isLocalAddress(getClientIp(req))) {
+    return res
+      .status(403)
+      .json({ error: 'この操作はローカルからのみ許可されています' })
+  }
+  if (!isOwnOriginRequest(req)) {
+    return res
+      .status(403)
+      .json({ error: 'この操作は自店の画面からのみ許可されています' })
+  }
+  next()
 }
 
+// Expressアプリケーションの初期化
+const app = express()
+app.use(
+  express.json({
+    // 署名検証のため、受信した本文をそのまま保持する
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8')
+    },
+  })
+)
+
+// 静的ファイル配信のためのミドルウェアを追加
+app.use(express.static(PUBLIC_DIR))
+
+// CORS設定（自店のオリジンのみ許可する。他店・中央サーバーとはサーバー間で通信するため、ほかのオリジンは許可しない）
+app.use((req, res, next) => {
+  res.header('Vary', 'Origin')
+  if (req.headers.origin === `http://${req.headers.host}`) {
+    res.header('Access-Control-Allow-Origin', req.headers.origin)
+    res.header(
+      'Access-Control-Allow-Headers',
+      'Origin, X-Requested-With, Content-Type, Accept'
+    )
+    res.header(
+      'Access-Control-Allow-Methods',
+      'GET, POST, PUT, DELETE, OPTIONS'
+    )
+  }
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(204)
+  }
+  next()
+})
+
 /**
- * 資産ファイルを読み込む
- * ファイルが存在しない場合は初期データを作成して保存する
+ * 資産データを読み込む
+ * 資産データが存在しない場合は初期データを作成して保存する
+ * @param {Object} [target] 読み書きに使うストレージ（トランザクション中はその tx）
  * @returns {Promise<Object>} 資産データ
  */
-async function loadAssets() {
-  try {
-    return await readJSON(ASSETS_FILE)
-  } catch (error) {
-    console.log('資産ファイルが見つからないため、新規作成します')
-    const initialAssets = createInitialAssets()
-    await writeJSON(ASSETS_FILE, initialAssets)
-    return initialAssets
+async function loadAssets(target = storage) {
+  const assets = await target.getDocument('assets')
+  if (assets) {
+    return assets
   }
+  console.log('資産データが見つからないため、新規作成します')
+  const initialAssets = createInitialAssets()
+  await target.setDocument('assets', initialAssets)
+  return initialAssets
 }
 
 /**
  * トランザクションログを読み込む
- * ファイルが存在しない場合は初期データを作成して保存する
  * @returns {Promise<Array>} トランザクションログ配列
  */
 async function loadTransactions() {
-  try {
-    return await readJSON(TRANSACTIONS_FILE)
-  } catch (error) {
-    console.log(
-      'トランザクションログファイルが見つからないため、新規作成します'
-    )
-    const initialTransactions = createInitialTransactions()
-    await writeJSON(TRANSACTIONS_FILE, initialTransactions)
-    return initialTransactions
-  }
+  return storage.listRecords('transactions')
 }
 
 /**
@@ -133,14 +275,13 @@ async function loadTransactions() {
  * @returns {Promise<Array>} 商品情報の配列
  */
 async function loadProduct() {
-  try {
-    const products = await readJSON(PRODUCT_FILE)
-    // 単一商品の場合は配列に変換
-    return Array.isArray(products) ? products : [products]
-  } catch (error) {
-    console.log('商品情報ファイルが見つかりません')
+  const products = await storage.getDocument('product')
+  if (!products) {
+    console.log('商品情報が見つかりません')
     return []
   }
+  // 単一商品の場合は配列に変換
+  return Array.isArray(products) ? products : [products]
 }
 
 /**
@@ -150,7 +291,7 @@ async function loadProduct() {
  */
 async function saveProduct(products) {
   try {
-    await writeJSON(PRODUCT_FILE, products)
+    await storage.setDocument('product', products)
   } catch (error) {
     console.error('商品情報の保存に失敗しました:', error)
     throw error
@@ -158,54 +299,158 @@ async function saveProduct(products) {
 }
 
 /**
- * 資産を更新する関数
- * @param {Function} updateFn 資産を更新する関数
- * @returns {Promise<Object>} 更新された資産データ
+ * 商品の入力値を検証する
+ * @param {Object} input 商品情報（{ name, priceYen }）
+ * @param {Object} [options] オプション
+ * @param {boolean} [options.partial] trueの場合、指定された項目のみ検証する（更新用）
+ * @param {string} [options.currentName] 更新対象の商品名（名前の重複チェックから除外）
+ * @returns {string|null} エラーメッセージ。問題がなければnull
  */
-async function updateAssets(updateFn) {
-  // ロックファイルを作成してロックを取得
-  try {
-    fs.openSync(ASSETS_LOCK_FILE, 'wx')
-  } catch (error) {
-    throw new Error(
-      '資産ファイルがロックされています。しばらく待ってから再試行してください。'
-    )
+function validateProductInput(input, { partial = false, currentName } = {}) {
+  const { name, priceYen } = input
+
+  if (!partial || name !== undefined) {
+    const nameError = validateProductName(name)
+    if (nameError) {
+      return nameError
+    }
+    if (myProducts.some((p) => p.name === name && p.name !== currentName)) {
+      return '同じ名前の商品がすでに登録されています'
+    }
   }
 
-  try {
-    // 資産データを読み込む
-    const assets = await loadAssets()
+  if (!partial || priceYen !== undefined) {
+    return validatePrice(priceYen)
+  }
+
+  return null
+}
 
-    // 更新関数を実行
-    const updatedAssets = updateFn(assets)
+/**
+ * 商品一覧を保存し、メモリ上の商品情報とマーケット登録を更新する
+ * @param {Array} products 新しい商品情報の配列
+ * @returns {Promise<void>}
+ */
+async function applyProducts(products) {
+  await saveProduct(products)
+  myProducts = products
+  await reserveInventory(myProducts)
 
-    // 更新された資産データを保存
-    await writeJSON(ASSETS_FILE, updatedAssets)
+  // 変更をセントラルサーバーにすぐ反映する
+  await registerToMarket()
+}
 
-    return updatedAssets
-  } finally {
-    // ロックを解除
+/**
+ * 在庫の商品名を変更する（商品名の変更時に在庫を引き継ぐ）
+ * @param {string} oldName 変更前の商品名
+ * @param {string} newName 変更後の商品名
+ * @returns {Promise<Object>} 更新された資産データ
+ */
+async function renameInventoryItem(oldName, newName) {
+  return updateAssets((assets) => {
+    const item = findInventoryItem(assets, oldName)
+    if (item) {
+      item.product = newName
+    }
+    return assets
+  })
+}
+
+/**
+ * 資産の推移を記録する
+ *
+ * 取引が続いても記録が増え続けないよう、1分ごとに最後の値だけを残し（ts はその分の開始時刻）、
+ * MAX_ASSET_HISTORY 件を超えた分は古いものから削除する。
+ * @param {Object} tx 資産の更新と同じトランザクション
+ * @param {Object} assets 更新後の資産データ
+ * @returns {Promise<void>}
+ */
+async function recordAssetHistory(tx, assets) {
+  const now = Math.floor(Date.now() / 1000)
+  await tx.putRecord('assetHistory', {
+    ts: now - (now % ASSET_HISTORY_BUCKET),
+    capitalYen: assets.capitalYen,
+    procurementPts: assets.procurementPts,
+  })
+  const history = await tx.listRecords('assetHistory')
+  for (const record of history.slice(0, -MAX_ASSET_HISTORY)) {
+    await tx.deleteRecord('assetHistory', record.ts)
+  }
+}
+
+/**
+ * 資産を更新する関数
+ *
+ * 同じプロセス内の更新は順番待ちし、別のプロセスとはロックファイル（assets.lock）で排他する
+ * （db.js の withFileLock 参照）。
+ * updateFn は1つのトランザクションの中で実行され、例外を投げた場合は何も保存されない。
+ * updateFn が資産データ以外（false など）を返した場合は更新を中止し、同様に何も保存しない。
+ * 資産と同時に記録するデータ（トランザクションログなど）は、第2引数の tx に書き込む。
+ * @param {Function} updateFn 資産を更新する関数（assets, tx）。更新後の資産データを返す
+ * @returns {Promise<Object|false>} 更新された資産データ。中止した場合はfalse
+ * @throws {Error} ロックを取得できない場合（code: 'ELOCKED'）や updateFn が例外を投げた場合
+ */
+async function updateAssets(updateFn) {
+  const result = await withFileLock(ASSETS_LOCK_FILE, async () => {
     try {
-      fs.unlinkSync(ASSETS_LOCK_FILE)
+      return await storage.transaction(async (tx) => {
+        // 資産データを読み込む
+        const assets = await loadAssets(tx)
+
+        // 更新関数を実行（更新関数は assets を直接変更するため、変更前の値を控えておく）
+        const { capitalYen, procurementPts } = assets
+        const updatedAssets = await updateFn(assets, tx)
+
+        // 資産データが返されなかった場合は、トランザクションごと取り消す
+        if (!updatedAssets || typeof updatedAssets !== 'object') {
+          const aborted = new Error('資産の更新を中止しました')
+          aborted.code = 'EABORTED'
+          throw aborted
+        }
+
+        // 資金・仕入れポイントが変わった場合は推移を記録する（ダッシュボードのグラフ用）
+        if (
+          updatedAssets.capitalYen !== capitalYen ||
+          updatedAssets.procurementPts !== procurementPts
+        ) {
+          await recordAssetHistory(tx, updatedAssets)
+        }
+
+        // 更新された資産データを保存
+        await tx.setDocument('assets', updatedAssets)
+
+        return updatedAssets
+      })
     } catch (error) {
-      console.error('ロックファイルの削除に失敗しました:', error)
+      if (error.code === 'EABORTED') {
+        return false
+      }
+      throw error
     }
+  })
+
+  // 残高・在庫の変更をWeb UIにすぐ反映する
+  if (result) {
+    browserEvents.publish('assets', result)
   }
+  return result
 }
 
 /**
  * トランザクションを記録する
  * @param {Object} transaction トランザクション情報
+ * @param {Object} [target] 書き込むストレージ（資産の更新と同時に記録する場合はその tx）
  * @returns {Promise<void>}
  */
-async function recordTransaction(transaction) {
+async function recordTransaction(transaction, target = storage) {
+  // 取引ラウンド中の取引にはラウンド番号を付ける（ラウンドごとの売上の集計に使う）
+  const { round } = resolveCurrentSession()
   try {
-    const transactions = await loadTransactions()
-    transactions.push({
+    await target.appendRecord('transactions', {
       ...transaction,
+      ...(round ? { round } : {}),
       ts: Math.floor(Date.now() / 1000),
     })
-    await writeJSON(TRANSACTIONS_FILE, transactions)
   } catch (error) {
     console.error('トランザクションの記録に失敗しました:', error)
     throw error
@@ -213,25 +458,108 @@ async function recordTransaction(transaction) {
 }
 
 /**
- * 商品を定義する
- * @param {Array} productsData 商品情報の配列
- * @returns {Promise<Array>} 商品情報の配列
+ * 購入数量として正しいかどうか
+ * 在庫・価格を小数にしないよう、正の整数だけを受け付ける
+ * @param {*} qty 数量
+ * @returns {boolean} 正の整数の場合はtrue
+ */
+function isValidQuantity(qty) {
+  return Number.isInteger(qty) && qty > 0
+}
+
+/**
+ * 取引IDを生成する
+ * @returns {string} 取引ID
+ */
+function generateTradeId() {
+  return `trade-${Date.now()}-${Math.floor(Math.random() * 1000)}`
+}
+
+/**
+ * 取引IDと種別に一致するトランザクションを検索する
+ *
+ * 種別（type）のない古い記録は売り手側の記録（'sale'）として扱う。
+ * @param {string} tradeId 取引ID
+ * @param {string} type 取引種別（'sale' または 'purchase'）
+ * @param {Object} [target] 検索先（省略時はストレージ。トランザクション中は tx を渡す）
+ * @returns {Promise<Object|undefined>} 見つかったトランザクション
+ */
+async function findTransaction(tradeId, type, target = storage) {
+  const transactions = await target.findRecords('transactions', { tradeId })
+  return transactions.find((t) => (t.type || 'sale') === type)
+}
+
+/**
+ * 記録済みの取引から購入結果を再構成する（再送時のレスポンス用）
+ * @param {Object} transaction 記録済みのトランザクション
+ * @param {string} buyer 購入者の識別子（店舗アドレスまたはIPアドレス）
+ * @param {string} productName 商品名
+ * @param {number} quantity 数量
+ * @returns {Object} 初回と同じ形式の処理結果
+ * @throws {Error} 同じ取引IDで購入内容が異なる場合
+ */
+function replayPurchase(transaction, buyer, productName, quantity) {
+  if (
+    transaction.buyer !== buyer ||
+    transaction.product !== productName ||
+    transaction.qty !== quantity
+  ) {
+    throw new Error('取引IDが別の購入内容で使用されています')
+  }
+
+  return {
+    success: true,
+    tradeId: transaction.tradeId,
+    product: transaction.product,
+    qty: transaction.qty,
+    totalPrice: transaction.price * transaction.qty,
+    replayed: true,
+  }
+}
+
+/**
+ * 在庫が未確保の商品について、仕入れポイントから在庫を確保する
+ * （数量の計算方法は assets.js の planInventory を参照）
+ * @param {Array} products 商品情報の配列
+ * @returns {Promise<Object>} 更新された資産データ
  */
-async function defineProducts(productsData) {
-  // 商品情報を保存
-  await saveProduct(productsData)
+async function reserveInventory(products) {
+  return updateAssets((assets) => {
+    if (!assets.inventory) {
+      assets.inventory = []
+    }
+
+    for (const { product, qty, costPts } of planInventory(assets, products)) {
+      assets.procurementPts -= costPts
+      assets.inventory.push({ product, qty })
+      console.log(`在庫を確保しました: ${product} × ${qty}`)
+    }
+
+    return assets
+  })
+}
 
-  return productsData
+/**
+ * 商品情報に現在の在庫数を付加する
+ * @returns {Promise<Array>} 在庫数（stock）付きの商品情報の配列
+ */
+async function getProductsWithStock() {
+  const assets = await loadAssets()
+  return myProducts.map((product) => ({
+    ...product,
+    stock: findInventoryItem(assets, product.name)?.qty ?? 0,
+  }))
 }
 
 /**
  * 購入リクエストを処理する
  * @param {string} productName 商品名
  * @param {number} quantity 数量
- * @param {string} buyerIp 購入者のIPアドレス
+ * @param {string} buyer 購入者の識別子（店舗アドレスまたはIPアドレス）
+ * @param {string} [buyerTradeId] 購入者が生成した取引ID（省略時は売り手側で生成）
  * @returns {Promise<Object>} 処理結果
  */
-async function processPurchase(productName, quantity, buyerIp) {
+async function processPurchase(productName, quantity, buyer, buyerTradeId) {
   // 商品名に一致する商品を検索
   const product = myProducts.find((p) => p.name === productName)
 
@@ -239,61 +567,68 @@ async function processPurchase(productName, quantity, buyerIp) {
     throw new Error('商品名が一致しません')
   }
 
-  // トランザクションID生成
-  const tradeId = `trade-${Date.now()}-${Math.floor(Math.random() * 1000)}`
-
-  // 現在時刻（UNIX秒）
-  const timestamp = Math.floor(Date.now() / 1000)
+  // トランザクションID（購入者指定があればそれを使い、再送を重複検出する）
+  const tradeId = buyerTradeId || generateTradeId()
 
-  // 資産を更新
-  const updatedAssets = await updateAssets((assets) => {
-    // 必要な仕入れポイントを計算
-    const requiredPts = product.priceYen * quantity
+  if (pendingTradeIds.has(tradeId)) {
+    throw new Error('同じ取引IDのリクエストを処理中です')
+  }
+  pendingTradeIds.add(tradeId)
 
-    // 仕入れポイントが十分かチェック
-    if (assets.procurementPts < requiredPts) {
-      // エラーを投げるのではなく、falseを返す
-      return false
+  try {
+    const existing = await findTransaction(tradeId, 'sale')
+    if (existing) {
+      return replayPurchase(existing, buyer, productName, quantity)
     }
 
-    // 仕入れポイントを消費
-    assets.procurementPts -= requiredPts
-
-    // 売上を資金に加算
-    const totalPrice = product.priceYen * quantity
-    assets.capitalYen += totalPrice
+    return await settlePurchase(product, quantity, buyer, tradeId)
+  } finally {
+    pendingTradeIds.delete(tradeId)
+  }
+}
 
-    // コレクションに追加
-    const collectionItem = {
-      tradeId,
-      product: productName,
-      qty: quantity,
-      price: product.priceYen,
-      seller: myIpAddress,
-      ts: timestamp,
+/**
+ * 購入を確定し、資産とトランザクションログを更新する
+ * @param {Object} product 購入対象の商品
+ * @param {number} quantity 数量
+ * @param {string} buyer 購入者の識別子（店舗アドレスまたはIPアドレス）
+ * @param {string} tradeId 取引ID
+ * @returns {Promise<Object>} 処理結果
+ */
+async function settlePurchase(product, quantity, buyer, tradeId) {
+  const productName = product.name
+
+  // 資産の更新とトランザクションの記録を1つのトランザクションで行う
+  await updateAssets(async (assets, tx) => {
+    // 在庫が十分かチェック（不足時は例外を投げ、資産データは更新しない）
+    const stockItem = findInventoryItem(assets, productName)
+    if (!stockItem || stockItem.qty < quantity) {
+      throw new Error('在庫が不足しています')
     }
 
-    // コレクションが存在しない場合は初期化
-    if (!assets.collection) {
-      assets.collection = []
-    }
+    // 在庫を減算
+    stockItem.qty -= quantity
 
-    // コレクションに追加
-    assets.collection.push(collectionItem)
+    // 売上を資金に加算
+    assets.capitalYen += product.priceYen * quantity
+
+    // トランザクションを記録
+    await recordTransaction(
+      {
+        tradeId,
+        type: 'sale',
+        buyer,
+        seller: myIpAddress,
+        product: productName,
+        qty: quantity,
+        price: product.priceYen,
+      },
+      tx
+    )
 
     return assets
   })
 
-  // トランザクションを記録
-  await recordTransaction({
-    tradeId,
-    buyer: buyerIp,
-    seller: myIpAddress,
-    product: productName,
-    qty: quantity,
-    price: product.priceYen,
-  })
-
   return {
     success: true,
     tradeId,
@@ -304,155 +639,1278 @@ async function processPurchase(productName, quantity, buyerIp) {
 }
 
 /**
- * 教師サーバーにマーケット登録する
- * @returns {Promise<void>}
+ * 売り手の /health から商品の現在価格を取得する
+ * @param {string} address 売り手のアドレス（IP:PORT形式）
+ * @param {string} productName 商品名
+ * @returns {Promise<Object|undefined>} 売り手の商品情報（{ name, priceYen, stock }）
  */
-async function registerToMarket() {
-  try {
-    const response = await fetch(`${CENTRAL_SERVER}/register`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        ip: myIpAddress,
-        port: PORT,
-        products: myProducts.map((product) => ({
-          product: product.name,
-          priceYen: product.priceYen,
-        })),
-      }),
-    })
-    const data = await response.json()
-
-    console.log('マーケット登録完了:', data)
-    serverState = 'REGISTERED'
-  } catch (error) {
-    // 接続エラー（ECONNREFUSED）を特定して適切にキャッチする
-    if (error.cause?.code === 'ECONNREFUSED') {
-      console.error(
-        '中央サーバーに接続できません。サーバーが起動しているか確認してください。'
-      )
-      serverState = 'ERROR'
-      return
-    }
-
-    // その他のエラーの場合も、スタックトレースを表示せず簡潔なメッセージのみを表示
-    console.error('マーケット登録に失敗しました:', error.message)
-    serverState = 'ERROR'
-    // エラーを再スローしない
-  }
+async function fetchSellerProduct(address, productName) {
+  const response = await fetch(`http://${address}/health`, {
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+  })
+  const data = await response.json()
+  return (data.products || []).find((p) => p.name === productName)
 }
 
 /**
- * 教師サーバーからマーケット情報を取得する
- * @returns {Promise<Array>} マーケット情報の配列
+ * 売り手の /buy に購入リクエストを送信する
+ * @param {string} address 売り手のアドレス（IP:PORT形式）
+ * @param {Object} order 購入内容（{ product, qty, tradeId }）
+ * @returns {Promise<{ status: number, body: Object }>} 売り手のレスポンス
  */
-async function syncMarkets() {
-  try {
-    const response = await fetch(`${CENTRAL_SERVER}/markets`)
-    const data = await response.json()
-    console.log(
-      'マーケット同期完了:',
-      data.length,
-      '件のマーケット情報を取得'
-    )
-    return data
-  } catch (error) {
-    console.error('マーケット同期に失敗しました:', error.message)
-    return []
-  }
+async function requestRemotePurchase(address, order) {
+  const body = JSON.stringify(order)
+  const url = `http://${address}/buy`
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...signRequest(
+        myKeyPair.privateKey,
+        getMyAddress(),
+        body,
+        requestTarget('POST', url)
+      ),
+    },
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+  })
+  const result = await response.json().catch(() => ({}))
+  return { status: response.status, body: result }
 }
 
-// フロントエンドのメインページを提供
-app.get('/', (req, res) => {
-  res.sendFile(path.join(PUBLIC_DIR, 'index.html'))
-})
-
-// 資産情報を取得するAPIエンドポイント
-app.get('/api/assets', async (req, res) => {
-  try {
-    const assets = await loadAssets()
-    res.json(assets)
-  } catch (error) {
-    console.error('資産情報の取得に失敗しました:', error.message)
-    res.status(500).json({ error: '資産情報の取得に失敗しました' })
+/**
+ * 売り手の /buy の処理結果が注文どおりか確認する
+ * 売り手の応答はそのまま資産に反映せず、取引ID・商品・数量が注文と同じで、
+ * 支払額が購入前に確認した価格での金額以下の正の整数であることを確かめる
+ * @param {Object} order 注文
+ * @param {Object} result 売り手の /buy が返した処理結果
+ * @param {number} quotedTotal 購入前に売り手の /health で確認した価格での支払額
+ * @returns {string|undefined} 注文と食い違う場合の理由
+ */
+function checkSellerResult(order, result, quotedTotal) {
+  if (
+    result.tradeId !== order.tradeId ||
+    result.product !== order.product ||
+    result.qty !== order.qty
+  ) {
+    return '売り手の応答が注文の内容と一致しません'
   }
-})
-
-// Central Serverからマーケット情報を取得するプロキシエンドポイント
-app.get('/api/markets', async (req, res) => {
-  try {
-    const response = await fetch(`${CENTRAL_SERVER}/markets`)
-    const data = await response.json()
-    res.json(data)
-  } catch (error) {
-    console.error('マーケット情報の取得に失敗しました:', error.message)
-    res.status(500).json({ error: 'マーケット情報の取得に失敗しました' })
+  if (
+    !Number.isInteger(result.totalPrice) ||
+    result.totalPrice <= 0 ||
+    result.totalPrice > quotedTotal
+  ) {
+    return '売り手が不正な金額を請求しました'
   }
-})
-
-// ヘルスチェックAPI
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: serverState,
-    products: myProducts,
-    timestamp: new Date().toISOString(),
-  })
-})
+  return undefined
+}
 
-// 購入API - ローカルからのアクセスのみ許可
-app.post('/buy', async (req, res) => {
-  try {
-    // サーバーがアクティブでない場合はエラー
-    if (serverState !== 'ACTIVE') {
-      return res
-        .status(503)
-        .json({ error: 'サーバーがアクティブではありません' })
+/**
+ * 購入の成立を買い手側の資産とトランザクションログに反映する
+ * （売り手の処理結果は checkSellerResult で確認済みのこと）
+ * 支払額は reserveFunds で確保済みのため、確保した金額との差額だけを資金に戻す。
+ * 同じ取引IDの別の注文がすでに決済していた場合は、二重に支払わず確保した金額をすべて戻す
+ * @param {Object} order 注文
+ * @param {number} totalPrice 売り手が請求した支払額
+ * @param {number} reservedYen 注文のために確保した金額
+ * @returns {Promise<Object|undefined>} すでに決済済みだった場合は記録済みのトランザクション
+ */
+async function settleBuyerPurchase(order, totalPrice, reservedYen) {
+  const price = totalPrice / order.qty
+  let settled
+
+  // 資産の更新とトランザクションの記録を1つのトランザクションで行う
+  await updateAssets(async (assets, tx) => {
+    // 決済済みかどうかはロック中に確かめる（同じ取引IDの注文が同時に売り手の再送応答を受け取ることがあるため）
+    settled = await findTransaction(order.tradeId, 'purchase', tx)
+    if (settled) {
+      assets.capitalYen += reservedYen
+      return assets
     }
 
-    // クライアントのIPアドレスを取得
-    const clientIp = req.ip.replace('::ffff:', '') // IPv4マッピングアドレスの場合の対応
+    // 確保した金額と支払額の差額を資金に戻す
+    assets.capitalYen += reservedYen - totalPrice
 
-    // ローカルからのアクセスのみ許可（127.0.0.1またはlocalhostからのアクセス）
-    if (
-      clientIp !== '127.0.0.1' &&
-      clientIp !== 'localhost' &&
-      clientIp !== '::1'
-    ) {
-      return res
-        .status(403)
-        .json({ error: 'この操作はローカルからのみ許可されています' })
+    // コレクションが存在しない場合は初期化
+    if (!assets.collection) {
+      assets.collection = []
     }
 
-    const { product, qty } = req.body
+    // コレクションに追加
+    assets.collection.push({
+      tradeId: order.tradeId,
+      product: order.product,
+      qty: order.qty,
+      price,
+      seller: order.seller,
+      ts: Math.floor(Date.now() / 1000),
+    })
+
+    await recordTransaction(
+      {
+        tradeId: order.tradeId,
+        type: 'purchase',
+        buyer: getMyAddress(),
+        seller: order.seller,
+        product: order.product,
+        qty: order.qty,
+        price,
+      },
+      tx
+    )
+
+    return assets
+  })
+  if (settled) {
+    return settled
+  }
+
+  reportTrade({
+    tradeId: order.tradeId,
+    role: 'buyer',
+    buyer: getMyAddress(),
+    seller: order.seller,
+    product: order.product,
+    qty: order.qty,
+    totalPrice,
+  })
+}
+
+/**
+ * 注文を失敗状態にし、エラーレスポンスを組み立てる
+ * @param {Object} order 注文
+ * @param {number} status HTTPステータスコード
+ * @param {string} reason 失敗理由
+ * @returns {Promise<{ status: number, body: Object }>} レスポンスのステータスと本文
+ */
+async function failOrder(order, status, reason) {
+  await transitionOrder(order.id, ORDER_STATES.FAILED, { reason })
+  return { status, body: { error: reason, orderId: order.id } }
+}
+
+/**
+ * 注文の支払額を資金から確保する
+ * 売り手が在庫と売上を確定した後に資金不足で決済できなくならないよう、売り手に送る前に差し引いておく
+ * @param {number} amount 確保する金額
+ * @returns {Promise<void>}
+ * @throws {Error} 資金が不足している場合（code: EFUNDS。資産は更新しない）
+ */
+async function reserveFunds(amount) {
+  await updateAssets((assets) => {
+    // 別の注文と同時に確保しても残高が負にならないよう、ロック中に確かめる
+    if (assets.capitalYen < amount) {
+      const error = new Error('資金が不足しています')
+      error.code = 'EFUNDS'
+      throw error
+    }
+    assets.capitalYen -= amount
+    return assets
+  })
+}
+
+/**
+ * 確保した支払額を資金に戻す（購入が成立しなかった場合）
+ * @param {number} amount 戻す金額
+ * @returns {Promise<void>}
+ */
+async function releaseFunds(amount) {
+  await updateAssets((assets) => {
+    assets.capitalYen += amount
+    return assets
+  })
+}
+
+/**
+ * 注文を実行し、状態を PENDING_MATCH → MATCHED → SETTLED と進める
+ * 売り手の現在価格での支払額を先に確保し、決済しなかった場合は確保した金額を資金に戻す
+ * @param {Object} order 注文（状態は NEW）
+ * @returns {Promise<{ status: number, body: Object }>} レスポンスのステータスと本文
+ */
+async function executeOrder(order) {
+  const sellerProduct = await fetchSellerProduct(order.seller, order.product)
+  if (!sellerProduct) {
+    return failOrder(order, 409, '商品名が一致しません')
+  }
+
+  const reservedYen = sellerProduct.priceYen * order.qty
+  try {
+    await reserveFunds(reservedYen)
+  } catch (error) {
+    if (error.code === 'EFUNDS') {
+      return failOrder(order, 409, error.message)
+    }
+    throw error
+  }
+
+  // 決済するまでに失敗した場合（通信エラーを含む）は、確保した金額を資金に戻す
+  let settled = false
+  try {
+    await transitionOrder(order.id, ORDER_STATES.PENDING_MATCH, {
+      price: sellerProduct.priceYen,
+      reservedYen,
+    })
+    const { status, body } = await requestRemotePurchase(order.seller, {
+      product: order.product,
+      qty: order.qty,
+      tradeId: order.tradeId,
+    })
+    if (status !== 200) {
+      return failOrder(order, status, body.error || '購入に失敗しました')
+    }
+
+    const mismatch = checkSellerResult(order, body, reservedYen)
+    if (mismatch) {
+      console.error(`売り手の応答を決済に使えません（${order.seller}）:`, body)
+      return failOrder(order, 502, mismatch)
+    }
+
+    await transitionOrder(order.id, ORDER_STATES.MATCHED, {
+      totalPrice: body.totalPrice,
+    })
+    let replayed
+    try {
+      replayed = await settleBuyerPurchase(order, body.totalPrice, reservedYen)
+      settled = true
+    } catch (error) {
+      console.error('購入後の資産更新に失敗しました:', error.message)
+      return failOrder(
+        order,
+        500,
+        '購入は成立しましたが資産の更新に失敗しました。同じ取引IDで再試行してください'
+      )
+    }
+    if (replayed) {
+      await transitionOrder(order.id, ORDER_STATES.FAILED, {
+        reason: '同じ取引IDの別の注文で決済済みです',
+      })
+      return replayBuyerPurchase(replayed, order)
+    }
+    await transitionOrder(order.id, ORDER_STATES.SETTLED)
+
+    return { status, body: { ...body, orderId: order.id } }
+  } finally {
+    if (!settled) {
+      await releaseFunds(reservedYen).catch((error) => {
+        console.error(
+          `注文 ${order.id} のために確保した資金を戻せませんでした:`,
+          error.message
+        )
+      })
+    }
+  }
+}
+
+/**
+ * 決済済みの購入から再送時のレスポンスを組み立てる
+ * @param {Object} settled 記録済みの購入のトランザクション
+ * @param {Object} order 再送された購入内容（{ seller, product, qty }）
+ * @returns {{ status: number, body: Object }} レスポンスのステータスと本文
+ */
+function replayBuyerPurchase(settled, { seller, product, qty }) {
+  // 同じ取引IDで売り手・商品・数量が異なる場合は、別の取引として扱わずに断る
+  if (
+    settled.seller !== seller ||
+    settled.product !== product ||
+    settled.qty !== qty
+  ) {
+    return {
+      status: 409,
+      body: { error: '取引IDが別の取引で使用されています' },
+    }
+  }
+  return {
+    status: 200,
+    body: {
+      success: true,
+      tradeId: settled.tradeId,
+      product: settled.product,
+      qty: settled.qty,
+      totalPrice: settled.price * settled.qty,
+      replayed: true,
+    },
+  }
+}
+
+/**
+ * 他店から商品を購入する（買い手側の決済処理）
+ *
+ * 売り手に送る前に支払額を自店の資金から確保し、売り手の /buy が成功した場合のみコレクションに追加する
+ * （成立しなかった場合は確保した金額を資金に戻す）。
+ * 同じ取引IDで決済済みの場合は売り手に再送せず、記録済みの結果を返す
+ * （売り手・商品・数量が記録と異なる場合は 409）。
+ * 進行状況は注文（orders.json）として記録する。
+ * @param {string} sellerAddress 売り手のアドレス（IP:PORT形式）
+ * @param {string} productName 商品名
+ * @param {number} quantity 数量
+ * @param {string} tradeId 取引ID
+ * @returns {Promise<{ status: number, body: Object }>} レスポンスのステータスと本文
+ */
+async function purchaseFromMarket(
+  sellerAddress,
+  productName,
+  quantity,
+  tradeId
+) {
+  const settled = await findTransaction(tradeId, 'purchase')
+  if (settled) {
+    return replayBuyerPurchase(settled, {
+      seller: sellerAddress,
+      product: productName,
+      qty: quantity,
+    })
+  }
+
+  const order = await createOrder({
+    tradeId,
+    seller: sellerAddress,
+    product: productName,
+    qty: quantity,
+  })
+
+  try {
+    return await executeOrder(order)
+  } catch (error) {
+    console.error('購入処理中にエラーが発生しました:', error.message)
+    return failOrder(order, 502, '売り手のサーバーと通信できませんでした')
+  }
+}
+
+/**
+ * 自店の登録キーを送るヘッダーを返す
+ * 教師サーバーは、登録したときと送信元IPが変わっても、このキーで自店の登録であることを確認する
+ * @returns {Object} ヘッダー（登録キーがない場合は空）
+ */
+function registrationHeaders() {
+  if (
+    registration?.centralServer !== CENTRAL_SERVER ||
+    registration?.address !== getMyAddress()
+  ) {
+    return {}
+  }
+  return { 'X-Registration-Key': registration.key }
+}
+
+/**
+ * 教師サーバーにマーケット登録する
+ * 初回の登録で発行された登録キーは保存し、以降の登録・ハートビート・登録削除で送る
+ * @returns {Promise<void>}
+ */
+async function registerToMarket() {
+  try {
+    const products = await getProductsWithStock()
+    const response = await fetch(`${CENTRAL_SERVER}/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...registrationHeaders() },
+      body: JSON.stringify({
+        ip: myIpAddress,
+        port: PORT,
+        ...(STORE_NAME ? { name: STORE_NAME } : {}),
+        pubKey: exportPublicKey(myKeyPair.publicKey),
+        products: products.map((product) => ({
+          product: product.name,
+          priceYen: product.priceYen,
+          stock: product.stock,
+        })),
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      // 登録内容の誤りは項目ごとに表示する
+      for (const { field, message } of data.errors || []) {
+        console.error(`  - ${field}: ${message}`)
+      }
+      throw new Error(data.error || `ステータス ${response.status}`)
+    }
+
+    if (data.registrationKey) {
+      registration = {
+        centralServer: CENTRAL_SERVER,
+        address: getMyAddress(),
+        key: data.registrationKey,
+      }
+      await storage.setDocument('registration', registration)
+    }
+    console.log('マーケット登録完了:', data.message)
+    // 稼働中の再登録（商品変更時など）では状態を変えない
+    if (serverState !== 'ACTIVE') {
+      serverState = 'REGISTERED'
+    }
+  } catch (error) {
+    // 接続エラー（ECONNREFUSED）を特定して適切にキャッチする
+    if (error.cause?.code === 'ECONNREFUSED') {
+      console.error(
+        '中央サーバーに接続できません。サーバーが起動しているか確認してください。'
+      )
+    } else {
+      // その他のエラーの場合も、スタックトレースを表示せず簡潔なメッセージのみを表示
+      console.error('マーケット登録に失敗しました:', error.message)
+    }
+    if (serverState !== 'ACTIVE') {
+      serverState = 'ERROR'
+    }
+    // エラーを再スローしない
+  }
+}
+
+/**
+ * セントラルサーバー上の自店のURL（/markets/:address）を返す
+ * @returns {string} URL
+ */
+function myMarketUrl() {
+  return `${CENTRAL_SERVER}/markets/${encodeURIComponent(
+    `${myIpAddress}:${PORT}`
+  )}`
+}
+
+/**
+ * 教師サーバーに稼働中であることを知らせる（在庫数も合わせて送る）
+ *
+ * 登録が見つからない場合（中央サーバーの再起動や期限切れ）は登録し直す。
+ * 送信できたら、送れなかった取引の報告を再送する。
+ * @returns {Promise<void>}
+ */
+async function sendHeartbeat() {
+  try {
+    const products = await getProductsWithStock()
+    const response = await fetch(`${myMarketUrl()}/heartbeat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...registrationHeaders() },
+      body: JSON.stringify({
+        products: products.map(({ name, stock }) => ({ name, stock })),
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    })
+
+    if (response.status === 404) {
+      console.log('マーケットの登録が見つからないため、登録し直します')
+      await registerToMarket()
+    } else if (!response.ok) {
+      throw new Error(`ステータス ${response.status}`)
+    }
+  } catch (error) {
+    console.error('ハートビートの送信に失敗しました:', error.message)
+    return
+  }
+
+  // 教師サーバーに届くようになったら、送れなかった取引の報告を再送する
+  await retryTradeReports()
+}
+
+/**
+ * 成立した取引を教師サーバーに報告する（署名付き）
+ *
+ * 教師サーバーは買い手・売り手の報告を照合する。通信に失敗した報告はハートビートのたびに再送する。
+ * 呼び出し元を待たせないよう、エラーは投げずにログに出力する。
+ * @param {Object} report 報告（{ tradeId, role, buyer, seller, product, qty, totalPrice }）
+ * @returns {Promise<void>}
+ */
+async function reportTrade(report) {
+  try {
+    const body = JSON.stringify(report)
+    const url = `${CENTRAL_SERVER}/trades`
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...signRequest(
+          myKeyPair.privateKey,
+          getMyAddress(),
+          body,
+          requestTarget('POST', url)
+        ),
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    })
+    if (response.status >= 500) {
+      throw new Error(`ステータス ${response.status}`)
+    }
+    if (!response.ok) {
+      // 内容が不正・登録がないなど、再送しても受け付けられない報告
+      const data = await response.json().catch(() => ({}))
+      console.error(
+        `取引の報告が拒否されました: ${report.tradeId} -`,
+        data.error || `ステータス ${response.status}`
+      )
+    }
+  } catch (error) {
+    console.error(
+      `取引の報告に失敗しました（あとで再送します）: ${report.tradeId} -`,
+      error.message
+    )
+    unreportedTrades.push(report)
+    if (unreportedTrades.length > MAX_UNREPORTED_TRADES) {
+      unreportedTrades.shift()
+    }
+  }
+}
+
+/**
+ * 送信に失敗した取引の報告を再送する
+ * @returns {Promise<void>}
+ */
+async function retryTradeReports() {
+  for (const report of unreportedTrades.splice(0)) {
+    await reportTrade(report)
+  }
+}
+
+/**
+ * ランキング用の成績を資産とトランザクションログから集計する
+ * @returns {Promise<Object>} 成績（{ capitalYen, procurementPts, collectionSize, distinctItems, salesCount, salesRevenue }）
+ */
+async function collectStats() {
+  const assets = await loadAssets()
+  const collection = assets.collection || []
+  // 種別（type）のない古い記録は売り手側の記録（'sale'）として数える（findTransaction と同じ）
+  const sales = (await storage.listRecords('transactions')).filter(
+    (transaction) => (transaction.type || 'sale') === 'sale'
+  )
+  return {
+    capitalYen: assets.capitalYen,
+    procurementPts: assets.procurementPts,
+    collectionSize: collection.reduce((sum, item) => sum + item.qty, 0),
+    distinctItems: new Set(collection.map((item) => item.product)).size,
+    salesCount: sales.length,
+    salesRevenue: sales.reduce((sum, sale) => sum + sale.price * sale.qty, 0),
+  }
+}
+
+/**
+ * 成績を教師サーバーに報告する（署名付き。ランキングに使われる）
+ *
+ * 登録が見つからない場合は、次のハートビートで登録し直してから報告する。
+ * @returns {Promise<void>}
+ */
+async function reportStats() {
+  try {
+    const body = JSON.stringify(await collectStats())
+    const url = `${myMarketUrl()}/stats`
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...signRequest(
+          myKeyPair.privateKey,
+          getMyAddress(),
+          body,
+          requestTarget('POST', url)
+        ),
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    })
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      throw new Error(data.error || `ステータス ${response.status}`)
+    }
+  } catch (error) {
+    console.error('成績の報告に失敗しました:', error.message)
+  }
+}
+
+/**
+ * 教師サーバーから自店の登録を削除する（終了時）
+ * @returns {Promise<void>}
+ */
+async function deregisterFromMarket() {
+  try {
+    const response = await fetch(myMarketUrl(), {
+      method: 'DELETE',
+      headers: registrationHeaders(),
+      signal: AbortSignal.timeout(Math.min(REQUEST_TIMEOUT, 3000)),
+    })
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`ステータス ${response.status}`)
+    }
+    console.log('マーケットの登録を削除しました')
+  } catch (error) {
+    console.error('マーケットの登録削除に失敗しました:', error.message)
+  }
+}
+
+/**
+ * 教師サーバーからマーケット情報を取得する
+ * @returns {Promise<Array>} マーケット情報の配列
+ */
+async function syncMarkets() {
+  try {
+    const response = await fetch(`${CENTRAL_SERVER}/markets`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    })
+    const data = await response.json()
+    knownMarkets = Array.isArray(data) ? data : knownMarkets
+    console.log(
+      'マーケット同期完了:',
+      data.length,
+      '件のマーケット情報を取得'
+    )
+    return data
+  } catch (error) {
+    console.error('マーケット同期に失敗しました:', error.message)
+    return []
+  }
+}
+
+/**
+ * 教師サーバーから取引ラウンドの状態を取得する
+ * 取得できない場合（古い中央サーバーなど）は、最後に取得した状態のままにする
+ * @returns {Promise<void>}
+ */
+async function syncSession() {
+  try {
+    const response = await fetch(`${CENTRAL_SERVER}/session`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    })
+    if (!response.ok) {
+      throw new Error(`ステータス ${response.status}`)
+    }
+    applySession(await response.json())
+  } catch (error) {
+    console.error('取引ラウンドの状態の取得に失敗しました:', error.message)
+  }
+}
+
+/**
+ * セントラルサーバーの時計での現在時刻を返す
+ * @returns {number} 現在時刻（ミリ秒）
+ */
+function centralNow() {
+  return Date.now() + centralClockOffset
+}
+
+/**
+ * 取引ラウンドの現在の状態を求める
+ * 開始・終了時刻はセントラルサーバーの時計で決まるため、この店の時計のずれを補正して判定する
+ * @returns {Object} 現在の状態（session.js の resolveSession 参照）
+ */
+function resolveCurrentSession() {
+  return resolveSession(currentSession, centralNow())
+}
+
+/**
+ * 取引ラウンドの状態を更新し、Web UIに中継する
+ * 状態に付いているセントラルサーバーの現在時刻（serverTime）から、時計のずれも更新する
+ * @param {Object} data 中央サーバーが返した状態（GET /session または session イベント）
+ */
+function applySession(data) {
+  const { serverTime, ...session } = data
+  const previous = resolveCurrentSession().state
+  if (!Number.isNaN(Date.parse(serverTime))) {
+    centralClockOffset = Date.parse(serverTime) - Date.now()
+  }
+  currentSession = session
+  const { state } = resolveCurrentSession()
+  if (state !== previous) {
+    console.log(`取引ラウンドの状態: ${previous} → ${state}`)
+  }
+  browserEvents.publish('session', toSessionResponse())
+}
+
+/**
+ * 取引ラウンドの現在の状態を Web UI に返す形式に整形する
+ * @returns {Object} 現在の状態（Web UI が時刻のずれを補正できるよう、セントラルサーバーの時計での現在時刻 serverTime を付ける）
+ */
+function toSessionResponse() {
+  return {
+    ...resolveCurrentSession(),
+    serverTime: new Date(centralNow()).toISOString(),
+  }
+}
+
+/**
+ * セントラルサーバーから届いたマーケットの変更を同期済みのマーケット情報に反映し、Web UIに中継する
+ * @param {string} type イベントの種類（market-added / market-updated / market-status / market-removed）
+ * @param {Object} data イベントの内容
+ */
+function applyMarketEvent(type, data) {
+  if (type === 'market-added' || type === 'market-updated') {
+    knownMarkets = [
+      ...knownMarkets.filter((m) => m.address !== data.market.address),
+      data.market,
+    ]
+  } else if (type === 'market-status') {
+    knownMarkets = knownMarkets.map((m) =>
+      m.address === data.address ? { ...m, status: data.status } : m
+    )
+  } else if (type === 'market-removed') {
+    knownMarkets = knownMarkets.filter((m) => m.address !== data.address)
+  } else {
+    return
+  }
+  browserEvents.publish(type, data)
+}
+
+/**
+ * セントラルサーバーのイベントストリームを受信する
+ * 接続するたびに全件を取得し直し、切断中は定期的な同期（syncMarkets）に切り替える
+ */
+function subscribeCentralEvents() {
+  subscribeEventStream(`${CENTRAL_SERVER}/events`, {
+    onOpen: () => {
+      centralConnected = true
+      console.log('セントラルサーバーのイベントストリームに接続しました')
+      browserEvents.publish('central', { connected: true })
+      syncMarkets()
+      syncSession()
+    },
+    onEvent: (type, data) => {
+      // 教師からのお知らせはそのままWeb UIに中継する
+      if (type === 'announcements') {
+        browserEvents.publish(type, data)
+      } else if (type === 'session') {
+        applySession(data)
+      } else {
+        applyMarketEvent(type, data)
+      }
+    },
+    onClose: (error) => {
+      centralConnected = false
+      console.log(
+        'セントラルサーバーのイベントストリームが切断されました:',
+        error.message
+      )
+      browserEvents.publish('central', { connected: false })
+    },
+  })
+}
+
+/**
+ * 同期済みのマーケット情報から条件に一致するマーケットを検索する
+ * 見つからない場合は、前回の再取得から一定時間が経過していれば教師サーバーから再取得する
+ * @param {Function} predicate 検索条件
+ * @returns {Promise<Object|undefined>} 一致したマーケット
+ */
+async function findRegisteredMarket(predicate) {
+  const cached = knownMarkets.find(predicate)
+  if (cached) {
+    return cached
+  }
+
+  if (Date.now() - lastRegistryRefreshAt < REGISTRY_REFRESH_MIN_INTERVAL) {
+    return undefined
+  }
+  lastRegistryRefreshAt = Date.now()
+  await syncMarkets()
+  return knownMarkets.find(predicate)
+}
+
+/**
+ * 購入者の公開鍵を検索する
+ * @param {string} address 購入者のアドレス（IP:PORT形式）
+ * @returns {Promise<string|undefined>} 公開鍵（DER形式のBase64）
+ */
+async function findMarketPublicKey(address) {
+  const market = await findRegisteredMarket(
+    (m) => m.address === address && m.pubKey
+  )
+  return market?.pubKey
+}
+
+/**
+ * アドレス（IP:PORT形式）からIPアドレス部分を取り出す
+ * @param {string} address アドレス
+ * @returns {string} IPアドレス
+ */
+function hostOf(address) {
+  return address.slice(0, address.lastIndexOf(':'))
+}
+
+/**
+ * 購入者を識別する
+ *
+ * registry モードでは、署名を検証できた場合だけ X-Market-Address ヘッダーのアドレスを購入者とし、
+ * 呼び出し元のIPアドレスがそのアドレスのIPアドレスと一致することを確認する
+ * （同じマシン上の店舗同士の取引のため、ループバックからのアクセスはIPが一致したものとみなす）。
+ * 署名がない場合はヘッダーを信頼せず、呼び出し元のIPアドレスが登録済みマーケットの
+ * IPアドレスと一致する場合のみ、そのIPアドレスを購入者とする。
+ * @param {Object} req Expressのリクエスト
+ * @param {string|null} signedAddress 署名を検証できた購入者のアドレス（署名がない場合はnull）
+ * @returns {Promise<string|null>} 購入者の識別子（署名付きなら登録済みアドレス、それ以外はIPアドレス）。識別できない場合はnull
+ */
+async function identifyBuyer(req, signedAddress) {
+  const clientIp = getClientIp(req)
+
+  if (BUYER_VERIFICATION === 'loopback') {
+    return isLocalAddress(clientIp) ? clientIp : null
+  }
+
+  if (signedAddress) {
+    const market = await findRegisteredMarket(
+      (m) =>
+        m.address === signedAddress &&
+        (hostOf(m.address) === clientIp || isLocalAddress(clientIp))
+    )
+    return market ? market.address : null
+  }
+
+  const market = await findRegisteredMarket(
+    (m) => hostOf(m.address) === clientIp
+  )
+  return market ? clientIp : null
+}
+
+/**
+ * 購入リクエストの署名を検証する
+ * @param {Object} req Expressのリクエスト
+ * @returns {Promise<string>} 署名を検証できた購入者のアドレス（X-Market-Address）
+ * @throws {Error} 署名が不正な場合や購入者が未登録の場合
+ */
+async function verifyBuyerSignature(req) {
+  const address = req.headers[SIGNATURE_HEADERS.address]
+  if (!address) {
+    throw new Error('署名がありません')
+  }
+
+  const publicKey = await findMarketPublicKey(address)
+  if (!publicKey) {
+    throw new Error('購入者の公開鍵が登録されていません')
+  }
+
+  // 宛先が自店（登録しているアドレス）でない署名は、別の店に送られたものとして拒否する
+  verifyRequest(
+    req.headers,
+    req.rawBody || '',
+    publicKey,
+    requestTarget(req.method, `http://${getMyAddress()}${req.originalUrl}`)
+  )
+  return address
+}
+
+// フロントエンドのメインページを提供
+app.get('/', (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, 'index.html'))
+})
+
+// 資産情報を取得するAPIエンドポイント
+app.get('/api/assets', async (req, res) => {
+  try {
+    const assets = await loadAssets()
+    res.json(assets)
+  } catch (error) {
+    console.error('資産情報の取得に失敗しました:', error.message)
+    res.status(500).json({ error: '資産情報の取得に失敗しました' })
+  }
+})
+
+// Central Serverからマーケット情報を取得するプロキシエンドポイント
+app.get('/api/markets', async (req, res) => {
+  try {
+    // 検索条件（クエリパラメータ）はそのまま中央サーバーに渡す
+    const search = new URL(req.originalUrl, 'http://localhost').search
+    const response = await fetch(`${CENTRAL_SERVER}/markets${search}`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    })
+    const data = await response.json()
+    for (const header of ['X-Total-Count', 'X-Next-Offset']) {
+      if (response.headers.has(header)) {
+        res.header(header, response.headers.get(header))
+      }
+    }
+    res.status(response.status).json(data)
+  } catch (error) {
+    console.error('マーケット情報の取得に失敗しました:', error.message)
+    res.status(500).json({ error: 'マーケット情報の取得に失敗しました' })
+  }
+})
+
+// Web UI向けのイベントストリーム（Server-Sent Events）
+// マーケットの変更（market-*）、資産の更新（assets）、教師からのお知らせ（announcements）、
+// 取引ラウンドの状態（session）、セントラルサーバーとの接続状態（central）を送る
+app.get('/api/events', (req, res) => {
+  browserEvents.subscribe(req, res, [
+    { type: 'central', data: { connected: centralConnected } },
+  ])
+})
+
+// Central Serverから商品カタログを取得するプロキシエンドポイント
+app.get('/api/catalogue', async (req, res) => {
+  try {
+    const response = await fetch(`${CENTRAL_SERVER}/products`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    })
+    res.status(response.status).json(await response.json())
+  } catch (error) {
+    console.error('商品カタログの取得に失敗しました:', error.message)
+    res.status(500).json({ error: '商品カタログの取得に失敗しました' })
+  }
+})
+
+// Central Serverから商品の販売店一覧（価格の安い順）を取得するプロキシエンドポイント
+app.get('/api/catalogue/:name/offers', async (req, res) => {
+  try {
+    const response = await fetch(
+      `${CENTRAL_SERVER}/products/${encodeURIComponent(
+        req.params.name
+      )}/offers`,
+      { signal: AbortSignal.timeout(REQUEST_TIMEOUT) }
+    )
+    res.status(response.status).json(await response.json())
+  } catch (error) {
+    console.error('販売店一覧の取得に失敗しました:', error.message)
+    res.status(500).json({ error: '販売店一覧の取得に失敗しました' })
+  }
+})
+
+// 取引ラウンドの状態を取得するAPI（セントラルサーバーから最後に受け取ったもの）
+app.get('/api/session', (req, res) => {
+  res.json(toSessionResponse())
+})
+
+// Central Serverから教師からのお知らせを取得するプロキシエンドポイント
+app.get('/api/announcements', async (req, res) => {
+  try {
+    const response = await fetch(`${CENTRAL_SERVER}/announcements`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    })
+    res.status(response.status).json(await response.json())
+  } catch (error) {
+    console.error('お知らせの取得に失敗しました:', error.message)
+    res.status(500).json({ error: 'お知らせの取得に失敗しました' })
+  }
+})
+
+// Central Serverからランキングを取得するプロキシエンドポイント（by はそのまま中央サーバーに渡す）
+app.get('/api/leaderboard', async (req, res) => {
+  try {
+    const search = new URL(req.originalUrl, 'http://localhost').search
+    const response = await fetch(`${CENTRAL_SERVER}/leaderboard${search}`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    })
+    res.status(response.status).json(await response.json())
+  } catch (error) {
+    console.error('ランキングの取得に失敗しました:', error.message)
+    res.status(500).json({ error: 'ランキングの取得に失敗しました' })
+  }
+})
+
+// 自店の商品一覧を取得するAPI（在庫数付き）
+app.get('/api/products', async (req, res) => {
+  try {
+    res.json(await getProductsWithStock())
+  } catch (error) {
+    console.error('商品一覧の取得に失敗しました:', error.message)
+    res.status(500).json({ error: '商品一覧の取得に失敗しました' })
+  }
+})
+
+// 商品を追加するAPI - 店主のみ利用可能
+app.post('/api/products', requireLocalOwner, async (req, res) => {
+  try {
+    const { name, priceYen } = req.body
+    const validationError = validateProductInput({ name, priceYen })
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    // 在庫は追加したときに残りの仕入れポイントから確保するだけで補充されないため、
+    // 1つも確保できない（売ることのできない）商品は追加しない
+    const assets = await loadAssets()
+    const [plan] = planInventory(assets, [{ name, priceYen }])
+    if (plan && plan.qty === 0) {
+      return res.status(409).json({
+        error:
+          assets.procurementPts > 0
+            ? `仕入れポイントの残り（${assets.procurementPts} PP）では在庫を確保できません。価格を ${assets.procurementPts} 円以下にしてください`
+            : '仕入れポイントが残っていないため、新しい商品の在庫を確保できません',
+        procurementPts: assets.procurementPts,
+      })
+    }
+
+    await applyProducts([...myProducts, { name, priceYen }])
+
+    const products = await getProductsWithStock()
+    res.status(201).json(products.find((p) => p.name === name))
+  } catch (error) {
+    console.error('商品の追加に失敗しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// 商品の名前・価格を変更するAPI - 店主のみ利用可能
+app.put('/api/products/:name', requireLocalOwner, async (req, res) => {
+  try {
+    const current = myProducts.find((p) => p.name === req.params.name)
+    if (!current) {
+      return res.status(404).json({ error: '商品が見つかりません' })
+    }
+
+    const { name, priceYen } = req.body
+    const validationError = validateProductInput(
+      { name, priceYen },
+      { partial: true, currentName: current.name }
+    )
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const updated = {
+      ...current,
+      ...(name !== undefined ? { name } : {}),
+      ...(priceYen !== undefined ? { priceYen } : {}),
+    }
+    if (updated.name !== current.name) {
+      await renameInventoryItem(current.name, updated.name)
+    }
+    await applyProducts(
+      myProducts.map((p) => (p.name === current.name ? updated : p))
+    )
+
+    const products = await getProductsWithStock()
+    res.json(products.find((p) => p.name === updated.name))
+  } catch (error) {
+    console.error('商品の更新に失敗しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// 商品を削除するAPI - 店主のみ利用可能（在庫は残り、同名で再登録すると引き継がれる）
+app.delete('/api/products/:name', requireLocalOwner, async (req, res) => {
+  try {
+    const current = myProducts.find((p) => p.name === req.params.name)
+    if (!current) {
+      return res.status(404).json({ error: '商品が見つかりません' })
+    }
+    if (myProducts.length === 1) {
+      return res
+        .status(409)
+        .json({ error: 'マーケットに登録するため、商品は1つ以上必要です' })
+    }
+
+    await applyProducts(myProducts.filter((p) => p.name !== current.name))
+
+    res.status(204).end()
+  } catch (error) {
+    console.error('商品の削除に失敗しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// 他店から商品を購入するAPI（買い手側の決済）- 店主のみ利用可能
+app.post('/api/purchase', requireLocalOwner, async (req, res) => {
+  try {
+    const { address, product, qty } = req.body
+    const tradeId = req.body.tradeId || generateTradeId()
 
     // バリデーション
-    if (!product || !qty) {
+    if (!address || !product || !qty) {
       return res.status(400).json({ error: '必須パラメータが不足しています' })
     }
 
-    if (typeof qty !== 'number' || qty <= 0) {
+    if (!isValidQuantity(qty)) {
       return res
         .status(400)
         .json({ error: '数量は正の整数である必要があります' })
     }
 
-    // 購入者のIPアドレスを取得
-    const buyerIp = clientIp
+    if (typeof tradeId !== 'string' || !TRADE_ID_PATTERN.test(tradeId)) {
+      return res.status(400).json({
+        error:
+          '取引IDは64文字以内の英数字・ハイフン・アンダースコアで指定してください',
+      })
+    }
 
-    try {
-      // 購入処理を実行
-      const result = await processPurchase(product, qty, buyerIp)
+    const { status, body } = await purchaseFromMarket(
+      address,
+      product,
+      qty,
+      tradeId
+    )
+    res.status(status).json(body)
+  } catch (error) {
+    console.error('購入処理中にエラーが発生しました:', error)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// 注文一覧を取得するAPI（?state=PENDING_MATCH,FAILED のように状態で絞り込み可能）
+app.get('/api/orders', requireLocalOwner, async (req, res) => {
+  try {
+    const states = req.query.state ? String(req.query.state).split(',') : null
+    const orders = await loadOrders()
+    const filtered = states
+      ? orders.filter((order) => states.includes(order.state))
+      : orders
+
+    // 新しい注文から順に返す
+    res.json(filtered.slice().reverse())
+  } catch (error) {
+    console.error('注文一覧の取得に失敗しました:', error.message)
+    res.status(500).json({ error: '注文一覧の取得に失敗しました' })
+  }
+})
+
+// 注文を1件取得するAPI
+app.get('/api/orders/:id', requireLocalOwner, async (req, res) => {
+  try {
+    const order = await findOrder(req.params.id)
+    if (!order) {
+      return res.status(404).json({ error: '注文が見つかりません' })
+    }
+    res.json(order)
+  } catch (error) {
+    console.error('注文の取得に失敗しました:', error.message)
+    res.status(500).json({ error: '注文の取得に失敗しました' })
+  }
+})
+
+// 取引履歴を取得するAPI（販売・購入の絞り込み、並べ替え、ページ分割、?format=csv でCSV出力）
+// 本文は { transactions, totals, total, nextOffset }。totals は該当するすべての取引の集計
+app.get('/api/transactions', async (req, res) => {
+  try {
+    const { options, error } = parseTransactionQuery(req.query)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+    const { items, total, nextOffset, totals } = queryTransactions(
+      await loadTransactions(),
+      options
+    )
+
+    if (options.format === 'csv') {
+      const date = new Date().toISOString().slice(0, 10).replace(/-/g, '')
+      res.attachment(`transactions-${date}.csv`)
+      return res.send(toTransactionCsv(items))
+    }
+
+    res.json({ transactions: items, totals, total, nextOffset })
+  } catch (error) {
+    console.error('取引履歴の取得に失敗しました:', error.message)
+    res.status(500).json({ error: '取引履歴の取得に失敗しました' })
+  }
+})
+
+// 売上分析を取得するAPI（?by=hour で1時間ごと、?by=round で取引ラウンドごとの売上の推移）
+// 資産の推移は offset / limit で新しい方からページ分割する
+app.get('/api/stats', async (req, res) => {
+  try {
+    const { options, error } = parseStatsQuery(req.query)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+    const [transactions, assetHistory, assets] = await Promise.all([
+      loadTransactions(),
+      storage.listRecords('assetHistory'),
+      loadAssets(),
+    ])
+    res.json(buildAnalytics({ transactions, assetHistory, assets }, options))
+  } catch (error) {
+    console.error('売上分析の取得に失敗しました:', error.message)
+    res.status(500).json({ error: '売上分析の取得に失敗しました' })
+  }
+})
+
+// ヘルスチェックAPI
+app.get('/health', async (req, res) => {
+  try {
+    res.status(200).json({
+      status: serverState,
+      name: STORE_NAME,
+      products: await getProductsWithStock(),
+      timestamp: new Date().toISOString(),
+    })
+  } catch (error) {
+    console.error('ヘルスチェック中にエラーが発生しました:', error.message)
+    res.status(500).json({ error: 'サーバーエラーが発生しました' })
+  }
+})
+
+// 購入API - 登録済みマーケット（loopbackモードではローカル）からのアクセスのみ許可
+app.post('/buy', async (req, res) => {
+  try {
+    // サーバーがアクティブでない場合、取引ラウンドの時間外の場合はエラー
+    if (serverState !== 'ACTIVE') {
+      return res
+        .status(503)
+        .json({ error: 'サーバーがアクティブではありません' })
+    }
+    const session = resolveCurrentSession()
+    if (session.state !== SESSION_STATES.OPEN) {
+      return res.status(503).json({
+        error: SESSION_CLOSED_REASONS[session.state],
+        session: session.state,
+      })
+    }
 
-      if (result === false) {
-        // 仕入れポイントが不足している場合
-        return res.status(409).json({ error: '仕入れポイントが不足しています' })
+    // 署名を検証（署名なし・期限切れ・再利用・宛先違い・不一致は401）
+    // 署名が付いている場合は requireSignature にかかわらず検証する
+    let signedAddress = null
+    if (REQUIRE_SIGNATURE || req.headers[SIGNATURE_HEADERS.signature]) {
+      try {
+        signedAddress = await verifyBuyerSignature(req)
+      } catch (error) {
+        return res.status(401).json({ error: error.message })
       }
+    }
+
+    // 購入者を識別（登録済みマーケット、またはloopbackモードではローカルのみ許可）
+    const buyerId = await identifyBuyer(req, signedAddress)
+    if (!buyerId) {
+      return res.status(403).json({
+        error:
+          BUYER_VERIFICATION === 'loopback'
+            ? 'この操作はローカルからのみ許可されています'
+            : 'マーケットに登録されていない購入者です',
+      })
+    }
+
+    const { product, qty, tradeId } = req.body
+
+    // バリデーション
+    if (!product || !qty) {
+      return res.status(400).json({ error: '必須パラメータが不足しています' })
+    }
+
+    if (
+      tradeId !== undefined &&
+      (typeof tradeId !== 'string' || !TRADE_ID_PATTERN.test(tradeId))
+    ) {
+      return res.status(400).json({
+        error:
+          '取引IDは64文字以内の英数字・ハイフン・アンダースコアで指定してください',
+      })
+    }
+
+    if (!isValidQuantity(qty)) {
+      return res
+        .status(400)
+        .json({ error: '数量は正の整数である必要があります' })
+    }
+
+    try {
+      // 購入処理を実行
+      const result = await processPurchase(product, qty, buyerId, tradeId)
 
       res.status(200).json(result)
+
+      // 売り手として取引を報告する（署名を検証した場合は購入者の店舗アドレスで報告）
+      reportTrade({
+        tradeId: result.tradeId,
+        role: 'seller',
+        buyer: signedAddress || buyerId,
+        seller: getMyAddress(),
+        product: result.product,
+        qty: result.qty,
+        totalPrice: result.totalPrice,
+      })
     } catch (error) {
-      if (error.message === '商品名が一致しません') {
+      if (
+        error.message === '商品名が一致しません' ||
+        error.message === '在庫が不足しています' ||
+        error.message === '取引IDが別の購入内容で使用されています' ||
+        error.message === '同じ取引IDのリクエストを処理中です'
+      ) {
         return res.status(409).json({ error: error.message })
       }
+      if (error.code === 'ELOCKED') {
+        // 別のプロセスが資産を更新中（購入者は同じ取引IDで再試行できる）
+        return res.status(503).set('Retry-After', '1').json({
+          error: '資産データが使用中です。しばらく待ってから再試行してください',
+        })
+      }
       throw error
     }
   } catch (error) {
@@ -465,57 +1923,60 @@ app.post('/buy', async (req, res) => {
 async function initializeServer() {
   try {
     console.log('店側アプリケーションを初期化しています...')
+    printConfig()
 
-    // データディレクトリが存在しない場合は作成
-    const dataDir = path.join(__dirname, '../data')
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true })
-    }
+    // ストレージを開く（データディレクトリがない場合は作成、SQLiteの初回はJSONから移行）
+    storage = await openStoreStorage()
+    console.log(`データの保存方法: ${storage.backend}（${DATA_DIR}）`)
 
     // 資産とトランザクションログを読み込む
     await loadAssets()
     await loadTransactions()
 
+    // 注文の保存先を設定
+    initOrders(storage)
+
+    // 取引リクエスト署名用の鍵ペアを読み込む（初回起動時は生成）
+    myKeyPair = await loadOrCreateKeyPair(KEYS_FILE)
+
+    // セントラルサーバーが発行した登録キーを読み込む
+    registration = await storage.getDocument('registration')
+
     // 商品情報を読み込む
     myProducts = await loadProduct()
 
-    // 商品が定義されていない場合は新規作成
+    // 商品が定義されていない場合は初回セットアップを案内して終了
     if (myProducts.length === 0) {
-      console.log('商品が定義されていません。新しい商品を定義します。')
-
-      // 実際のアプリケーションではユーザー入力を受け付けるが、
-      // ここではデモ用に固定値を使用
-      const productsData = [
-        {
-          name: 'りんごジュース',
-          priceYen: 120,
-        },
-        {
-          name: 'コーヒー',
-          priceYen: 150,
-        },
-      ]
-
-      myProducts = await defineProducts(productsData)
-      console.log('商品を定義しました:', myProducts)
+      console.error(
+        '商品が定義されていません。`npm run setup` を実行して店舗と商品を設定してください。'
+      )
+      process.exit(1)
     }
 
+    // 既存の商品で在庫が未確保のものがあれば確保
+    await reserveInventory(myProducts)
+
     serverState = 'CONFIGURED'
 
-    // IPアドレスを自動取得
-    try {
-      console.log('IPアドレスを取得しています...')
-      myIpAddress = await fetchIpAddress()
-      console.log(`IPアドレスを取得しました: ${myIpAddress}`)
-    } catch (error) {
-      console.error(
-        'IPアドレスの取得に失敗しました。デフォルト値を使用します:',
-        myIpAddress
-      )
+    // 公開アドレスが設定されていない場合はIPアドレスを自動取得
+    if (ADVERTISED_HOST) {
+      myIpAddress = ADVERTISED_HOST
+      console.log(`公開アドレス: ${myIpAddress}`)
+    } else {
+      try {
+        console.log('IPアドレスを取得しています...')
+        myIpAddress = await fetchIpAddress()
+        console.log(`IPアドレスを取得しました: ${myIpAddress}`)
+      } catch (error) {
+        console.error(
+          'IPアドレスの取得に失敗しました。デフォルト値を使用します:',
+          myIpAddress
+        )
+      }
     }
 
-    // サーバーを起動
-    app.listen(PORT, async () => {
+    // サーバーを起動（待ち受けアドレスが未設定の場合はすべてのアドレス）
+    app.listen(PORT, BIND_HOST || undefined, async () => {
       console.log(`店側アプリケーションが起動しました - ポート: ${PORT}`)
       console.log(`ウェブUIは http://localhost:${PORT}/ で利用可能です`)
 
@@ -530,11 +1991,25 @@ async function initializeServer() {
       // マーケットに登録
       try {
         await registerToMarket()
+        await syncSession()
         serverState = 'ACTIVE'
         console.log('サーバー状態:', serverState)
 
-        // 定期的にマーケット情報を同期
-        setInterval(syncMarkets, MARKET_SYNC_INTERVAL)
+        // マーケットの変更を受信し、イベントストリームが切断されている間は定期的に同期する
+        subscribeCentralEvents()
+        setInterval(() => {
+          if (!centralConnected) {
+            syncMarkets()
+            syncSession()
+          }
+        }, MARKET_SYNC_INTERVAL)
+
+        // 稼働中であることを定期的に知らせる
+        setInterval(sendHeartbeat, HEARTBEAT_INTERVAL)
+
+        // ランキング用の成績を定期的に報告する
+        reportStats()
+        setInterval(reportStats, STATS_REPORT_INTERVAL)
       } catch (error) {
         console.error('マーケット登録に失敗しました:', error)
       }
@@ -545,5 +2020,19 @@ async function initializeServer() {
   }
 }
 
+// 終了時にマーケットの登録を削除する（2回目のシグナルではすぐに終了）
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    console.log('終了しています...')
+    const wasRegistered = serverState === 'ACTIVE'
+    serverState = 'SHUTDOWN'
+    if (wasRegistered) {
+      await deregisterFromMarket()
+    }
+    await storage?.close()
+    process.exit(0)
+  })
+}
+
 // サーバーを初期化
 initializeServer()
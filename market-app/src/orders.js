@@ -0,0 +1,120 @@
+/**
+ * orders.js - 注文管理モジュール
+ *
+ * このモジュールは、買い手側の注文（他店への購入リクエスト）の状態遷移を管理し、
+ * ストレージの orders（JSONバックエンドでは orders.json）に永続化します。
+ * 読み書きは db.js のストレージ経由で行います。
+ *
+ * 仕様書「状態遷移（注文）」に基づいて実装されています。
+ * NEW → PENDING_MATCH → MATCHED → SETTLED / FAILED
+ */
+
+// 注文の状態
+export const ORDER_STATES = {
+  NEW: 'NEW', // 注文を受け付けた
+  PENDING_MATCH: 'PENDING_MATCH', // 売り手に購入リクエストを送信中
+  MATCHED: 'MATCHED', // 売り手が購入を受け付けた
+  SETTLED: 'SETTLED', // 買い手側の資産に反映済み
+  FAILED: 'FAILED', // 失敗（failureReason に理由を記録）
+}
+
+// 各状態から遷移できる状態
+const TRANSITIONS = {
+  NEW: ['PENDING_MATCH', 'FAILED'],
+  PENDING_MATCH: ['MATCHED', 'FAILED'],
+  MATCHED: ['SETTLED', 'FAILED'],
+  SETTLED: [],
+  FAILED: [],
+}
+
+let storage = null
+
+/**
+ * 注文の保存先のストレージを設定する
+ * @param {Object} orderStorage ストレージ（db.js の openStorage 参照）
+ */
+export function initOrders(orderStorage) {
+  storage = orderStorage
+}
+
+/**
+ * 注文一覧を読み込む
+ * @returns {Promise<Array>} 注文の配列
+ */
+export async function loadOrders() {
+  return storage.listRecords('orders')
+}
+
+/**
+ * 注文を検索する
+ * @param {string} orderId 注文ID
+ * @returns {Promise<Object|undefined>} 注文
+ */
+export async function findOrder(orderId) {
+  const [order] = await storage.findRecords('orders', { id: orderId })
+  return order
+}
+
+/**
+ * 新しい注文を作成する（状態は NEW）
+ * @param {Object} params 注文内容（{ tradeId, seller, product, qty }）
+ * @returns {Promise<Object>} 作成された注文
+ * @throws {Error} 数量が正の整数でない場合
+ */
+export async function createOrder({ tradeId, seller, product, qty }) {
+  if (!Number.isInteger(qty) || qty <= 0) {
+    throw new Error('数量は正の整数である必要があります')
+  }
+  const now = new Date().toISOString()
+  const order = {
+    id: `order-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    tradeId,
+    seller,
+    product,
+    qty,
+    state: ORDER_STATES.NEW,
+    failureReason: null,
+    history: [{ state: ORDER_STATES.NEW, at: now }],
+    createdAt: now,
+    updatedAt: now,
+  }
+  await storage.appendRecord('orders', order)
+  return order
+}
+
+/**
+ * 注文の状態を遷移させる
+ * @param {string} orderId 注文ID
+ * @param {string} nextState 遷移先の状態
+ * @param {Object} [details] 注文に追記する情報（FAILED の場合は reason に理由を指定）
+ * @returns {Promise<Object>} 更新された注文
+ * @throws {Error} 注文が存在しない場合や、許可されていない遷移の場合
+ */
+export async function transitionOrder(orderId, nextState, details = {}) {
+  return storage.transaction(async (tx) => {
+    const [order] = await tx.findRecords('orders', { id: orderId })
+    if (!order) {
+      throw new Error(`注文が見つかりません: ${orderId}`)
+    }
+    if (!TRANSITIONS[order.state].includes(nextState)) {
+      throw new Error(
+        `注文の状態を遷移できません: ${order.state} → ${nextState}`
+      )
+    }
+
+    const { reason, ...rest } = details
+    const now = new Date().toISOString()
+    Object.assign(order, rest, { state: nextState, updatedAt: now })
+    if (nextState === ORDER_STATES.FAILED) {
+      order.failureReason = reason || '不明なエラー'
+    }
+    order.history.push({
+      state: nextState,
+      at: now,
+      ...(reason ? { reason } : {}),
+    })
+
+    await tx.putRecord('orders', order)
+    return order
+  })
+}
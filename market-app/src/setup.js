@@ -0,0 +1,370 @@
+/**
+ * setup.js - 初回セットアップウィザード
+ *
+ * 店舗名・商品と価格・セントラルサーバーのURL・公開アドレスを入力し、
+ * 設定ファイル（store.config.json）と商品・資産データ（product / assets）を作成します。
+ * 環境変数・引数で指定した設定値（config.js 参照）が既定値になります。
+ * 商品ごとに、現在の仕入れポイントから確保される在庫数を確認できます。
+ *
+ * 使い方:
+ *   npm run setup
+ *   npm run setup -- --yes --store-name 山田商店 --product りんごジュース:120 \
+ *     --product コーヒー:150 --central-server http://localhost:8090 \
+ *     --advertised-host 192.168.0.10
+ *
+ * --yes を付けると対話なしで実行します（授業でのスクリプト一括セットアップ用）。
+ * 店サーバー（npm start）を停止してから実行してください。
+ */
+
+import { parseArgs } from 'node:util'
+import { createInterface } from 'node:readline/promises'
+import { readJSON, writeJSON, withFileLock } from './db.js'
+import { config, CONFIG_FILE, CONFIG_CLI_OPTIONS } from './config.js'
+import { openStoreStorage, ASSETS_LOCK_FILE } from './storage.js'
+import {
+  createInitialAssets,
+  findInventoryItem,
+  planInventory,
+  validateProductName,
+  validatePrice,
+} from './assets.js'
+
+const USAGE = `使い方: npm run setup -- [オプション]
+
+  -y, --yes                     対話なしで実行する
+      --store-name <店舗名>     店舗名
+      --product <名前:価格>     商品（複数指定可）。例: --product りんごジュース:120
+      --central-server <URL>    セントラルサーバーのURL
+      --advertised-host <アドレス>
+                                マーケットに公開するIPアドレスまたはホスト名（省略時は自動取得）
+      --port <番号>             店サーバーのポート
+      --config <ファイル>       書き込む設定ファイル（既定: store.config.json）
+  -h, --help                    このヘルプを表示する
+
+  その他の設定項目（--data-dir など）も指定できます。README の「設定」を参照してください。`
+
+/**
+ * コマンドライン引数を解析する
+ * @returns {Object} 解析結果
+ */
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      // 設定項目の引数（値の検証は config.js の読み込み時に済んでいる）
+      ...CONFIG_CLI_OPTIONS,
+      yes: { type: 'boolean', short: 'y' },
+      product: { type: 'string', multiple: true },
+      help: { type: 'boolean', short: 'h' },
+    },
+  })
+  return values
+}
+
+/**
+ * 「名前:価格」形式の文字列を商品情報に変換する
+ * @param {string} text 「名前:価格」形式の文字列
+ * @returns {Object} 商品情報（{ name, priceYen }）
+ */
+function parseProductArg(text) {
+  const index = text.lastIndexOf(':')
+  if (index < 0) {
+    return { name: text, priceYen: NaN }
+  }
+  return {
+    name: text.slice(0, index).trim(),
+    priceYen: Number(text.slice(index + 1)),
+  }
+}
+
+/**
+ * 設定値を検証する
+ * @param {Object} settings 設定値
+ * @returns {Array<string>} エラーメッセージの配列（問題がなければ空）
+ */
+function validateSettings({ products, centralServer, port }) {
+  const errors = []
+
+  if (products.length === 0) {
+    errors.push('商品を1つ以上指定してください')
+  }
+  products.forEach((product, index) => {
+    const error =
+      validateProductName(product.name) || validatePrice(product.priceYen)
+    if (error) {
+      errors.push(`商品${index + 1}（${product.name}）: ${error}`)
+    }
+    if (products.findIndex((p) => p.name === product.name) !== index) {
+      errors.push(`商品${index + 1}（${product.name}）: 商品名が重複しています`)
+    }
+  })
+
+  if (!/^https?:\/\/[^\s/]+/.test(centralServer)) {
+    errors.push(
+      'セントラルサーバーのURLは http:// または https:// で始めてください'
+    )
+  }
+
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    errors.push('ポートは1〜65535の整数で指定してください')
+  }
+
+  return errors
+}
+
+/**
+ * 1行ずつ回答を読み取る入力インターフェースを作成する
+ * （パイプで渡された入力も取りこぼさないよう、行をイテレーターで順に読む）
+ * @returns {{ question: Function, close: Function }} 入力インターフェース
+ */
+function createPrompter() {
+  const rl = createInterface({ input: process.stdin, output: process.stdout })
+  const lines = rl[Symbol.asyncIterator]()
+  return {
+    async question(text) {
+      process.stdout.write(text)
+      const { value, done } = await lines.next()
+      if (done) {
+        throw new Error('入力が終了しました')
+      }
+      return value
+    },
+    close() {
+      rl.close()
+    },
+  }
+}
+
+/**
+ * 既定値付きで質問する
+ * @param {Object} rl 入力インターフェース
+ * @param {string} question 質問文
+ * @param {string} [defaultValue] 既定値（空入力時に使用）
+ * @returns {Promise<string>} 入力値
+ */
+async function ask(rl, question, defaultValue = '') {
+  const suffix = defaultValue !== '' ? ` [${defaultValue}]` : ''
+  const answer = (await rl.question(`${question}${suffix}: `)).trim()
+  return answer === '' ? String(defaultValue) : answer
+}
+
+/**
+ * はい/いいえで質問する
+ * @param {Object} rl 入力インターフェース
+ * @param {string} question 質問文
+ * @returns {Promise<boolean>} はいの場合はtrue
+ */
+async function confirm(rl, question) {
+  const answer = (await rl.question(`${question} (Y/n): `)).trim()
+  return answer === '' || /^y(es)?$/i.test(answer)
+}
+
+/**
+ * 商品を対話形式で入力する
+ * @param {Object} rl 入力インターフェース
+ * @param {Array} currentProducts 現在の商品情報
+ * @returns {Promise<Array>} 入力された商品情報の配列
+ */
+async function askProducts(rl, currentProducts) {
+  if (currentProducts.length > 0) {
+    console.log('\n現在の商品:')
+    currentProducts.forEach((p) =>
+      console.log(`  - ${p.name}（${p.priceYen}円）`)
+    )
+    if (await confirm(rl, 'この商品をそのまま使いますか？')) {
+      return currentProducts
+    }
+  }
+
+  console.log('\n商品を入力してください（商品名を空にすると終了）')
+  const products = []
+  while (true) {
+    const name = await ask(rl, `商品${products.length + 1}の名前`)
+    if (name === '') {
+      if (products.length > 0) {
+        return products
+      }
+      console.log('  商品を1つ以上入力してください')
+      continue
+    }
+
+    const nameError =
+      validateProductName(name) ||
+      (products.some((p) => p.name === name) ? '商品名が重複しています' : null)
+    if (nameError) {
+      console.log(`  ${nameError}`)
+      continue
+    }
+
+    const priceYen = Number(await ask(rl, `「${name}」の価格（円）`))
+    const priceError = validatePrice(priceYen)
+    if (priceError) {
+      console.log(`  ${priceError}`)
+      continue
+    }
+
+    products.push({ name, priceYen })
+  }
+}
+
+/**
+ * 対話形式で設定値を入力する
+ * @param {Object} rl 入力インターフェース
+ * @param {Object} current 現在の設定値
+ * @returns {Promise<Object>} 入力された設定値
+ */
+async function askSettings(rl, current) {
+  console.log('=== 店舗セットアップ ===')
+  const storeName = await ask(rl, '店舗名', current.storeName)
+  const products = await askProducts(rl, current.products)
+  console.log('')
+  const centralServer = await ask(
+    rl,
+    'セントラルサーバーのURL',
+    current.centralServer
+  )
+  const advertisedHost = await ask(
+    rl,
+    '公開するIPアドレス/ホスト名（空欄で自動取得）',
+    current.advertisedHost
+  )
+  const port = Number(await ask(rl, 'ポート', current.port))
+  return { storeName, products, centralServer, advertisedHost, port }
+}
+
+/**
+ * 確保される在庫数を表示する
+ * @param {Object} assets 現在の資産データ
+ * @param {Array} products 商品情報の配列
+ * @returns {Array} 確保する在庫（{ product, qty, costPts }）の配列
+ */
+function printInventoryPlan(assets, products) {
+  const plan = planInventory(assets, products)
+
+  console.log(
+    `\n在庫の見込み（現在の仕入れポイント: ${assets.procurementPts.toLocaleString()} PP）`
+  )
+  for (const product of products) {
+    const reserved = findInventoryItem(assets, product.name)
+    const planned = plan.find((p) => p.product === product.name)
+    const detail = reserved
+      ? `${reserved.qty.toLocaleString()}個（確保済み）`
+      : `${planned.qty.toLocaleString()}個（${planned.costPts.toLocaleString()} PP を消費）`
+    console.log(`  - ${product.name}（${product.priceYen}円）: ${detail}`)
+  }
+
+  const totalCost = plan.reduce((sum, p) => sum + p.costPts, 0)
+  console.log(
+    `  残りの仕入れポイント: ${(
+      assets.procurementPts - totalCost
+    ).toLocaleString()} PP\n`
+  )
+  return plan
+}
+
+/**
+ * 設定を保存する
+ *
+ * 在庫は表示した見込みではなく、保存する時点の資産データから確保する
+ * （確認を待つ間に店サーバーが資産を更新しても、その変更を上書きしないため）。
+ * @param {Object} storage ストレージ
+ * @param {Object} settings 設定値
+ * @returns {Promise<void>}
+ */
+async function saveSettings(storage, settings) {
+  const { storeName, products, centralServer, advertisedHost, port } = settings
+
+  // 設定ファイルのその他の項目はそのまま残す
+  // データディレクトリと保存方法は、店サーバーがセットアップと同じデータを開くよう必ず記録する
+  // （--data-dir などで指定した場合も、次回の npm start で指定し直す必要がないように）
+  const storeConfig = await readJSON(CONFIG_FILE).catch(() => ({}))
+  await writeJSON(CONFIG_FILE, {
+    ...storeConfig,
+    storeName,
+    centralServer,
+    advertisedHost,
+    port,
+    dataDir: config.dataDir,
+    storageBackend: storage.backend,
+  })
+
+  // 店サーバーが資産を更新している最中に読み書きしないよう、同じロックを取得する
+  await withFileLock(ASSETS_LOCK_FILE, () =>
+    storage.transaction(async (tx) => {
+      const assets = (await tx.getDocument('assets')) ?? createInitialAssets()
+      if (!assets.inventory) {
+        assets.inventory = []
+      }
+      for (const { product, qty, costPts } of planInventory(assets, products)) {
+        assets.procurementPts -= costPts
+        assets.inventory.push({ product, qty })
+      }
+      await tx.setDocument('product', products)
+      await tx.setDocument('assets', assets)
+    })
+  )
+}
+
+/**
+ * セットアップを実行する
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const options = parseOptions()
+  if (options.help) {
+    console.log(USAGE)
+    return
+  }
+  if (CONFIG_FILE.endsWith('.env')) {
+    throw new Error(
+      `.env 形式の設定ファイルには書き込めません。JSONファイルを指定してください: ${CONFIG_FILE}`
+    )
+  }
+
+  // 現在の設定を既定値として読み込む
+  const storage = await openStoreStorage()
+  const currentProducts = (await storage.getDocument('product')) ?? []
+  const assets = (await storage.getDocument('assets')) ?? createInitialAssets()
+
+  const current = {
+    storeName: config.storeName,
+    products: options.product
+      ? options.product.map(parseProductArg)
+      : Array.isArray(currentProducts)
+      ? currentProducts
+      : [currentProducts],
+    centralServer: config.centralServer,
+    advertisedHost: config.advertisedHost,
+    port: config.port,
+  }
+
+  const rl = options.yes ? null : createPrompter()
+  try {
+    const settings = rl ? await askSettings(rl, current) : current
+
+    const errors = validateSettings(settings)
+    if (errors.length > 0) {
+      console.error('設定に誤りがあります:')
+      errors.forEach((error) => console.error(`  - ${error}`))
+      process.exitCode = 1
+      return
+    }
+
+    printInventoryPlan(assets, settings.products)
+
+    if (rl && !(await confirm(rl, 'この内容で保存しますか？'))) {
+      console.log('保存せずに終了しました')
+      return
+    }
+
+    await saveSettings(storage, settings)
+  } finally {
+    rl?.close()
+    await storage.close()
+  }
+  console.log('セットアップが完了しました。`npm start` で店を開きましょう。')
+}
+
+main().catch((error) => {
+  console.error('セットアップ中にエラーが発生しました:', error.message)
+  process.exit(1)
+})
@@ -0,0 +1,44 @@
+/**
+ * storage.js - 店側アプリのデータ構成
+ *
+ * 店サーバー（my-store.js）と初回セットアップ（setup.js）が同じデータを読み書きできるよう、
+ * 設定（storageBackend / dataDir）に従ってストレージを開きます。
+ * 読み書きの詳細は db.js を参照してください。
+ */
+
+import path from 'path'
+import { mkdir } from 'node:fs/promises'
+import { openStorage } from './db.js'
+import { STORAGE_BACKEND, DATA_DIR } from './config.js'
+
+// データ構成（JSONバックエンドでは名前ごとに data/<名前>.json に保存される）
+const LAYOUT = {
+  // 1件のデータ
+  // registration: セントラルサーバーが発行した登録キー（{ centralServer, address, key }）
+  documents: ['assets', 'product', 'registration'],
+  // レコードの一覧（key はレコードを置き換えるときに使うフィールド）
+  collections: {
+    transactions: {},
+    orders: { key: 'id' },
+    // assetHistory: 資金・仕入れポイントの推移（{ ts, capitalYen, procurementPts }。1分ごとに最後の値）
+    assetHistory: { key: 'ts' },
+  },
+  // SQLiteバックエンドのデータベースファイル名
+  database: 'market.db',
+}
+
+// 資産を更新するときのロックファイル（店サーバーとセットアップで共有）
+export const ASSETS_LOCK_FILE = path.join(DATA_DIR, 'assets.lock')
+
+/**
+ * 店側アプリのストレージを開く（データディレクトリがない場合は作成する）
+ * @returns {Promise<Object>} ストレージ（db.js の openStorage 参照）
+ */
+export async function openStoreStorage() {
+  await mkdir(DATA_DIR, { recursive: true })
+  return openStorage({
+    backend: STORAGE_BACKEND,
+    dataDir: DATA_DIR,
+    layout: LAYOUT,
+  })
+}
@@ -0,0 +1,270 @@
+/**
+ * transaction-query.js - 取引履歴（トランザクションログ）の検索・集計・CSV出力
+ *
+ * GET /api/transactions のクエリパラメータを解釈し、トランザクションログに適用します。
+ *   - type: 取引の種類（sale: 販売 / purchase: 購入。direction でも指定可能）
+ *   - product: 商品名（完全一致）
+ *   - counterparty: 取引相手（販売は買い手、購入は売り手。IPアドレスだけを指定するとすべてのポートに一致）
+ *   - from / to: 期間（ISO 8601 形式の日時または UNIX 秒。from 以降、to より前）
+ *   - sort: 並べ替え（ts: 日時、amount: 金額、qty: 数量、product: 商品名。既定は ts）
+ *   - order: 並び順（asc / desc。既定は desc）
+ *   - offset / limit: ページ分割（limit を省略した場合はすべて）
+ *   - format: 形式（json / csv。csv の場合はページ分割せず、該当するすべての取引を返す）
+ * これ以外のパラメータは 400 で断ります（query-params.js 参照）。
+ *
+ * type のない記録は、購入を記録するようになる前の販売の記録として扱います。
+ */
+
+import {
+  SORT_ORDERS,
+  firstValue,
+  checkKnownParams,
+  choiceError,
+  parseTime,
+  parsePaging,
+} from './query-params.js'
+
+// 取引の種類
+export const TRANSACTION_TYPES = ['sale', 'purchase']
+// 指定できる並べ替えの項目
+const SORT_KEYS = ['ts', 'amount', 'qty', 'product']
+// 指定できる形式
+const FORMATS = ['json', 'csv']
+// 指定できるクエリパラメータ
+const QUERY_PARAMS = [
+  'type',
+  'direction',
+  'product',
+  'counterparty',
+  'from',
+  'to',
+  'sort',
+  'order',
+  'format',
+  'offset',
+  'limit',
+]
+// CSV の列（見出しと値の取り出し方）
+const CSV_COLUMNS = [
+  ['日時', (transaction) => formatLocalDateTime(transaction.ts)],
+  ['種類', (transaction) => (transaction.type === 'sale' ? '販売' : '購入')],
+  ['取引ID', (transaction) => transaction.tradeId],
+  ['商品', (transaction) => transaction.product],
+  ['数量', (transaction) => transaction.qty],
+  ['単価', (transaction) => transaction.price],
+  ['金額', (transaction) => transaction.amount],
+  ['取引相手', (transaction) => transaction.counterparty],
+]
+
+/**
+ * GET /api/transactions のクエリパラメータを解釈する
+ * @param {Object} query クエリパラメータ（req.query）
+ * @returns {{ options?: Object, error?: string }} 検索条件、または不正な場合のエラーメッセージ
+ */
+export function parseTransactionQuery(query) {
+  const single = (name) => firstValue(query, name)
+
+  const unknownError = checkKnownParams(query, QUERY_PARAMS)
+  if (unknownError) {
+    return { error: unknownError }
+  }
+
+  const type = single('type') || single('direction') || undefined
+  if (type !== undefined && !TRANSACTION_TYPES.includes(type)) {
+    return { error: choiceError('type', TRANSACTION_TYPES) }
+  }
+  if (single('type') && single('direction') && single('direction') !== type) {
+    return { error: 'type と direction には同じ値を指定してください' }
+  }
+
+  const from = parseTime(single('from'))
+  const to = parseTime(single('to'))
+  if (from === null || to === null) {
+    return {
+      error: 'from / to は ISO 8601 形式の日時または UNIX 秒で指定してください',
+    }
+  }
+
+  const sort = single('sort') || 'ts'
+  if (!SORT_KEYS.includes(sort)) {
+    return { error: choiceError('sort', SORT_KEYS) }
+  }
+  const order = single('order') || 'desc'
+  if (!SORT_ORDERS.includes(order)) {
+    return { error: choiceError('order', SORT_ORDERS) }
+  }
+
+  const format = single('format') || 'json'
+  if (!FORMATS.includes(format)) {
+    return { error: choiceError('format', FORMATS) }
+  }
+
+  const { offset, limit, error } = parsePaging(query)
+  if (error) {
+    return { error }
+  }
+
+  return {
+    options: {
+      type,
+      product: single('product') || undefined,
+      counterparty: single('counterparty') || undefined,
+      from,
+      to,
+      sort,
+      order,
+      format,
+      // CSV は帳簿との照合に使うため、ページ分割しない
+      offset: format === 'csv' ? 0 : offset,
+      limit: format === 'csv' ? undefined : limit,
+    },
+  }
+}
+
+/**
+ * 記録されたトランザクションを取引履歴の形式にする
+ * @param {Object} transaction 記録されたトランザクション
+ * @returns {Object} 種類（type）・金額（amount）・取引相手（counterparty）を付けたトランザクション
+ */
+function toHistoryEntry(transaction) {
+  const type = transaction.type || 'sale'
+  return {
+    ...transaction,
+    type,
+    amount: transaction.price * transaction.qty,
+    counterparty: type === 'sale' ? transaction.buyer : transaction.seller,
+  }
+}
+
+/**
+ * 取引相手が指定されたアドレスに一致するかどうか
+ * @param {string} counterparty 取引相手（IP:PORT 形式またはIPアドレス）
+ * @param {string} address 指定されたアドレス
+ * @returns {boolean} 一致する場合はtrue
+ */
+function matchesCounterparty(counterparty, address) {
+  return (
+    counterparty === address || String(counterparty).startsWith(`${address}:`)
+  )
+}
+
+/**
+ * トランザクションが検索条件に一致するかどうか
+ * @param {Object} entry 取引履歴の形式のトランザクション
+ * @param {Object} options 検索条件（parseTransactionQuery 参照）
+ * @returns {boolean} 一致する場合はtrue
+ */
+function matchesQuery(entry, options) {
+  const { type, product, counterparty, from, to } = options
+  return (
+    (!type || entry.type === type) &&
+    (!product || entry.product === product) &&
+    (!counterparty || matchesCounterparty(entry.counterparty, counterparty)) &&
+    (from === undefined || entry.ts >= from) &&
+    (to === undefined || entry.ts < to)
+  )
+}
+
+/**
+ * 販売・購入ごとの件数・数量・金額を集計する
+ * @param {Array} entries 取引履歴の形式のトランザクションの配列
+ * @returns {Object} 集計（{ sale, purchase, net }。net は販売額から購入額を引いたもの）
+ */
+function summarize(entries) {
+  const totals = {
+    sale: { count: 0, qty: 0, amount: 0 },
+    purchase: { count: 0, qty: 0, amount: 0 },
+  }
+  for (const entry of entries) {
+    const total = totals[entry.type]
+    total.count++
+    total.qty += entry.qty
+    total.amount += entry.amount
+  }
+  return { ...totals, net: totals.sale.amount - totals.purchase.amount }
+}
+
+/**
+ * トランザクションログに検索条件を適用する
+ * @param {Array} transactions 記録されたトランザクションの配列（記録順）
+ * @param {Object} options 検索条件（parseTransactionQuery 参照）
+ * @returns {{ items: Array, total: number, nextOffset: number|null, totals: Object }}
+ *   該当する取引（指定されたページ分）、該当する件数、次のページの offset（最後のページの場合はnull）、
+ *   該当するすべての取引の集計
+ */
+export function queryTransactions(transactions, options) {
+  const { sort, order, offset, limit } = options
+  const direction = order === 'desc' ? -1 : 1
+  const matched = transactions
+    .map((transaction, index) => ({
+      entry: toHistoryEntry(transaction),
+      index,
+    }))
+    .filter(({ entry }) => matchesQuery(entry, options))
+
+  // 同じ値どうしは記録順（desc の場合は新しく記録したものから）
+  matched.sort((a, b) => {
+    const va = a.entry[sort]
+    const vb = b.entry[sort]
+    if (va !== vb) {
+      return va < vb ? -direction : direction
+    }
+    return (a.index - b.index) * direction
+  })
+
+  const entries = matched.map(({ entry }) => entry)
+  const end = limit === undefined ? entries.length : offset + limit
+  return {
+    items: entries.slice(offset, end),
+    total: entries.length,
+    nextOffset: end < entries.length ? end : null,
+    totals: summarize(entries),
+  }
+}
+
+/**
+ * UNIX 秒をこのサーバーの地方時の日時（YYYY-MM-DD HH:mm:ss）にする
+ * @param {number} ts UNIX 秒
+ * @returns {string} 日時
+ */
+function formatLocalDateTime(ts) {
+  const date = new Date(ts * 1000)
+  const pad = (number) => String(number).padStart(2, '0')
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+      date.getDate()
+    )} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(
+      date.getSeconds()
+    )}`
+  )
+}
+
+/**
+ * CSV の1項目を書き出す
+ *
+ * 表計算ソフトで開いたときに数式として実行されないよう、
+ * =・+・-・@ で始まる文字列には先頭に ' を付ける（商品名は他の店が決めるため）。
+ * @param {*} value 値
+ * @returns {string} CSV の項目
+ */
+function toCsvField(value) {
+  let text = value === undefined || value === null ? '' : String(value)
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * 取引履歴を CSV にする（Excel で文字化けしないよう先頭に BOM を付ける）
+ * @param {Array} entries 取引履歴の形式のトランザクションの配列（queryTransactions の items）
+ * @returns {string} CSV（改行は CRLF）
+ */
+export function toTransactionCsv(entries) {
+  const lines = [
+    CSV_COLUMNS.map(([label]) => label),
+    ...entries.map((entry) => CSV_COLUMNS.map(([, valueOf]) => valueOf(entry))),
+  ].map((fields) => fields.map(toCsvField).join(','))
+  return `\uFEFF${lines.join('\r\n')}\r\n`
+}
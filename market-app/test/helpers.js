@@ -0,0 +1,142 @@
+/**
+ * helpers.js - テスト用の中央サーバー・店側アプリの起動
+ *
+ * 中央サーバーと店側アプリを一時データディレクトリと空いているポートで起動します。
+ * 起動したサーバーは stopServers() でまとめて停止します。
+ */
+
+import { spawn, execFile } from 'node:child_process'
+import { createServer } from 'node:net'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { promisify } from 'node:util'
+import { setTimeout as sleep } from 'node:timers/promises'
+
+const PACKAGE_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..'
+)
+const CENTRAL_DIR = path.join(PACKAGE_DIR, '..', 'centoral-server')
+
+const processes = []
+
+/**
+ * 空いているポート番号を取得する
+ * @returns {Promise<number>} ポート番号
+ */
+export function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer()
+    server.on('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+}
+
+/**
+ * サーバーを起動する（stopServers() で停止する）
+ * @param {string} script 起動するスクリプト
+ * @param {Array<string>} args コマンドライン引数
+ */
+function startServer(script, args) {
+  const child = spawn(process.execPath, [script, ...args], {
+    stdio: 'ignore',
+  })
+  processes.push(child)
+}
+
+/**
+ * 店側アプリがアクティブになるまで待つ
+ * @param {string} storeUrl 店側アプリのURL
+ * @param {number} timeoutMs 待つ時間の上限（ミリ秒）
+ */
+async function waitUntilActive(storeUrl, timeoutMs) {
+  const deadline = Date.now() + timeoutMs
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${storeUrl}/health`)
+      if ((await response.json()).status === 'ACTIVE') {
+        return
+      }
+    } catch {
+      // 起動中は接続できないので待つ
+    }
+    await sleep(200)
+  }
+  throw new Error('店側アプリがアクティブになりませんでした')
+}
+
+/**
+ * 中央サーバーを起動する
+ * @param {string} dataDir データディレクトリ（設定ファイルもここに置く）
+ * @returns {Promise<string>} 中央サーバーのURL
+ */
+export async function startCentralServer(dataDir) {
+  const port = await findFreePort()
+  startServer(path.join(CENTRAL_DIR, 'src', 'central-server.js'), [
+    '--config',
+    path.join(dataDir, 'central.config.json'),
+    '--port',
+    String(port),
+    '--data-dir',
+    dataDir,
+  ])
+  return `http://127.0.0.1:${port}`
+}
+
+/**
+ * 店側アプリを初期設定して起動し、アクティブになるまで待つ
+ * @param {string} dataDir データディレクトリ（設定ファイルもここに置く）
+ * @param {Object} options オプション
+ * @param {string} options.centralServer 中央サーバーのURL
+ * @param {string} options.storeName 店名
+ * @param {string} options.product 商品（"商品名:価格" 形式）
+ * @param {Array<string>} [options.args] 店側アプリに渡すコマンドライン引数
+ * @returns {Promise<{ url: string, address: string }>} 店のURLとアドレス（IP:PORT形式）
+ */
+export async function startStore(
+  dataDir,
+  { centralServer, storeName, product, args = [] }
+) {
+  const port = await findFreePort()
+  const config = path.join(dataDir, 'store.config.json')
+
+  await promisify(execFile)(process.execPath, [
+    path.join(PACKAGE_DIR, 'src', 'setup.js'),
+    '--yes',
+    '--store-name',
+    storeName,
+    '--product',
+    product,
+    '--central-server',
+    centralServer,
+    '--advertised-host',
+    '127.0.0.1',
+    '--port',
+    String(port),
+    '--data-dir',
+    dataDir,
+    '--config',
+    config,
+  ])
+
+  const url = `http://127.0.0.1:${port}`
+  startServer(path.join(PACKAGE_DIR, 'src', 'my-store.js'), [
+    '--config',
+    config,
+    ...args,
+  ])
+  await waitUntilActive(url, 20000)
+  return { url, address: `127.0.0.1:${port}` }
+}
+
+/**
+ * 起動したサーバーをすべて停止する
+ */
+export function stopServers() {
+  for (const child of processes.splice(0)) {
+    child.kill()
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * products.test.js - 商品管理API（/api/products）のテスト
+ *
+ * 中央サーバーと店側アプリを一時データディレクトリで起動し、残りの仕入れポイントで
+ * 在庫を1つも確保できない商品の追加を断ることを確かめます。
+ */
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { startCentralServer, startStore, stopServers } from './helpers.js'
+
+let tempDir
+let storeUrl
+
+/**
+ * 商品を追加する
+ * @param {Object} product 商品（{ name, priceYen }）
+ * @returns {Promise<{ status: number, body: Object }>} ステータスと応答
+ */
+async function addProduct(product) {
+  const response = await fetch(`${storeUrl}/api/products`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(product),
+  })
+  return { status: response.status, body: await response.json() }
+}
+
+/**
+ * 資産データを取得する
+ * @returns {Promise<Object>} 資産データ
+ */
+async function getAssets() {
+  const response = await fetch(`${storeUrl}/api/assets`)
+  return response.json()
+}
+
+before(async () => {
+  tempDir = await mkdtemp(path.join(tmpdir(), 'products-test-'))
+  const centralServer = await startCentralServer(path.join(tempDir, 'central'))
+  const store = await startStore(path.join(tempDir, 'store'), {
+    centralServer,
+    storeName: 'テスト店',
+    product: 'りんごジュース:120',
+    args: ['--require-signature', 'false', '--buyer-verification', 'loopback'],
+  })
+  storeUrl = store.url
+})
+
+after(async () => {
+  stopServers()
+  await rm(tempDir, { recursive: true, force: true })
+})
+
+test('残りの仕入れポイントで在庫を確保できない商品は 409 で断る', async () => {
+  // 初期設定で仕入れポイントのほとんどを最初の商品の在庫に使っている
+  const { procurementPts } = await getAssets()
+  assert.ok(procurementPts > 0)
+
+  const expensive = await addProduct({
+    name: '高い商品',
+    priceYen: procurementPts + 1,
+  })
+  assert.equal(expensive.status, 409)
+  assert.equal(expensive.body.procurementPts, procurementPts)
+
+  const affordable = await addProduct({
+    name: '安い商品',
+    priceYen: procurementPts,
+  })
+  assert.equal(affordable.status, 201)
+  assert.equal(affordable.body.stock, 1)
+
+  const exhausted = await addProduct({ name: '次の商品', priceYen: 1 })
+  assert.equal(exhausted.status, 409)
+  assert.equal(
+    exhausted.body.error,
+    '仕入れポイントが残っていないため、新しい商品の在庫を確保できません'
+  )
+
+  const products = await (await fetch(`${storeUrl}/api/products`)).json()
+  assert.deepEqual(
+    products.map((product) => product.name),
+    ['りんごジュース', '安い商品']
+  )
+})
@@ -0,0 +1,300 @@
+/**
+ * purchase.test.js - 購入API（/buy・/api/purchase）のテスト
+ *
+ * 中央サーバーと店側アプリを一時データディレクトリで起動し、同じ取引IDの再送では
+ * 在庫やコレクションが一度だけ増減すること、内容の異なる再送と不正な数量を断ること、
+ * 注文と食い違う売り手の応答では決済しないことを確かめます。
+ */
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { createServer as createHttpServer } from 'node:http'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { startCentralServer, startStore, stopServers } from './helpers.js'
+
+const PRODUCT = 'りんごジュース'
+const PRICE = 120
+
+let tempDir
+let storeUrl
+let storeAddress
+
+/**
+ * JSONを POST する
+ * @param {string} pathname パス
+ * @param {Object} body 本文
+ * @returns {Promise<{ status: number, body: Object }>} ステータスと応答
+ */
+async function post(pathname, body) {
+  const response = await fetch(`${storeUrl}${pathname}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+  return { status: response.status, body: await response.json() }
+}
+
+/**
+ * 資産データを取得する
+ * @returns {Promise<Object>} 資産データ
+ */
+async function getAssets() {
+  const response = await fetch(`${storeUrl}/api/assets`)
+  return response.json()
+}
+
+/**
+ * 自店の商品の在庫数を取得する
+ * @returns {Promise<number>} 在庫数
+ */
+async function getStock() {
+  const assets = await getAssets()
+  return assets.inventory.find((item) => item.product === PRODUCT).qty
+}
+
+/**
+ * 決まった応答を返す売り手を起動する（テストの終了時に停止する）
+ * @param {Object} t node:test のテストコンテキスト
+ * @param {Function} respond /buy の本文から応答（{ status, body, delayMs }）を作る関数
+ * @returns {Promise<string>} 売り手のアドレス（IP:PORT形式）
+ */
+async function startFakeSeller(t, respond) {
+  const server = createHttpServer((req, res) => {
+    let body = ''
+    req.on('data', (chunk) => (body += chunk))
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json')
+      if (req.url === '/health') {
+        res.end(
+          JSON.stringify({
+            products: [{ name: PRODUCT, priceYen: PRICE, stock: 100 }],
+          })
+        )
+      } else {
+        const {
+          status = 200,
+          body: result,
+          delayMs = 0,
+        } = respond(JSON.parse(body))
+        res.statusCode = status
+        setTimeout(() => res.end(JSON.stringify(result)), delayMs)
+      }
+    })
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  t.after(() => new Promise((resolve) => server.close(resolve)))
+  return `127.0.0.1:${server.address().port}`
+}
+
+/**
+ * 注文どおりの売り手の処理結果を作成する
+ * @param {Object} order /buy の本文（{ product, qty, tradeId }）
+ * @returns {Object} 処理結果
+ */
+function sellerResult(order) {
+  return {
+    success: true,
+    tradeId: order.tradeId,
+    product: order.product,
+    qty: order.qty,
+    totalPrice: PRICE * order.qty,
+  }
+}
+
+before(async () => {
+  tempDir = await mkdtemp(path.join(tmpdir(), 'purchase-test-'))
+  const centralServer = await startCentralServer(path.join(tempDir, 'central'))
+  const store = await startStore(path.join(tempDir, 'store'), {
+    centralServer,
+    storeName: 'テスト店',
+    product: `${PRODUCT}:${PRICE}`,
+    args: ['--require-signature', 'false', '--buyer-verification', 'loopback'],
+  })
+  storeUrl = store.url
+  storeAddress = store.address
+})
+
+after(async () => {
+  stopServers()
+  await rm(tempDir, { recursive: true, force: true })
+})
+
+test('/buy: 同じ取引IDの再送は在庫を一度だけ減らし、同じ結果を返す', async () => {
+  const stock = await getStock()
+  const request = { product: PRODUCT, qty: 2, tradeId: 'buy-replay-1' }
+
+  const first = await post('/buy', request)
+  assert.equal(first.status, 200)
+  assert.equal(first.body.totalPrice, PRICE * 2)
+
+  const second = await post('/buy', request)
+  assert.equal(second.status, 200)
+  assert.equal(second.body.replayed, true)
+  assert.equal(second.body.totalPrice, first.body.totalPrice)
+  assert.equal(await getStock(), stock - 2)
+})
+
+test('/buy: 同じ取引IDで内容の異なる購入は 409 で断る', async () => {
+  const stock = await getStock()
+  await post('/buy', { product: PRODUCT, qty: 1, tradeId: 'buy-conflict-1' })
+
+  const conflict = await post('/buy', {
+    product: PRODUCT,
+    qty: 3,
+    tradeId: 'buy-conflict-1',
+  })
+  assert.equal(conflict.status, 409)
+  assert.equal(conflict.body.error, '取引IDが別の購入内容で使用されています')
+  assert.equal(await getStock(), stock - 1)
+})
+
+test('/buy: 数量が正の整数でなければ 400 で断る', async () => {
+  const stock = await getStock()
+  for (const qty of [1.5, 0, -1, '2']) {
+    const response = await post('/buy', { product: PRODUCT, qty })
+    assert.equal(response.status, 400, `qty: ${JSON.stringify(qty)}`)
+  }
+  assert.equal(await getStock(), stock)
+})
+
+test('/api/purchase: 同じ取引IDの再送は一度だけ購入し、内容が異なれば 409 で断る', async () => {
+  const request = {
+    address: storeAddress,
+    product: PRODUCT,
+    qty: 1,
+    tradeId: 'purchase-replay-1',
+  }
+
+  const first = await post('/api/purchase', request)
+  assert.equal(first.status, 200)
+  const collected = (await getAssets()).collection
+
+  const second = await post('/api/purchase', request)
+  assert.equal(second.status, 200)
+  assert.equal(second.body.replayed, true)
+  assert.deepEqual((await getAssets()).collection, collected)
+
+  const conflict = await post('/api/purchase', { ...request, qty: 2 })
+  assert.equal(conflict.status, 409)
+  assert.equal(conflict.body.error, '取引IDが別の取引で使用されています')
+})
+
+test('/api/purchase: 売り手の応答が注文と食い違えば決済せず 502 を返す', async (t) => {
+  const responses = [
+    { totalPrice: PRICE * 2 }, // 確認した価格を超える請求
+    { totalPrice: -PRICE }, // 負の金額
+    { product: 'コーヒー' }, // 別の商品
+    { qty: 0 }, // 注文と異なる数量
+  ]
+
+  for (const [index, override] of responses.entries()) {
+    const seller = await startFakeSeller(t, (order) => ({
+      body: { ...sellerResult(order), ...override },
+    }))
+    const initial = await getAssets()
+
+    const response = await post('/api/purchase', {
+      address: seller,
+      product: PRODUCT,
+      qty: 1,
+      tradeId: `purchase-mismatch-${index}`,
+    })
+    assert.equal(response.status, 502, JSON.stringify(override))
+    const assets = await getAssets()
+    assert.equal(assets.capitalYen, initial.capitalYen)
+    assert.deepEqual(assets.collection, initial.collection)
+  }
+})
+
+test('/api/purchase: 確保した支払額は、決済時に差額を、購入が成立しなければ全額を資金に戻す', async (t) => {
+  const discounted = await startFakeSeller(t, (order) => ({
+    body: { ...sellerResult(order), totalPrice: PRICE * order.qty - 20 },
+  }))
+  const rejected = await startFakeSeller(t, () => ({
+    status: 409,
+    body: { error: '在庫が不足しています' },
+  }))
+  const { capitalYen } = await getAssets()
+
+  const settled = await post('/api/purchase', {
+    address: discounted,
+    product: PRODUCT,
+    qty: 2,
+    tradeId: 'purchase-reserve-1',
+  })
+  assert.equal(settled.status, 200)
+  assert.equal((await getAssets()).capitalYen, capitalYen - (PRICE * 2 - 20))
+
+  const failed = await post('/api/purchase', {
+    address: rejected,
+    product: PRODUCT,
+    qty: 2,
+    tradeId: 'purchase-reserve-2',
+  })
+  assert.equal(failed.status, 409)
+  assert.equal((await getAssets()).capitalYen, capitalYen - (PRICE * 2 - 20))
+})
+
+test('/api/purchase: 同じ取引IDの購入が同時に届いても一度だけ支払う', async (t) => {
+  // 売り手は同じ取引IDの再送にも成功を返す（応答を遅らせて、両方の購入が決済前の確認を通るようにする）
+  const seller = await startFakeSeller(t, (order) => ({
+    body: sellerResult(order),
+    delayMs: 300,
+  }))
+  const { capitalYen, collection } = await getAssets()
+  const request = {
+    address: seller,
+    product: PRODUCT,
+    qty: 1,
+    tradeId: 'purchase-concurrent-1',
+  }
+
+  const responses = await Promise.all([
+    post('/api/purchase', request),
+    post('/api/purchase', request),
+  ])
+  assert.deepEqual(
+    responses.map((response) => response.status),
+    [200, 200]
+  )
+  const assets = await getAssets()
+  assert.equal(assets.capitalYen, capitalYen - PRICE)
+  assert.equal(assets.collection.length, collection.length + 1)
+})
+
+test('/api/purchase: 別のサイトから店主のブラウザ経由で送られた購入は 403 で断る', async () => {
+  const { capitalYen } = await getAssets()
+  const request = JSON.stringify({
+    address: storeAddress,
+    product: PRODUCT,
+    qty: 1,
+  })
+
+  for (const headers of [
+    { Origin: 'http://evil.example' },
+    { 'Sec-Fetch-Site': 'cross-site' },
+  ]) {
+    const response = await fetch(`${storeUrl}/api/purchase`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: request,
+    })
+    assert.equal(response.status, 403, JSON.stringify(headers))
+    assert.equal(response.headers.get('access-control-allow-origin'), null)
+  }
+  assert.equal((await getAssets()).capitalYen, capitalYen)
+
+  // 自店の画面からの購入は受け付ける
+  const own = await fetch(`${storeUrl}/api/purchase`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Origin: storeUrl,
+      'Sec-Fetch-Site': 'same-origin',
+    },
+    body: request,
+  })
+  assert.equal(own.status, 200)
+})
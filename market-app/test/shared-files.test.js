@@ -0,0 +1,49 @@
+/**
+ * shared-files.test.js - 中央サーバーと共通のファイルのテスト
+ *
+ * 中央サーバー（centoral-server）と同じ内容で使用しているファイルが、
+ * 片方だけ変更されていないことを確かめます。
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { existsSync } from 'node:fs'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const SRC_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'src'
+)
+const CENTRAL_SRC_DIR = path.join(SRC_DIR, '..', '..', 'centoral-server', 'src')
+
+// 中央サーバーと同じ内容のファイル（変更した場合は両方にコピーする）
+const SHARED_FILES = [
+  'db.js',
+  'config-loader.js',
+  'sse.js',
+  'signature.js',
+  'session.js',
+  'query-params.js',
+]
+
+for (const file of SHARED_FILES) {
+  test(
+    `${file} が中央サーバーのファイルと同じ内容である`,
+    {
+      skip: !existsSync(CENTRAL_SRC_DIR) && '中央サーバーのソースがありません',
+    },
+    async () => {
+      const [mine, central] = await Promise.all([
+        readFile(path.join(SRC_DIR, file), 'utf-8'),
+        readFile(path.join(CENTRAL_SRC_DIR, file), 'utf-8'),
+      ])
+      assert.ok(
+        mine === central,
+        `market-app/src/${file} と centoral-server/src/${file} の内容が異なります`
+      )
+    }
+  )
+}
@@ -0,0 +1,153 @@
+/**
+ * signature.test.js - 取引リクエストの署名（signature.js）のテスト
+ *
+ * 署名した宛先・本文・送信元でだけ検証に成功し、別の店への転送や再送、
+ * 改ざんされたリクエストを拒否することを確かめます。
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { generateKeyPairSync, randomBytes, sign } from 'node:crypto'
+import {
+  SIGNATURE_HEADERS,
+  signRequest,
+  verifyRequest,
+  requestTarget,
+  exportPublicKey,
+} from '../src/signature.js'
+
+const ADDRESS = '192.168.0.11:8082'
+const BODY = JSON.stringify({ product: 'りんごジュース', qty: 1 })
+const TARGET = requestTarget('post', 'http://192.168.0.10:8082/buy?x=1')
+
+/**
+ * 署名用の鍵ペアを作成する
+ * @returns {{ privateKey: string, publicKey: string }} PEM形式の秘密鍵と、登録する形式の公開鍵
+ */
+function createKeys() {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519', {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  })
+  return { privateKey, publicKey: exportPublicKey(publicKey) }
+}
+
+test('宛先はメソッド・ホスト・パスで、クエリ文字列を含まない', () => {
+  assert.equal(TARGET, 'POST 192.168.0.10:8082/buy')
+})
+
+test('署名した宛先・本文のリクエストは検証に成功する', () => {
+  const { privateKey, publicKey } = createKeys()
+  const headers = signRequest(privateKey, ADDRESS, BODY, TARGET)
+  assert.doesNotThrow(() => verifyRequest(headers, BODY, publicKey, TARGET))
+})
+
+test('別の店に転送されたリクエストは拒否する', () => {
+  const { privateKey, publicKey } = createKeys()
+  const headers = signRequest(privateKey, ADDRESS, BODY, TARGET)
+  const otherStore = requestTarget('POST', 'http://192.168.0.12:8082/buy')
+
+  assert.throws(() => verifyRequest(headers, BODY, publicKey, otherStore), {
+    message: '署名の宛先がこのサーバーではありません',
+  })
+})
+
+test('宛先のヘッダーを書き換えても署名が一致しない', () => {
+  const { privateKey, publicKey } = createKeys()
+  const otherStore = requestTarget('POST', 'http://192.168.0.12:8082/buy')
+  const headers = {
+    ...signRequest(privateKey, ADDRESS, BODY, TARGET),
+    [SIGNATURE_HEADERS.target]: otherStore,
+  }
+
+  assert.throws(() => verifyRequest(headers, BODY, publicKey, otherStore), {
+    message: '署名が一致しません',
+  })
+})
+
+test('同じリクエストの再送は拒否する', () => {
+  const { privateKey, publicKey } = createKeys()
+  const headers = signRequest(privateKey, ADDRESS, BODY, TARGET)
+  verifyRequest(headers, BODY, publicKey, TARGET)
+
+  assert.throws(() => verifyRequest(headers, BODY, publicKey, TARGET), {
+    message: 'このリクエストはすでに使用されています',
+  })
+})
+
+test('本文・送信元の改ざんや、別の鍵での署名は拒否する', () => {
+  const { privateKey, publicKey } = createKeys()
+  const tampered = JSON.stringify({ product: 'りんごジュース', qty: 100 })
+  assert.throws(
+    () =>
+      verifyRequest(
+        signRequest(privateKey, ADDRESS, BODY, TARGET),
+        tampered,
+        publicKey,
+        TARGET
+      ),
+    { message: '署名が一致しません' }
+  )
+
+  const spoofed = {
+    ...signRequest(privateKey, ADDRESS, BODY, TARGET),
+    [SIGNATURE_HEADERS.address]: '192.168.0.99:8082',
+  }
+  assert.throws(() => verifyRequest(spoofed, BODY, publicKey, TARGET), {
+    message: '署名が一致しません',
+  })
+
+  const other = createKeys()
+  assert.throws(
+    () =>
+      verifyRequest(
+        signRequest(other.privateKey, ADDRESS, BODY, TARGET),
+        BODY,
+        publicKey,
+        TARGET
+      ),
+    { message: '署名が一致しません' }
+  )
+})
+
+test('署名のないリクエストと古い署名は拒否する', () => {
+  const { privateKey, publicKey } = createKeys()
+  assert.throws(() => verifyRequest({}, BODY, publicKey, TARGET), {
+    message: '署名がありません',
+  })
+
+  const headers = {
+    ...signRequest(privateKey, ADDRESS, BODY, TARGET),
+    [SIGNATURE_HEADERS.timestamp]: String(Math.floor(Date.now() / 1000) - 600),
+  }
+  assert.throws(() => verifyRequest(headers, BODY, publicKey, TARGET), {
+    message: '署名の有効期限が切れています',
+  })
+})
+
+test('UNIX秒の10進数でないタイムスタンプは、署名が正しくても拒否する', () => {
+  const { privateKey, publicKey } = createKeys()
+  const now = Math.floor(Date.now() / 1000)
+
+  // 数値にならないタイムスタンプで署名すると、有効期限の比較（NaN）をすり抜けてしまう
+  for (const timestamp of ['never', `${now}.0`, `0x${now.toString(16)}`]) {
+    const nonce = randomBytes(16).toString('hex')
+    const payload = `${timestamp}.${nonce}.${ADDRESS}.${TARGET}.${BODY}`
+    const headers = {
+      [SIGNATURE_HEADERS.address]: ADDRESS,
+      [SIGNATURE_HEADERS.signature]: sign(
+        null,
+        Buffer.from(payload),
+        privateKey
+      ).toString('base64'),
+      [SIGNATURE_HEADERS.timestamp]: timestamp,
+      [SIGNATURE_HEADERS.nonce]: nonce,
+      [SIGNATURE_HEADERS.target]: TARGET,
+    }
+    assert.throws(
+      () => verifyRequest(headers, BODY, publicKey, TARGET),
+      { message: '署名のタイムスタンプが不正です' },
+      timestamp
+    )
+  }
+})
@@ -0,0 +1,119 @@
+/**
+ * trade.test.js - 店どうしの取引のテスト
+ *
+ * 中央サーバーと2つの店を署名の検証あり（requireSignature: true、buyerVerification: registry）で起動し、
+ * 署名付きの購入が成立して両店の資産と中央サーバーの取引台帳に反映されること、
+ * 署名のない購入を断ることを確かめます。
+ */
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { startCentralServer, startStore, stopServers } from './helpers.js'
+
+const PRODUCT = 'みかんジュース'
+const PRICE = 150
+
+let tempDir
+let centralServer
+let buyer
+let seller
+
+/**
+ * 店の資産データを取得する
+ * @param {Object} store 店（{ url }）
+ * @returns {Promise<Object>} 資産データ
+ */
+async function getAssets(store) {
+  const response = await fetch(`${store.url}/api/assets`)
+  return response.json()
+}
+
+/**
+ * 中央サーバーの取引台帳で、取引が照合されるまで待つ
+ * @param {string} tradeId 取引ID
+ * @param {number} timeoutMs 待つ時間の上限（ミリ秒）
+ * @returns {Promise<Object>} 取引
+ */
+async function waitUntilMatched(tradeId, timeoutMs) {
+  const deadline = Date.now() + timeoutMs
+  while (Date.now() < deadline) {
+    const response = await fetch(
+      `${centralServer}/trades/${tradeId}?seller=${seller.address}`
+    )
+    if (response.ok) {
+      const trade = await response.json()
+      if (trade.status !== 'pending') {
+        return trade
+      }
+    }
+    await sleep(200)
+  }
+  throw new Error('取引が照合されませんでした')
+}
+
+before(async () => {
+  tempDir = await mkdtemp(path.join(tmpdir(), 'trade-test-'))
+  centralServer = await startCentralServer(path.join(tempDir, 'central'))
+  buyer = await startStore(path.join(tempDir, 'buyer'), {
+    centralServer,
+    storeName: '買い手の店',
+    product: 'りんごジュース:120',
+  })
+  seller = await startStore(path.join(tempDir, 'seller'), {
+    centralServer,
+    storeName: '売り手の店',
+    product: `${PRODUCT}:${PRICE}`,
+  })
+})
+
+after(async () => {
+  stopServers()
+  await rm(tempDir, { recursive: true, force: true })
+})
+
+test('署名付きの購入は売り手で検証されて成立し、取引台帳で照合される', async () => {
+  const buyerBefore = await getAssets(buyer)
+  const sellerBefore = await getAssets(seller)
+  const stockOf = (assets) =>
+    assets.inventory.find((item) => item.product === PRODUCT).qty
+
+  const response = await fetch(`${buyer.url}/api/purchase`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      address: seller.address,
+      product: PRODUCT,
+      qty: 2,
+      tradeId: 'signed-trade-1',
+    }),
+  })
+  assert.equal(response.status, 200, JSON.stringify(await response.json()))
+
+  const buyerAfter = await getAssets(buyer)
+  const sellerAfter = await getAssets(seller)
+  assert.equal(buyerAfter.capitalYen, buyerBefore.capitalYen - PRICE * 2)
+  assert.equal(buyerAfter.collection.length, buyerBefore.collection.length + 1)
+  assert.equal(sellerAfter.capitalYen, sellerBefore.capitalYen + PRICE * 2)
+  assert.equal(stockOf(sellerAfter), stockOf(sellerBefore) - 2)
+
+  const trade = await waitUntilMatched('signed-trade-1', 10000)
+  assert.equal(trade.status, 'matched')
+  assert.equal(trade.verified, true)
+  assert.equal(trade.buyer.buyer, buyer.address)
+})
+
+test('署名のない購入は 401 で断り、在庫を減らさない', async () => {
+  const { inventory } = await getAssets(seller)
+
+  const response = await fetch(`${seller.url}/buy`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ product: PRODUCT, qty: 1 }),
+  })
+  assert.equal(response.status, 401)
+  assert.deepEqual((await getAssets(seller)).inventory, inventory)
+})